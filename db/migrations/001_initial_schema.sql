@@ -0,0 +1,97 @@
+-- Baseline: the tables initDb() created before migrations existed.
+-- Databases from that era already have these, so every statement is IF NOT EXISTS.
+
+CREATE TABLE IF NOT EXISTS contractors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone_number TEXT UNIQUE NOT NULL,
+  business_name TEXT,
+  trade_type TEXT,
+  service_area_zip TEXT,
+  service_radius INTEGER DEFAULT 25,
+  services_offered TEXT DEFAULT '[]',
+  base_service_fee REAL DEFAULT 0,
+  hourly_rate REAL DEFAULT 0,
+  emergency_markup REAL DEFAULT 0.5,
+  available_hours TEXT DEFAULT '{}',
+  is_active INTEGER DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone_number TEXT UNIQUE NOT NULL,
+  name TEXT,
+  address TEXT,
+  zip_code TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_uuid TEXT UNIQUE NOT NULL,
+  customer_id INTEGER,
+  contractor_id INTEGER,
+  problem_description TEXT,
+  service_category TEXT,
+  urgency_level TEXT DEFAULT 'standard',
+  customer_address TEXT,
+  customer_zip TEXT,
+  estimated_cost_min REAL,
+  estimated_cost_max REAL,
+  final_quote REAL,
+  status TEXT DEFAULT 'pending',
+  scheduled_date TEXT,
+  scheduled_time TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id),
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone_number TEXT UNIQUE NOT NULL,
+  state TEXT DEFAULT 'IDLE',
+  context TEXT DEFAULT '{}',
+  job_id INTEGER,
+  contractor_id INTEGER,
+  customer_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_number TEXT,
+  to_number TEXT,
+  body TEXT,
+  direction TEXT,
+  twilio_message_sid TEXT,
+  conversation_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone_number TEXT NOT NULL,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS contractor_calendar (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  contractor_id INTEGER NOT NULL,
+  google_email TEXT,
+  access_token TEXT,
+  refresh_token TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+-- Zip code centroids for radius matching (loaded from db/zipcodes.csv)
+CREATE TABLE IF NOT EXISTS zip_codes (
+  zip TEXT PRIMARY KEY,
+  latitude REAL NOT NULL,
+  longitude REAL NOT NULL
+);
@@ -0,0 +1,156 @@
+-- Bring the live schema up to what the code actually reads and writes:
+-- updated_at tracking, job completion/rating/invoice columns, CHECK constraints,
+-- the quotes and dashboard_sessions tables, and indexes.
+
+-- ---- contractors / customers: updated_at ----
+-- SQLite can't ADD COLUMN with a CURRENT_TIMESTAMP default, so backfill and let triggers maintain it
+ALTER TABLE contractors ADD COLUMN updated_at DATETIME;
+UPDATE contractors SET updated_at = created_at;
+
+ALTER TABLE customers ADD COLUMN updated_at DATETIME;
+UPDATE customers SET updated_at = created_at;
+
+-- ---- jobs: rebuilt to add columns and CHECK constraints ----
+CREATE TABLE jobs_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_uuid TEXT UNIQUE NOT NULL,
+  customer_id INTEGER,
+  contractor_id INTEGER,
+  problem_description TEXT,
+  service_category TEXT,
+  urgency_level TEXT DEFAULT 'medium' CHECK(urgency_level IN ('low', 'medium', 'high', 'emergency')),
+  customer_address TEXT,
+  customer_zip TEXT,
+  estimated_cost_min REAL,
+  estimated_cost_max REAL,
+  final_quote REAL,
+  status TEXT DEFAULT 'pending' CHECK(status IN (
+    'pending', 'quoted', 'approved', 'scheduled', 'in_progress', 'completed', 'cancelled',
+    'contractor_passed', 'no_contractors_available'
+  )),
+  scheduled_date TEXT,
+  scheduled_time TEXT,
+  completion_date DATETIME,
+  customer_rating INTEGER CHECK(customer_rating BETWEEN 1 AND 5),
+  customer_feedback TEXT,
+  invoice_sent INTEGER DEFAULT 0,
+  notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id),
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+-- The old table took any urgency and status (the dashboard saved whatever it
+-- was sent), so values the CHECKs would reject are mapped rather than copied:
+-- unknown urgencies become 'medium', spelling variants of a status become that
+-- status and any other status becomes 'pending'. The original value is kept
+-- in notes whenever it was changed.
+INSERT INTO jobs_new (
+  id, job_uuid, customer_id, contractor_id, problem_description, service_category,
+  urgency_level, customer_address, customer_zip, estimated_cost_min, estimated_cost_max,
+  final_quote, status, scheduled_date, scheduled_time, notes, created_at, updated_at
+)
+SELECT
+  id, job_uuid, customer_id, contractor_id, problem_description, service_category,
+  CASE WHEN urgency_level IN ('low', 'medium', 'high', 'emergency') THEN urgency_level ELSE 'medium' END,
+  customer_address, customer_zip, estimated_cost_min, estimated_cost_max,
+  final_quote, new_status, scheduled_date, scheduled_time,
+  NULLIF(
+    CASE WHEN urgency_level IS NOT NULL AND urgency_level NOT IN ('low', 'medium', 'high', 'emergency')
+      THEN 'Urgency before migration: ' || urgency_level || '. ' ELSE '' END ||
+    CASE WHEN status IS NOT new_status
+      THEN 'Status before migration: ' || COALESCE(status, 'none') || '.' ELSE '' END,
+    ''
+  ),
+  created_at, created_at
+FROM (
+  SELECT *,
+    CASE
+      WHEN status IN (
+        'pending', 'quoted', 'approved', 'scheduled', 'in_progress', 'completed', 'cancelled',
+        'contractor_passed', 'no_contractors_available'
+      ) THEN status
+      ELSE CASE REPLACE(REPLACE(LOWER(TRIM(COALESCE(status, ''))), ' ', '_'), '-', '_')
+        WHEN 'pending' THEN 'pending'
+        WHEN 'quoted' THEN 'quoted'
+        WHEN 'approved' THEN 'approved'
+        WHEN 'accepted' THEN 'approved'
+        WHEN 'scheduled' THEN 'scheduled'
+        WHEN 'booked' THEN 'scheduled'
+        WHEN 'in_progress' THEN 'in_progress'
+        WHEN 'started' THEN 'in_progress'
+        WHEN 'completed' THEN 'completed'
+        WHEN 'complete' THEN 'completed'
+        WHEN 'done' THEN 'completed'
+        WHEN 'cancelled' THEN 'cancelled'
+        WHEN 'canceled' THEN 'cancelled'
+        WHEN 'contractor_passed' THEN 'contractor_passed'
+        WHEN 'passed' THEN 'contractor_passed'
+        WHEN 'declined' THEN 'contractor_passed'
+        WHEN 'rejected' THEN 'contractor_passed'
+        WHEN 'no_contractors_available' THEN 'no_contractors_available'
+        ELSE 'pending'
+      END
+    END AS new_status
+  FROM jobs
+);
+
+DROP TABLE jobs;
+ALTER TABLE jobs_new RENAME TO jobs;
+
+-- ---- quotes ----
+CREATE TABLE IF NOT EXISTS quotes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  contractor_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  notes TEXT,
+  status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'rejected', 'expired')),
+  expires_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (job_id) REFERENCES jobs(id),
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+-- ---- dashboard sessions ----
+CREATE TABLE IF NOT EXISTS dashboard_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  contractor_id INTEGER NOT NULL,
+  session_token TEXT UNIQUE NOT NULL,
+  verification_code TEXT,
+  is_verified INTEGER DEFAULT 0,
+  expires_at DATETIME NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+-- ---- indexes ----
+CREATE INDEX IF NOT EXISTS idx_contractors_zip_active ON contractors(service_area_zip, is_active);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+CREATE INDEX IF NOT EXISTS idx_jobs_contractor ON jobs(contractor_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_customer ON jobs(customer_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_state ON conversations(state);
+CREATE INDEX IF NOT EXISTS idx_messages_numbers ON messages(from_number, to_number);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_phone ON chat_messages(phone_number, created_at);
+CREATE INDEX IF NOT EXISTS idx_quotes_job ON quotes(job_id);
+CREATE INDEX IF NOT EXISTS idx_contractor_calendar_contractor ON contractor_calendar(contractor_id);
+
+-- ---- updated_at triggers ----
+CREATE TRIGGER IF NOT EXISTS update_contractors_timestamp
+  AFTER UPDATE ON contractors
+  BEGIN
+    UPDATE contractors SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS update_customers_timestamp
+  AFTER UPDATE ON customers
+  BEGIN
+    UPDATE customers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS update_jobs_timestamp
+  AFTER UPDATE ON jobs
+  BEGIN
+    UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
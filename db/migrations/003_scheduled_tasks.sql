@@ -0,0 +1,22 @@
+-- Durable one-off tasks (reminders, follow-ups) picked up by the scheduler's polling worker.
+-- task_key identifies the logical task (e.g. reminder_12_day_before) so rescheduling updates it in place.
+
+CREATE TABLE IF NOT EXISTS scheduled_tasks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_key TEXT UNIQUE NOT NULL,
+  task_type TEXT NOT NULL,
+  job_id INTEGER,
+  payload TEXT DEFAULT '{}',
+  run_at DATETIME NOT NULL, -- ISO-8601 UTC
+  status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'running', 'done', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  last_error TEXT,
+  completed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (job_id) REFERENCES jobs(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tasks_due ON scheduled_tasks(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_tasks_job ON scheduled_tasks(job_id);
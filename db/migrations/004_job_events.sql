@@ -0,0 +1,20 @@
+-- Audit trail of job status changes, written by src/lifecycle.js
+
+CREATE TABLE IF NOT EXISTS job_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  from_status TEXT, -- NULL for the event that created the job
+  to_status TEXT NOT NULL,
+  actor TEXT NOT NULL, -- 'customer:+15551234567', 'contractor:3', 'system'
+  source TEXT NOT NULL, -- 'sms', 'dashboard', 'api', 'scheduler', 'system'
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (job_id) REFERENCES jobs(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events(job_id, created_at);
+
+-- Seed each existing job's history with the status it had when tracking began
+INSERT INTO job_events (job_id, from_status, to_status, actor, source, note, created_at)
+SELECT id, NULL, status, 'system', 'migration', 'Status before history was recorded', COALESCE(updated_at, created_at)
+FROM jobs;
@@ -0,0 +1,4 @@
+-- Full QuotingEngine.generateQuote breakdown (JSON) behind a job's estimate,
+-- so the price a customer was shown can be explained later
+
+ALTER TABLE jobs ADD COLUMN quote_breakdown TEXT;
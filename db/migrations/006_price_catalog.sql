@@ -0,0 +1,29 @@
+-- Per-contractor price book. QuotingEngine prices a job from the line items whose
+-- keywords appear in the problem description, falling back to its generic tables.
+-- pricing_type 'flat' charges flat_price; 'hourly' charges hours at the contractor's
+-- hourly_rate. material_cost is added either way.
+
+CREATE TABLE IF NOT EXISTS price_catalog_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  contractor_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  keywords TEXT DEFAULT '[]',
+  pricing_type TEXT NOT NULL CHECK(pricing_type IN ('flat', 'hourly')),
+  flat_price REAL,
+  hours REAL,
+  material_cost REAL DEFAULT 0,
+  is_active INTEGER DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id),
+  CHECK(pricing_type = 'hourly' OR flat_price IS NOT NULL),
+  CHECK(pricing_type = 'flat' OR hours IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_catalog_contractor ON price_catalog_items(contractor_id);
+
+CREATE TRIGGER IF NOT EXISTS update_price_catalog_items_timestamp
+  AFTER UPDATE ON price_catalog_items
+  BEGIN
+    UPDATE price_catalog_items SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
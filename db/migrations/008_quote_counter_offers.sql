@@ -0,0 +1,39 @@
+-- Customer counter-offers on a custom quote are stored as their own version
+-- (kind 'counter') awaiting the contractor's answer. Rebuilt to widen the kind check.
+
+CREATE TABLE quotes_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  contractor_id INTEGER,
+  version INTEGER NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'custom' CHECK(kind IN ('estimate', 'custom', 'counter')),
+  amount_min REAL NOT NULL,
+  amount_max REAL NOT NULL,
+  breakdown TEXT,
+  notes TEXT,
+  status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'rejected', 'expired', 'superseded')),
+  expires_at DATETIME,
+  responded_at DATETIME,
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(job_id, version),
+  FOREIGN KEY (job_id) REFERENCES jobs(id),
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+INSERT INTO quotes_new SELECT id, job_id, contractor_id, version, kind, amount_min, amount_max, breakdown, notes,
+  status, expires_at, responded_at, created_by, created_at, updated_at
+FROM quotes;
+
+DROP TABLE quotes;
+ALTER TABLE quotes_new RENAME TO quotes;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_job ON quotes(job_id, version);
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status, expires_at);
+
+CREATE TRIGGER IF NOT EXISTS update_quotes_timestamp
+  AFTER UPDATE ON quotes
+  BEGIN
+    UPDATE quotes SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
@@ -0,0 +1,26 @@
+-- Customer-initiated reschedules and cancellations of booked jobs (see src/appointments.js)
+
+-- Google Calendar event created for the booking, so it can be moved or removed
+ALTER TABLE jobs ADD COLUMN calendar_event_id TEXT;
+-- Late-cancellation fee owed under the cancellation rules, if any
+ALTER TABLE jobs ADD COLUMN cancellation_fee REAL;
+
+-- A customer's request to move a booking, waiting on the contractor's CONFIRM/DECLINE
+CREATE TABLE IF NOT EXISTS reschedule_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  contractor_id INTEGER NOT NULL,
+  from_date TEXT,
+  from_time TEXT,
+  to_date TEXT NOT NULL,
+  to_time TEXT NOT NULL,
+  status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'declined', 'cancelled')),
+  requested_by TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  responded_at DATETIME,
+  FOREIGN KEY (job_id) REFERENCES jobs(id),
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reschedule_requests_contractor ON reschedule_requests(contractor_id, status);
+CREATE INDEX IF NOT EXISTS idx_reschedule_requests_job ON reschedule_requests(job_id, status);
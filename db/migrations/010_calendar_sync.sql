@@ -0,0 +1,6 @@
+-- Polling sync of contractors' Google Calendars (see calendar.pullCalendarChanges):
+-- events changed since last_synced_at are matched back to jobs by calendar_event_id
+
+ALTER TABLE contractor_calendar ADD COLUMN last_synced_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_calendar_event ON jobs(calendar_event_id);
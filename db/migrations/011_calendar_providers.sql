@@ -0,0 +1,13 @@
+-- Calendar providers besides Google: a contractor connects one of
+--   google - OAuth tokens (google_email, access_token, refresh_token)
+--   caldav - a CalDAV calendar collection with basic-auth credentials
+--   ics    - no account; jobs are published on a subscribable feed
+-- feed_token is the secret in the contractor's ICS feed URL
+
+ALTER TABLE contractor_calendar ADD COLUMN provider TEXT NOT NULL DEFAULT 'google';
+ALTER TABLE contractor_calendar ADD COLUMN caldav_url TEXT;
+ALTER TABLE contractor_calendar ADD COLUMN caldav_username TEXT;
+ALTER TABLE contractor_calendar ADD COLUMN caldav_password TEXT;
+ALTER TABLE contractor_calendar ADD COLUMN feed_token TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contractor_calendar_feed ON contractor_calendar(feed_token);
@@ -0,0 +1,5 @@
+-- Set when Google rejects a contractor's refresh token (revoked or expired);
+-- their calendar is skipped until they reconnect. Tokens and CalDAV passwords
+-- in this table are encrypted by the app (see src/secrets.js).
+
+ALTER TABLE contractor_calendar ADD COLUMN revoked_at TEXT;
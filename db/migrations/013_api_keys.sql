@@ -0,0 +1,35 @@
+-- API keys for the /api router (see src/auth.js). Only a SHA-256 hash of each
+-- key is stored; key_prefix identifies it in listings.
+--   admin       - everything
+--   contractor  - their own jobs, calendar and availability (contractor_id)
+--   integration - read-only access
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_hash TEXT UNIQUE NOT NULL,
+  key_prefix TEXT NOT NULL,
+  role TEXT NOT NULL CHECK(role IN ('admin', 'contractor', 'integration')),
+  contractor_id INTEGER,
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  revoked_at DATETIME,
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+-- One row per /api call, including rejected ones (api_key_id NULL)
+CREATE TABLE IF NOT EXISTS api_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  api_key_id INTEGER,
+  role TEXT,
+  contractor_id INTEGER,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status INTEGER,
+  ip TEXT,
+  duration_ms INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_audit_log_key ON api_audit_log(api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_audit_log_created ON api_audit_log(created_at);
@@ -0,0 +1,29 @@
+-- Dashboard login sessions (see src/sessions.js). Replaces the original table,
+-- whose rows were never usable: only hashes of the session token and the SMS
+-- code are stored, codes expire separately from the session and allow a
+-- limited number of attempts, and verified sessions slide forward on use up
+-- to a hard limit.
+
+DROP TABLE IF EXISTS dashboard_sessions;
+
+CREATE TABLE dashboard_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  contractor_id INTEGER NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  code_hash TEXT,
+  code_expires_at TEXT,
+  code_attempts INTEGER DEFAULT 0,
+  is_verified INTEGER DEFAULT 0,
+  verified_at TEXT,
+  expires_at TEXT NOT NULL,
+  max_expires_at TEXT,
+  last_seen_at TEXT,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TEXT NOT NULL,
+  revoked_at TEXT,
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dashboard_sessions_contractor ON dashboard_sessions(contractor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_dashboard_sessions_expires ON dashboard_sessions(expires_at);
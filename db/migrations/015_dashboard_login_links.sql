@@ -0,0 +1,10 @@
+-- Login links texted in reply to DASHBOARD (see src/sessions.js). The links
+-- themselves are signed and carry their own expiry; a row is written when one
+-- is used so it can't be used again.
+CREATE TABLE IF NOT EXISTS dashboard_login_links (
+  nonce TEXT PRIMARY KEY,
+  contractor_id INTEGER NOT NULL,
+  used_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
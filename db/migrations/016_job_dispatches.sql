@@ -0,0 +1,16 @@
+-- Each time a job is texted to a contractor for an answer (see src/dispatch.js).
+-- A dispatch stays open until the contractor replies, passes, or runs out of
+-- time and the job moves on to the next-best contractor.
+CREATE TABLE IF NOT EXISTS job_dispatches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  contractor_id INTEGER NOT NULL,
+  sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  reminded_at DATETIME,
+  closed_at DATETIME,
+  outcome TEXT CHECK(outcome IN ('responded', 'passed', 'timed_out')),
+  FOREIGN KEY (job_id) REFERENCES jobs(id),
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_dispatches_job ON job_dispatches(job_id, contractor_id);
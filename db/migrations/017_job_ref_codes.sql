@@ -0,0 +1,6 @@
+-- Short code for each job (e.g. J4F2) that contractors put in SMS commands
+-- ("A J4F2", "DONE J4F2") to say which job they mean. Existing jobs get
+-- theirs when the database is next opened.
+ALTER TABLE jobs ADD COLUMN ref_code TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_ref_code ON jobs(ref_code);
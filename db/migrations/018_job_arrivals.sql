@@ -0,0 +1,7 @@
+-- Arrival tracking from contractors' OTW / LATE / HERE texts: when they set
+-- off, the latest ETA the customer was given, when they arrived and how many
+-- minutes after the booked scheduled_time that was (negative when early).
+ALTER TABLE jobs ADD COLUMN on_the_way_at DATETIME;
+ALTER TABLE jobs ADD COLUMN eta_at DATETIME;
+ALTER TABLE jobs ADD COLUMN arrived_at DATETIME;
+ALTER TABLE jobs ADD COLUMN arrival_delay_minutes INTEGER;
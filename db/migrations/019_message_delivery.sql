@@ -0,0 +1,18 @@
+-- Delivery tracking for outbound texts, from Twilio status callbacks: the
+-- latest status and error, when it was delivered or failed, and how many times
+-- it has been sent (failed sends are retried). Inbound rows are 'received'.
+ALTER TABLE messages ADD COLUMN status TEXT;
+ALTER TABLE messages ADD COLUMN error_code TEXT;
+ALTER TABLE messages ADD COLUMN error_message TEXT;
+ALTER TABLE messages ADD COLUMN attempts INTEGER DEFAULT 1;
+ALTER TABLE messages ADD COLUMN status_updated_at DATETIME;
+ALTER TABLE messages ADD COLUMN delivered_at DATETIME;
+ALTER TABLE messages ADD COLUMN failed_at DATETIME;
+CREATE INDEX IF NOT EXISTS idx_messages_twilio_sid ON messages(twilio_message_sid);
+
+-- Numbers Twilio says can't receive texts (invalid, landline, opted out...).
+-- Cleared when a later text is delivered or the number texts in.
+ALTER TABLE customers ADD COLUMN sms_undeliverable_at DATETIME;
+ALTER TABLE customers ADD COLUMN sms_undeliverable_reason TEXT;
+ALTER TABLE contractors ADD COLUMN sms_undeliverable_at DATETIME;
+ALTER TABLE contractors ADD COLUMN sms_undeliverable_reason TEXT;
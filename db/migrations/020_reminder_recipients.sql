@@ -0,0 +1,15 @@
+-- Reminders are now one task per recipient (task_key reminder_12_day_before_customer,
+-- payload {"jobId":12,"recipient":"customer"}) so a retry after a failed send
+-- doesn't text the other party twice. Split the ones still waiting to go out.
+INSERT OR IGNORE INTO scheduled_tasks (task_key, task_type, job_id, payload, run_at, max_attempts)
+SELECT t.task_key || '_' || r.recipient, t.task_type, t.job_id,
+  '{"jobId":' || t.job_id || ',"recipient":"' || r.recipient || '"}', t.run_at, t.max_attempts
+FROM scheduled_tasks t, (SELECT 'contractor' AS recipient UNION ALL SELECT 'customer') r
+WHERE t.task_type IN ('day_before_reminder', 'day_of_reminder')
+  AND t.status IN ('pending', 'running')
+  AND t.payload NOT LIKE '%"recipient"%';
+
+UPDATE scheduled_tasks SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+WHERE task_type IN ('day_before_reminder', 'day_of_reminder')
+  AND status IN ('pending', 'running')
+  AND payload NOT LIKE '%"recipient"%';
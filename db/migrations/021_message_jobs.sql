@@ -0,0 +1,6 @@
+-- The job a text is about, so a job's message thread shows only its own texts
+-- and not the same customer's other jobs. Set by the sender when it knows the
+-- job, else inferred from the customer's conversation or only active job.
+-- Texts saved before this migration have no job.
+ALTER TABLE messages ADD COLUMN job_id INTEGER REFERENCES jobs(id);
+CREATE INDEX IF NOT EXISTS idx_messages_job ON messages(job_id);
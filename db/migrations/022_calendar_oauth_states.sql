@@ -0,0 +1,10 @@
+-- Calendar OAuth states already used (see verifyOAuthState in src/calendar.js).
+-- The states are signed and carry their own expiry; a row is written when one
+-- comes back from Google so it can't be replayed, even after a restart.
+CREATE TABLE IF NOT EXISTS calendar_oauth_states (
+  nonce TEXT PRIMARY KEY,
+  contractor_id INTEGER NOT NULL,
+  used_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id)
+);
@@ -0,0 +1,27 @@
+-- Job history also records things that happen to a job without changing its
+-- status (see recordEvent in src/lifecycle.js). type is 'status' for a status
+-- change; other types, like 'running_late', have no from/to status.
+
+CREATE TABLE job_events_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  type TEXT NOT NULL DEFAULT 'status',
+  from_status TEXT, -- NULL for the event that created the job and for non-status events
+  to_status TEXT, -- NULL for non-status events
+  actor TEXT NOT NULL, -- 'customer:+15551234567', 'contractor:3', 'system'
+  source TEXT NOT NULL, -- 'sms', 'dashboard', 'api', 'scheduler', 'system'
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (job_id) REFERENCES jobs(id)
+);
+
+INSERT INTO job_events_new (id, job_id, type, from_status, to_status, actor, source, note, created_at)
+SELECT id, job_id, 'status', from_status, to_status, actor, source, note, created_at FROM job_events;
+
+-- LATE reports were written as a status "change" to the same status
+UPDATE job_events_new SET type = 'running_late', from_status = NULL, to_status = NULL
+WHERE from_status = to_status AND note LIKE 'Running %late%';
+
+DROP TABLE job_events;
+ALTER TABLE job_events_new RENAME TO job_events;
+CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events(job_id, created_at);
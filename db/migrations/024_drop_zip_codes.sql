@@ -0,0 +1,3 @@
+-- Zip code centroids are read from db/zipcodes.csv into memory (see src/geo.js).
+-- Keeping ~34k rows in the database made every save rewrite them too.
+DROP TABLE IF EXISTS zip_codes;
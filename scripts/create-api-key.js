@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const db = require('../src/db');
+
+// Usage:
+//   npm run api-key -- admin "Ops team"
+//   npm run api-key -- integration "Reporting"
+//   npm run api-key -- contractor "Bob's scheduling app" 3
+async function main() {
+  const [role, name, contractorId] = process.argv.slice(2);
+  if (!role || !name) {
+    console.error('Usage: npm run api-key -- <admin|contractor|integration> "<name>" [contractorId]');
+    process.exit(1);
+  }
+
+  await db.initDb();
+  const auth = require('../src/auth');
+
+  const result = auth.createApiKey({ name, role, contractorId, createdBy: 'cli' });
+  if (!result.success) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Created ${role} API key #${result.id} (${name})`);
+  console.log(`\n   ${result.key}\n`);
+  console.log('Store it now; it cannot be shown again. Send it as "Authorization: Bearer <key>".');
+}
+
+main().catch(error => {
+  console.error('❌ Could not create API key:', error.message);
+  process.exit(1);
+});
@@ -3,30 +3,41 @@
 require('dotenv').config();
 const db = require('../src/db');
 
-console.log('Setting up JobFlow database...');
+async function setup() {
+  console.log('Setting up JobFlow database...');
+
+  // Creates the database if needed and applies any pending migrations
+  await db.initDb();
+
+  const applied = db.getAppliedMigrations();
+  console.log(`✅ Database schema at version ${applied.length ? applied[applied.length - 1].version : 0}`);
+  applied.forEach(m => console.log(`   ${String(m.version).padStart(3, '0')}_${m.name} (applied ${m.applied_at})`));
 
-try {
-  // Database is automatically initialized when db module is imported
-  console.log('✅ Database schema created successfully');
-  
   // Test basic operations
-  const testInsert = db.db.prepare('INSERT INTO contractors (phone_number, business_name, trade_type, service_area_zip, base_service_fee, hourly_rate) VALUES (?, ?, ?, ?, ?, ?)');
-  const testContractorId = testInsert.run('+1555TEST00', 'Test Business', 'test', '12345', 100, 75).lastInsertRowid;
-  
+  const testContractorId = db.createContractor({
+    phone_number: '+1555TEST00',
+    business_name: 'Test Business',
+    trade_type: 'test',
+    service_area_zip: '12345',
+    base_service_fee: 100,
+    hourly_rate: 75
+  });
+
   // Clean up test data
-  db.db.prepare('DELETE FROM contractors WHERE id = ?').run(testContractorId);
-  
+  db.queryRun('DELETE FROM contractors WHERE id = ?', [testContractorId]);
+
   console.log('✅ Database operations test successful');
   console.log('✅ Database setup complete!');
-  
+
   console.log('\nNext steps:');
   console.log('1. Copy .env.example to .env and fill in your credentials');
   console.log('2. Run: npm run seed (to add demo data)');
   console.log('3. Run: npm start (to start the server)');
-  
-} catch (error) {
-  console.error('❌ Database setup failed:', error.message);
-  process.exit(1);
-} finally {
-  db.close();
-}
\ No newline at end of file
+}
+
+setup()
+  .catch(error => {
+    console.error('❌ Database setup failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -1,11 +1,28 @@
-const OpenAI = require('openai');
 const db = require('./db');
+const quoting = require('./quoting');
+const lifecycle = require('./lifecycle');
+const intake = require('./intake');
+const llm = require('./llm');
+const catalog = require('./catalog');
+const quotes = require('./quotes');
+const sms = require('./sms');
+const dispatch = require('./dispatch');
+const booking = require('./booking');
+const appointments = require('./appointments');
+const sessions = require('./sessions');
+const intents = require('./intents');
+const commands = require('./commands');
+
+// Upper bound on model round-trips per customer message when it calls tools
+const MAX_TOOL_ROUNDS = 4;
+// States where RESCHEDULE and CANCEL are about the customer's booked job
+const BOOKED_JOB_STATES = ['IDLE', 'JOB_SCHEDULED', 'AWAITING_CONTRACTOR_RESPONSE'];
 
 class AIConversationEngine {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    this.llm = llm.createProvider();
+    // Used when the configured provider errors, so intake keeps working during outages
+    this.fallbackLlm = this.llm instanceof llm.RuleBasedProvider ? null : new llm.RuleBasedProvider();
   }
 
   async processMessage(phoneNumber, incomingMessage) {
@@ -16,8 +33,9 @@ class AIConversationEngine {
 
       console.log(`Processing message from ${phoneNumber}, state: ${state}, message: ${incomingMessage}`);
 
-      // CANCEL resets everything
-      if (incomingMessage.trim().toUpperCase() === 'CANCEL') {
+      // CANCEL resets everything, unless it's about a booked job
+      const cancelsBooking = BOOKED_JOB_STATES.includes(state) && appointments.findUpcomingJob(phoneNumber);
+      if (incomingMessage.trim().toUpperCase() === 'CANCEL' && !cancelsBooking) {
         db.updateConversationState(phoneNumber, 'IDLE', {});
         return "No problem — conversation reset. Text me anytime you need help!";
       }
@@ -28,11 +46,21 @@ class AIConversationEngine {
           return await this.handleContractorOnboarding(phoneNumber, incomingMessage, context);
         case 'AWAITING_QUOTE_APPROVAL':
           return await this.handleQuoteApproval(phoneNumber, incomingMessage, context);
+        case 'AWAITING_CUSTOM_QUOTE_RESPONSE':
+          return await this.handleCustomQuoteResponse(phoneNumber, incomingMessage, context);
+        case 'AWAITING_SLOT_SELECTION':
+          return await booking.handleReply(phoneNumber, incomingMessage, context);
+        case 'AWAITING_CANCEL_CONFIRMATION':
+          return await appointments.handleCancelConfirmation(phoneNumber, incomingMessage, context);
+        case 'AWAITING_COMMAND_CONFIRMATION':
+          return await this.handleCommandConfirmation(phoneNumber, incomingMessage, context);
         case 'AWAITING_CONTRACTOR_RESPONSE':
-          return await this.handleContractorResponse(phoneNumber, incomingMessage, context);
+          // The contractor may have booked the job without the customer picking a time
+          return await appointments.handleMessage(phoneNumber, incomingMessage) ||
+            await this.handleContractorResponse(phoneNumber, incomingMessage, context);
         case 'JOB_SCHEDULED':
-          return await this.handleScheduledJobMessages(phoneNumber, incomingMessage, context);
         case 'IDLE':
+          return await this.handleScheduledJobMessages(phoneNumber, incomingMessage, context);
         case 'CUSTOMER_INTAKE':
         default:
           return await this.handleSmartConversation(phoneNumber, incomingMessage, context);
@@ -74,49 +102,49 @@ class AIConversationEngine {
     }
 
     // Save inbound message
-    db.saveChatMessage(phoneNumber, 'customer', message);
+    const messageId = db.saveChatMessage(phoneNumber, 'customer', message);
 
-    // Load conversation history
-    const recentMessages = db.getRecentChatMessages(phoneNumber, 20);
+    // Load this intake's conversation (earlier jobs are available via check_previous_jobs)
+    const intakeStartId = context.intake_start_id || messageId;
+    const recentMessages = db.getRecentChatMessages(phoneNumber, 20).filter(m => m.id >= intakeStartId);
 
     // Check for previous jobs
     const previousJobs = db.getCustomerJobs(customer.id);
 
-    // Find contractor for system prompt context
-    const allContractors = db.getAllContractors();
-    const selectedContractor = allContractors.length > 0 ? allContractors[0] : null;
-
-    if (!selectedContractor) {
+    if (db.getAllContractors().length === 0) {
       return "Sorry, this service isn't set up yet. Please try again later.";
     }
 
-    // Build system prompt
-    let systemPrompt = `You are a friendly AI receptionist for ${selectedContractor.business_name}, a ${selectedContractor.trade_type} business.
-
-Your job is to understand the customer's problem thoroughly before generating a quote.
+    // Pick up a zip code if the customer just mentioned one
+    const mentionedZip = this.extractZip(message);
+    if (mentionedZip && mentionedZip !== customer.zip_code) {
+      db.updateCustomerLocation(customer.id, { zip_code: mentionedZip });
+      customer.zip_code = mentionedZip;
+    }
+    const customerZip = mentionedZip || context.customer_zip || customer.zip_code || null;
 
-Information you need to gather (naturally, not as a checklist):
-- What's the problem? (specific details)
-- How long has it been going on?
-- Any related symptoms or damage?
-- Have they tried anything to fix it?
-- How urgent is it?
-- Their location/zip code (if not already known)
+    // Contractors that serve the customer's area (unknown until we have a zip)
+    const areaContractors = customerZip ? db.findAvailableContractors(customerZip) : [];
+    if (customerZip && areaContractors.length === 0) {
+      const reply = `Sorry, we don't have any contractors serving ${customerZip} yet. Text me again if you have a job at a different address.`;
+      db.saveChatMessage(phoneNumber, 'assistant', reply);
+      db.updateConversationState(phoneNumber, 'IDLE', {});
+      return reply;
+    }
 
-When you have enough information to understand the scope of work, respond with your normal conversational message AND include this tag at the very end:
-<!--READY_TO_QUOTE:{"problem":"concise problem summary","category":"plumbing|electrical|HVAC|general_handyman|appliance_repair|cleaning|landscaping|pest_control|roofing|flooring","urgency":"low|medium|high|emergency","details":"key details for quoting"}-->
+    // Keep the contractor we already matched for this conversation, otherwise
+    // only commit to one once there's no ambiguity about who takes the job
+    let selectedContractor = areaContractors.find(c => c.id === context.contractor_id) || null;
+    if (!selectedContractor && areaContractors.length === 1) {
+      selectedContractor = areaContractors[0];
+    }
 
-Otherwise, just have a natural conversation. Be empathetic, professional, and thorough.
-Don't ask all questions at once — 1-2 per message max.
-Keep responses concise (2-4 sentences typically).
-If they mention a previous job, ask if this is related.`;
+    // Build system prompt
+    let systemPrompt = this.buildIntakePrompt(selectedContractor, areaContractors, customerZip);
 
-    // Add job history context
+    // Point the model at the history tool for returning customers
     if (previousJobs.length > 0) {
-      const jobSummaries = previousJobs.slice(0, 5).map(j =>
-        `- ${j.service_category || 'service'}: "${j.problem_description}" (${j.status}, ${j.created_at})`
-      ).join('\n');
-      systemPrompt += `\n\nThis is a returning customer. Their previous jobs:\n${jobSummaries}\nIf relevant, ask if the new issue is related to a previous one.`;
+      systemPrompt += `\n\nThis is a returning customer with ${previousJobs.length} previous job(s). Call check_previous_jobs if the new issue might be related.`;
     }
 
     // Build messages array
@@ -128,50 +156,52 @@ If they mention a previous job, ask if this is related.`;
       });
     }
 
-    // Call OpenAI
-    let aiResponse;
+    // Ask the model, falling back to the offline intake if the provider fails
+    const toolHandlers = intake.createToolHandlers({ customer, customerZip });
+    let intakeResult;
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: aiMessages,
-        max_tokens: 300,
-        temperature: 0.7
-      });
-      aiResponse = completion.choices[0].message.content.trim();
+      intakeResult = await this.runIntakeModel(this.llm, aiMessages, toolHandlers);
     } catch (e) {
-      console.error('OpenAI error:', e.message);
-      return "I'm having trouble right now. Please try again in a moment.";
-    }
-
-    // Check for READY_TO_QUOTE tag
-    const quoteMatch = aiResponse.match(/<!--READY_TO_QUOTE:(.*?)-->/s);
-
-    if (quoteMatch) {
-      // Extract the conversational part (before the tag)
-      const conversationalPart = aiResponse.replace(/<!--READY_TO_QUOTE:.*?-->/s, '').trim();
-
-      let quoteData;
-      try {
-        quoteData = JSON.parse(quoteMatch[1]);
-      } catch (e) {
-        console.error('Failed to parse READY_TO_QUOTE JSON:', e.message);
-        // Save response without the tag and continue conversation
-        const cleanResponse = conversationalPart || "Can you tell me a bit more about the issue?";
-        db.saveChatMessage(phoneNumber, 'assistant', cleanResponse);
-        db.updateConversationState(phoneNumber, 'CUSTOMER_INTAKE', { customer_id: customer.id });
-        return cleanResponse;
+      console.error(`LLM provider ${this.llm.name} error:`, e.message);
+      if (!this.fallbackLlm) {
+        return "I'm having trouble right now. Please try again in a moment.";
       }
+      intakeResult = await this.runIntakeModel(this.fallbackLlm, aiMessages, toolHandlers);
+    }
 
-      // Map urgency
-      const urgencyMap = { 'low': 'low', 'medium': 'medium', 'high': 'high', 'emergency': 'emergency' };
-      const urgency = urgencyMap[quoteData.urgency] || 'medium';
+    const { reply: conversationalPart, jobRequest } = intakeResult;
 
-      // Generate quote
-      const quoteContext = {
-        urgency_level: urgency,
-        service_category: quoteData.category || 'general_handyman'
+    if (jobRequest) {
+      // Already validated against the tool schema
+      const urgency = jobRequest.urgency;
+      const category = jobRequest.category;
+      const jobZip = jobRequest.zip;
+
+      // Route the job to the contractor best suited to this category and area
+      const jobDetails = {
+        problem_description: jobRequest.problem,
+        service_category: category,
+        urgency_level: urgency
       };
-      const { minCost, maxCost } = await this.generateQuote(quoteContext, selectedContractor);
+      const candidates = jobZip === customerZip ? areaContractors : db.findAvailableContractors(jobZip);
+      const bestMatch = quoting.findBestContractor(jobDetails, quoting.filterByCategory(candidates, category));
+
+      if (!bestMatch) {
+        const reply = candidates.length > 0
+          ? `Sorry, none of our pros in ${jobZip} do ${category.replace(/_/g, ' ')} work right now. Text me again if you need help with something else.`
+          : `Sorry, we don't have any contractors serving ${jobZip} yet. Text me again if you have a job at a different address.`;
+        db.saveChatMessage(phoneNumber, 'assistant', reply);
+        db.updateConversationState(phoneNumber, 'IDLE', {});
+        return reply;
+      }
+      selectedContractor = bestMatch.contractor;
+
+      const jobAddress = jobRequest.address || customer.address || jobZip;
+      db.updateCustomerLocation(customer.id, { address: jobRequest.address, zip_code: jobZip });
+
+      // Same engine as /api/quote/estimate, priced for the requested time if there is one
+      const quote = quoting.generateQuote(jobDetails, selectedContractor, { scheduledTime: jobRequest.preferred_time });
+      const { minCost, maxCost } = quote;
 
       // Create job
       const { v4: uuidv4 } = require('uuid');
@@ -179,41 +209,160 @@ If they mention a previous job, ask if this is related.`;
       const jobId = db.createJob({
         customer_id: customer.id,
         job_uuid: jobUuid,
-        problem_description: quoteData.problem || quoteData.details,
-        service_category: quoteData.category || 'general_handyman',
+        problem_description: jobDetails.problem_description,
+        service_category: category,
         urgency_level: urgency,
-        customer_address: selectedContractor.service_area_zip,
-        customer_zip: selectedContractor.service_area_zip,
+        customer_address: jobAddress,
+        customer_zip: jobZip,
         estimated_cost_min: minCost,
-        estimated_cost_max: maxCost
+        estimated_cost_max: maxCost,
+        quote_breakdown: quote.breakdown
+      });
+      lifecycle.recordCreated(jobId, { actor: `customer:${phoneNumber}`, source: 'sms' });
+
+      const estimate = quotes.createQuote(jobId, {
+        kind: 'estimate',
+        contractorId: selectedContractor.id,
+        amountMin: minCost,
+        amountMax: maxCost,
+        breakdown: quote.breakdown,
+        actor: 'system'
       });
 
       const newContext = {
         customer_id: customer.id,
         job_id: jobId,
+        quote_id: estimate.id,
         contractor_id: selectedContractor.id,
-        problem_description: quoteData.problem,
-        service_category: quoteData.category,
-        urgency_level: urgency
+        problem_description: jobDetails.problem_description,
+        service_category: category,
+        urgency_level: urgency,
+        customer_zip: jobZip
       };
 
       db.updateConversationState(phoneNumber, 'AWAITING_QUOTE_APPROVAL', newContext);
 
       const quoteMessage = (conversationalPart ? conversationalPart + '\n\n' : '') +
         `Here's what I've put together:\n\n` +
-        `💰 Estimated cost: $${minCost}-$${maxCost}\n` +
+        `💰 Estimated cost: ${quotes.formatAmount(estimate)}\n` +
         `🔧 ${selectedContractor.business_name}\n` +
-        `📅 Available: ${this.getAvailabilityText(selectedContractor)}\n\n` +
+        `📅 Available: ${this.getAvailabilityText(selectedContractor)}\n` +
+        `⏳ Good until ${quotes.formatExpiry(estimate)}\n\n` +
         `Reply YES to book this job, or NO to cancel.`;
 
       db.saveChatMessage(phoneNumber, 'assistant', quoteMessage);
       return quoteMessage;
     }
 
-    // No quote tag — just a conversational response
-    db.saveChatMessage(phoneNumber, 'assistant', aiResponse);
-    db.updateConversationState(phoneNumber, 'CUSTOMER_INTAKE', { customer_id: customer.id });
-    return aiResponse;
+    // No job request yet — just a conversational response
+    const reply = conversationalPart || "Can you tell me a bit more about the issue?";
+    db.saveChatMessage(phoneNumber, 'assistant', reply);
+    db.updateConversationState(phoneNumber, 'CUSTOMER_INTAKE', this.intakeContext(customer.id, customerZip, selectedContractor, intakeStartId));
+    return reply;
+  }
+
+  // Chat with the model, running any lookup tools it calls, until it either
+  // replies to the customer or submits a job request that passes validation.
+  // Returns { reply, jobRequest } where jobRequest is null if not ready yet.
+  async runIntakeModel(provider, messages, toolHandlers) {
+    const conversation = [...messages];
+
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      const message = await provider.chat({
+        messages: conversation,
+        tools: intake.TOOLS,
+        maxTokens: 300,
+        temperature: 0.7
+      });
+      const toolCalls = message.tool_calls || [];
+      const reply = (message.content || '').trim();
+
+      if (toolCalls.length === 0) {
+        return { reply, jobRequest: null };
+      }
+
+      conversation.push(message);
+      let jobRequest = null;
+
+      for (const call of toolCalls) {
+        let args;
+        try {
+          args = JSON.parse(call.function.arguments || '{}');
+        } catch (e) {
+          args = null;
+        }
+
+        let result;
+        if (!args) {
+          result = { ok: false, error: 'Arguments were not valid JSON. Try again.' };
+        } else if (call.function.name === 'submit_job_request') {
+          const validation = intake.validateJobRequest(args);
+          if (validation.value) {
+            jobRequest = validation.value;
+            result = { ok: true };
+          } else {
+            result = intake.describeValidationError(validation);
+          }
+        } else if (toolHandlers[call.function.name]) {
+          result = toolHandlers[call.function.name](args);
+        } else {
+          result = { ok: false, error: `Unknown tool: ${call.function.name}` };
+        }
+
+        conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+      }
+
+      if (jobRequest) {
+        return { reply, jobRequest };
+      }
+    }
+
+    // The model kept calling tools; fall back to a plain reply
+    return { reply: '', jobRequest: null };
+  }
+
+  buildIntakePrompt(contractor, areaContractors, customerZip) {
+    let intro;
+    if (contractor) {
+      intro = `You are a friendly AI receptionist for ${contractor.business_name}, a ${contractor.trade_type} business.`;
+    } else if (areaContractors.length > 0) {
+      const trades = [...new Set(areaContractors.map(c => c.trade_type).filter(Boolean))];
+      intro = `You are a friendly AI receptionist for JobFlow, which books local service pros. In the customer's area we have: ${trades.join(', ')}.`;
+    } else {
+      intro = `You are a friendly AI receptionist for JobFlow, which books local service pros.`;
+    }
+
+    return `${intro}
+
+Your job is to understand the customer's problem thoroughly before generating a quote.
+
+Information you need to gather (naturally, not as a checklist):
+- What's the problem? (specific details)
+- How long has it been going on?
+- Any related symptoms or damage?
+- Have they tried anything to fix it?
+- How urgent is it?
+- The service address and 5-digit zip code${customerZip ? ` (zip already known: ${customerZip})` : ''}
+
+When you have enough information to understand the scope of work, call submit_job_request. You may include a short conversational message alongside the call.
+Never call it until you know the zip code. If it reports missing or invalid fields, ask the customer for them.
+If the customer asks when someone can come out, call lookup_available_slots. If they ask for a specific day and time, pass it as preferred_time (today is ${new Date().toISOString().split('T')[0]}).
+Otherwise, just have a natural conversation. Be empathetic, professional, and thorough.
+Don't ask all questions at once — 1-2 per message max.
+Keep responses concise (2-4 sentences typically).
+If they mention a previous job, ask if this is related.`;
+  }
+
+  intakeContext(customerId, customerZip, contractor, intakeStartId) {
+    const context = { customer_id: customerId, intake_start_id: intakeStartId };
+    if (customerZip) context.customer_zip = customerZip;
+    if (contractor) context.contractor_id = contractor.id;
+    return context;
+  }
+
+  extractZip(text) {
+    const match = String(text).match(/\b\d{5}\b/);
+    return match ? match[0] : null;
   }
 
   // ---- Existing handlers (kept as-is) ----
@@ -222,14 +371,81 @@ If they mention a previous job, ask if this is related.`;
     const upperMessage = message.toUpperCase().trim();
     
     if (upperMessage === 'DASHBOARD') {
-      return `Visit your dashboard: ${process.env.BASE_URL || 'http://localhost:3000'}/dashboard?phone=${encodeURIComponent(phoneNumber)}`;
+      return `Your dashboard login link (works once, for ${sessions.LOGIN_LINK_TTL_MINUTES} minutes): ${sessions.createLoginLink(contractor)}`;
+    }
+
+    if (upperMessage === 'PRICES' || upperMessage.startsWith('PRICE ')) {
+      return catalog.handleSmsCommand(contractor, message);
+    }
+
+    // CONFIRM / DECLINE, optionally with the job code: "CONFIRM J4F2"
+    const rescheduleAnswer = upperMessage.match(/^(CONFIRM|DECLINE)(?:\s+(J[2-9A-HJKMNP-Z]{3,4}))?$/);
+    if (rescheduleAnswer) {
+      return await appointments.answerReschedule(contractor, rescheduleAnswer[1] === 'CONFIRM', rescheduleAnswer[2] || null);
     }
 
-    if (['A', 'C', 'X'].includes(upperMessage) || upperMessage.startsWith('Q ')) {
-      return await this.handleContractorJobResponse(phoneNumber, message, contractor);
+    const command = await this.interpretContractorMessage(message, contractor);
+    if (command) {
+      return await commands.runOrConfirm(phoneNumber, command, contractor);
+    }
+
+    return "Commands: DASHBOARD (access your jobs), PRICES (your price list), or respond to job notifications with A (approve), C (call customer), Q [amount] (custom quote), or X (pass). You can also just say what you need, e.g. 'running 20 min late' or 'I'll take it, Thursday 9am'.";
+  }
+
+  // Free text from a contractor as a job command, or null. The model gets
+  // their open jobs so it can tell which one is meant; the keyword rules
+  // step in when it doesn't call the tool or errors.
+  async interpretContractorMessage(message, contractor) {
+    const jobs = db.getJobsByContractor(contractor.id)
+      .filter(job => ['quoted', 'approved', 'scheduled', 'in_progress'].includes(job.status) ||
+        (job.status === 'completed' && !job.invoice_sent));
+    const jobCodes = jobs.map(job => job.ref_code);
+
+    try {
+      const response = await this.llm.chat({
+        messages: [
+          { role: 'system', content: this.contractorCommandPrompt(contractor, jobs) },
+          { role: 'user', content: message }
+        ],
+        tools: intents.TOOLS,
+        maxTokens: 200,
+        temperature: 0
+      });
+      const call = (response.tool_calls || []).find(c => c.function.name === 'contractor_command');
+      if (call) {
+        return intents.validateCommand(JSON.parse(call.function.arguments || '{}'), { jobCodes, message });
+      }
+    } catch (error) {
+      console.error('Error interpreting contractor message:', error.message);
     }
 
-    return "Commands: DASHBOARD (access your jobs), or respond to job notifications with A (approve), C (call customer), Q [amount] (custom quote), or X (pass).";
+    return intents.parseWithRules(message, { jobCodes });
+  }
+
+  contractorCommandPrompt(contractor, jobs) {
+    const now = new Date();
+    const jobList = jobs.slice(0, 15).map(job => {
+      const when = job.scheduled_date ? `, booked ${job.scheduled_date} ${job.scheduled_time || ''}`.trimEnd() : '';
+      return `- ${job.ref_code}: ${job.status.replace(/_/g, ' ')}, ${job.service_category || 'job'} at ${job.customer_address || 'address unknown'}${when}`;
+    }).join('\n');
+
+    return `You read text messages from ${contractor.business_name}, a contractor using JobFlow, and turn them into job commands by calling contractor_command.
+
+Today is ${now.toLocaleDateString('en-US', { weekday: 'long' })}, ${intents.localDate(now)}.
+
+Their open jobs:
+${jobList || '- none'}
+
+Quoted jobs are waiting for them to approve, quote their own price or pass. Approved jobs need a time booked. Scheduled and in-progress jobs can get an ETA or be marked complete, and completed jobs can be invoiced.
+Only use a job code from the list. Leave job_code out when the message doesn't say which job and more than one could fit.
+If the message is a question, small talk or anything else, use action "none".`;
+  }
+
+  // YES/NO to a contractor command we asked about; anything else is a new message
+  async handleCommandConfirmation(phoneNumber, message, context) {
+    const reply = await commands.handleConfirmation(phoneNumber, message, context);
+    if (reply !== null) return reply;
+    return await this.handleSmartConversation(phoneNumber, message, {});
   }
 
   async handleContractorOnboarding(phoneNumber, message, context) {
@@ -320,26 +536,28 @@ If they mention a previous job, ask if this is related.`;
   async handleQuoteApproval(phoneNumber, message, context) {
     const response = message.toUpperCase().trim();
     
+    let accepted = null;
+    if (['YES', 'Y', 'NO', 'N'].includes(response) && context.quote_id) {
+      // The answer applies to the quote version the customer was shown
+      const result = await quotes.respondToQuote(context.quote_id, response.startsWith('Y'));
+      if (!result.success) {
+        return this.handleStaleQuoteReply(phoneNumber, result, context);
+      }
+      accepted = result.quote;
+    }
+
     if (response === 'YES' || response === 'Y') {
       const job = db.getJobById(context.job_id);
       const contractor = db.getContractorById(context.contractor_id);
       
       if (job && contractor) {
+        if (accepted) {
+          db.updateJobEstimate(job.id, accepted.amount_min, accepted.amount_max, accepted.breakdown);
+        }
         db.assignJobToContractor(context.job_id, context.contractor_id);
-        db.updateJobStatus(context.job_id, 'quoted');
+        lifecycle.transition(context.job_id, 'quoted', { actor: `customer:${phoneNumber}`, source: 'sms', note: 'Customer accepted estimate' });
         
-        console.log('CONTRACTOR_NOTIFICATION:' + JSON.stringify({
-          contractor_id: context.contractor_id,
-          contractor_phone: contractor.phone_number,
-          business_name: contractor.business_name,
-          job_id: context.job_id,
-          problem: job.problem_description,
-          location: job.customer_address,
-          urgency: job.urgency_level,
-          cost_min: job.estimated_cost_min,
-          cost_max: job.estimated_cost_max,
-          customer_phone: phoneNumber
-        }));
+        await dispatch.offerJob(context.job_id);
         db.updateConversationState(phoneNumber, 'AWAITING_CONTRACTOR_RESPONSE', context);
         
         return `Great! I've sent your request to ${contractor.business_name}. They'll respond soon with confirmation or may call you directly. I'll keep you updated!`;
@@ -349,7 +567,7 @@ If they mention a previous job, ask if this is related.`;
       }
     } else if (response === 'NO' || response === 'N') {
       if (context.job_id) {
-        db.updateJobStatus(context.job_id, 'cancelled');
+        lifecycle.transition(context.job_id, 'cancelled', { actor: `customer:${phoneNumber}`, source: 'sms', note: 'Customer declined estimate' });
       }
       db.updateConversationState(phoneNumber, 'IDLE', {});
       return "No problem! Feel free to text me again if you need help with anything else.";
@@ -358,6 +576,106 @@ If they mention a previous job, ask if this is related.`;
     }
   }
 
+  // Reply to a contractor's custom quote: YES books the job at that price, NO
+  // offers the job to another contractor, and a price ("can you do 300?") is
+  // passed to the contractor as a counter-offer
+  async handleCustomQuoteResponse(phoneNumber, message, context) {
+    const quote = db.getQuoteById(context.quote_id);
+    if (!quote) {
+      db.updateConversationState(phoneNumber, 'IDLE', {});
+      return "That quote is no longer open. Text me anytime if you need help with something else.";
+    }
+
+    if (quote.kind === 'counter' && quote.status === 'pending') {
+      return `I've passed your offer of ${quotes.formatAmount(quote)} to the contractor. I'll text you as soon as they answer.`;
+    }
+
+    const response = message.toUpperCase().trim();
+
+    if (['YES', 'Y', 'NO', 'N'].includes(response)) {
+      const accepted = response.startsWith('Y');
+      const result = await quotes.respondToQuote(quote.id, accepted);
+      if (!result.success) {
+        return this.handleStaleQuoteReply(phoneNumber, result, context);
+      }
+
+      const job = db.getJobById(quote.job_id);
+      const contractor = db.getContractorById(quote.contractor_id);
+      const amount = quotes.formatAmount(quote);
+
+      if (accepted) {
+        lifecycle.transition(job.id, 'approved', { actor: `customer:${phoneNumber}`, source: 'sms', note: `Customer accepted custom quote of ${amount}` });
+        db.updateConversationState(phoneNumber, 'IDLE', {});
+        const slotOffer = await booking.prepareSlotOffer(job.id);
+        await sms.sendSMS(contractor.phone_number, slotOffer
+          ? `✅ The customer accepted your ${amount} quote for job ${job.ref_code} and is picking a time from your calendar.`
+          : `✅ The customer accepted your ${amount} quote for job ${job.ref_code}. Please contact them to schedule: ${phoneNumber}`
+        );
+        if (slotOffer) {
+          return `Great, you're booked with ${contractor.business_name} for ${amount}!\n\n${slotOffer}`;
+        }
+        return `Great, you're booked with ${contractor.business_name} for ${amount}! They'll contact you soon to schedule the work.\n\n📞 ${contractor.phone_number}`;
+      }
+
+      // Take the job off the declined contractor so they can't approve or re-quote it
+      dispatch.recordResponse(job.id, contractor.id);
+      lifecycle.transition(job.id, 'contractor_passed', {
+        actor: `customer:${phoneNumber}`,
+        source: 'sms',
+        note: `Customer declined custom quote of ${amount}`
+      });
+      await sms.sendSMS(contractor.phone_number,
+        `The customer declined your ${amount} quote for job ${job.ref_code}. The job is being offered to another contractor.`
+      );
+      // An alternative's estimate leaves the customer awaiting its approval
+      const alternative = await dispatch.findAlternativeContractor(db.getJobById(job.id));
+      if (!alternative) {
+        db.updateConversationState(phoneNumber, 'IDLE', {});
+      }
+      return `No problem, I've declined ${contractor.business_name}'s quote.`;
+    }
+
+    const offer = this.parseCounterOffer(message);
+    if (offer === null) {
+      return `Reply YES to accept the ${quotes.formatAmount(quote)} quote, NO to decline, or text the price you'd like to offer (e.g. "can you do 300?").`;
+    }
+    if (offer >= quote.amount_min) {
+      return `That's not below their quote of ${quotes.formatAmount(quote)}. Reply YES to accept it, or NO to decline.`;
+    }
+
+    const result = await quotes.counterOffer(quote.id, offer, phoneNumber);
+    if (!result.success) {
+      return this.handleStaleQuoteReply(phoneNumber, result, context);
+    }
+    return `I've asked the contractor if they can do ${quotes.formatAmount(result.quote)}. I'll text you their answer.`;
+  }
+
+  // Dollar amount in a counter-offer like "can you do $300?" or "how about 250", or null.
+  // A bare number ("I'm home after 5") isn't an offer: it needs a $ or an offer phrase.
+  parseCounterOffer(message) {
+    const text = String(message).replace(/,/g, '');
+    const match = text.match(/\$\s*(\d+(?:\.\d{1,2})?)/) ||
+      text.match(/\b(?:do it for|how about|what about|can you do|could you do|would you do|will you do|offer)\s+(?:\$\s*)?(\d+(?:\.\d{1,2})?)/i);
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    return amount > 0 ? amount : null;
+  }
+
+  // YES/NO arrived for a quote that is no longer open
+  handleStaleQuoteReply(phoneNumber, result, context) {
+    const latest = result.latest;
+    if (result.error === 'superseded' && latest && latest.status === 'pending') {
+      db.updateConversationState(phoneNumber, quotes.awaitingState(latest), { ...context, quote_id: latest.id });
+      return `That quote was updated. The latest is ${quotes.formatAmount(latest)}, good until ${quotes.formatExpiry(latest)}.\n\nReply YES to accept it, or NO to decline.`;
+    }
+
+    db.updateConversationState(phoneNumber, 'IDLE', {});
+    if (result.error === 'expired') {
+      return "Sorry, that quote has expired. Text me about the job again and I'll get you an updated quote.";
+    }
+    return "That quote is no longer open. Text me anytime if you need help with something else.";
+  }
+
   async handleContractorResponse(phoneNumber, message, contractor) {
     const response = message.toUpperCase().trim();
     
@@ -375,28 +693,28 @@ If they mention a previous job, ask if this is related.`;
     return "Reply: A (approve), C (call customer), Q [amount] (custom quote), X (pass)";
   }
 
-  async handleContractorJobResponse(phoneNumber, message, contractor) {
-    return await this.handleContractorResponse(phoneNumber, message, contractor);
-  }
-
+  // Customers with a booked job can reschedule or cancel it; anything else
+  // is a normal conversation
   async handleScheduledJobMessages(phoneNumber, message, context) {
-    return "Your job is scheduled! I'll send reminders as the date approaches.";
+    const reply = await appointments.handleMessage(phoneNumber, message);
+    if (reply) return reply;
+    return await this.handleSmartConversation(phoneNumber, message, context);
   }
 
   // ---- AI Helper Methods ----
 
   async parseServices(servicesText, tradeType) {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.llm.chat({
         messages: [
           { role: 'system', content: `Parse this ${tradeType} service description into a JSON array of specific services. Return valid JSON only.` },
           { role: 'user', content: servicesText }
         ],
-        max_tokens: 200,
+        maxTokens: 200,
         temperature: 0.1
       });
-      return JSON.parse(response.choices[0].message.content.trim());
+      if (!response.content) return [servicesText];
+      return JSON.parse(response.content.trim());
     } catch (error) {
       console.error('Error parsing services:', error);
       return [servicesText];
@@ -407,27 +725,6 @@ If they mention a previous job, ask if this is related.`;
     return { general: hoursText };
   }
 
-  async generateQuote(context, contractor) {
-    const baseMultipliers = {
-      'low': 1.0,
-      'medium': 1.2,
-      'high': 1.4,
-      'emergency': 1.0 + contractor.emergency_markup
-    };
-
-    const baseCost = contractor.base_service_fee;
-    const hourlyRate = contractor.hourly_rate;
-    const urgencyMultiplier = baseMultipliers[context.urgency_level] || 1.2;
-    
-    const minHours = 1;
-    const maxHours = 3;
-    
-    const minCost = Math.round((baseCost + (hourlyRate * minHours)) * urgencyMultiplier);
-    const maxCost = Math.round((baseCost + (hourlyRate * maxHours)) * urgencyMultiplier);
-
-    return { minCost, maxCost };
-  }
-
   getAvailabilityText(contractor) {
     return "This week";
   }
@@ -0,0 +1,293 @@
+const db = require('./db');
+const sms = require('./sms');
+const lifecycle = require('./lifecycle');
+const calendar = require('./calendar');
+const booking = require('./booking');
+
+// Customer changes to a booked job over SMS. RESCHEDULE (or "can we move it")
+// offers new slots and the contractor confirms the move with CONFIRM/DECLINE
+// (plus the job code when more than one request is waiting);
+// CANCEL cancels after the customer confirms, charging a late-cancellation fee
+// when CANCELLATION_RULES says so.
+
+const CANCEL_PATTERN = /^cancel\b|\bcancel\b.*\b(appointment|appt|booking|job|visit)\b|\bneed to cancel\b|\bcall (it|this) off\b/i;
+const RESCHEDULE_PATTERN = /\bre-?schedul|\b(change|move|push|switch|shift)\b.*\b(time|date|day|appointment|appt|booking|visit)\b|\b(different|another|new) (time|day|date)\b|\bcan'?t make it\b/i;
+
+// Which change a customer message asks for: 'cancel', 'reschedule' or null
+function detectIntent(message) {
+  const text = String(message || '').trim();
+  if (CANCEL_PATTERN.test(text)) return 'cancel';
+  if (RESCHEDULE_PATTERN.test(text)) return 'reschedule';
+  return null;
+}
+
+// CANCELLATION_RULES is a list of hours:fee windows, e.g. "24:50,2:100" means
+// cancelling within 24 hours of the appointment costs $50 and within 2 hours $100.
+// Tightest window first.
+function cancellationRules(env = process.env) {
+  return String(env.CANCELLATION_RULES || '')
+    .split(',')
+    .map(rule => {
+      const [hours, fee] = rule.split(':').map(Number);
+      return { hours, fee };
+    })
+    .filter(rule => rule.hours > 0 && rule.fee >= 0)
+    .sort((a, b) => a.hours - b.hours);
+}
+
+function appointmentStart(job) {
+  const time = /^\d{1,2}:\d{2}$/.test(job.scheduled_time || '') ? job.scheduled_time.padStart(5, '0') : '09:00';
+  return new Date(`${job.scheduled_date}T${time}:00`);
+}
+
+function formatAppointment(job) {
+  return appointmentStart(job).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+}
+
+// Fee for cancelling this job now under the tightest window it falls inside
+function cancellationFee(job, now = new Date()) {
+  const hoursUntil = (appointmentStart(job) - now) / (60 * 60 * 1000);
+  const rule = cancellationRules().find(rule => hoursUntil <= rule.hours);
+  return rule ? rule.fee : 0;
+}
+
+// The customer's next booked job, or null
+function findUpcomingJob(phoneNumber) {
+  const customer = db.getCustomerByPhone(phoneNumber);
+  if (!customer) return null;
+
+  const now = new Date();
+  return db.getCustomerJobs(customer.id)
+    .filter(job => job.status === 'scheduled' && job.scheduled_date && appointmentStart(job) > now)
+    .sort((a, b) => appointmentStart(a) - appointmentStart(b))[0] || null;
+}
+
+// Start a reschedule or cancellation if the message asks for one and the
+// customer has a booked job. Returns the reply text, or null to carry on
+// with the normal conversation.
+async function handleMessage(phoneNumber, message) {
+  const intent = detectIntent(message);
+  if (!intent) return null;
+
+  const job = findUpcomingJob(phoneNumber);
+  if (!job) return null;
+
+  return intent === 'cancel'
+    ? startCancel(phoneNumber, job)
+    : await startReschedule(phoneNumber, job);
+}
+
+function startCancel(phoneNumber, job) {
+  const contractor = db.getContractorById(job.contractor_id);
+  const fee = cancellationFee(job);
+
+  db.updateConversationState(phoneNumber, 'AWAITING_CANCEL_CONFIRMATION', { job_id: job.id, fee });
+
+  let message = `Your ${job.service_category} appointment with ${contractor ? contractor.business_name : 'your contractor'} is ${formatAppointment(job)}.\n\n`;
+  if (fee > 0) {
+    message += `Cancelling this close to the appointment has a $${fee} late-cancellation fee.\n\n` +
+      `Reply YES to cancel anyway, or NO to keep it.`;
+  } else {
+    message += `Reply YES to cancel it, or NO to keep it.`;
+  }
+  return message;
+}
+
+// Reply from a customer in AWAITING_CANCEL_CONFIRMATION
+async function handleCancelConfirmation(phoneNumber, message, context) {
+  const response = message.toUpperCase().trim();
+  const job = db.getJobById(context.job_id);
+
+  if (!job || job.status !== 'scheduled') {
+    db.updateConversationState(phoneNumber, 'IDLE', {});
+    return "That appointment is no longer booked. Text me anytime if you need help!";
+  }
+
+  if (response === 'NO' || response === 'N') {
+    db.updateConversationState(phoneNumber, 'IDLE', {});
+    return `No problem, you're still booked for ${formatAppointment(job)}.`;
+  }
+
+  if (response !== 'YES' && response !== 'Y') {
+    return `Reply YES to cancel your appointment on ${formatAppointment(job)}, or NO to keep it.`;
+  }
+
+  // The fee can go up while the customer thinks it over; ask again if it did
+  const fee = cancellationFee(job);
+  if (fee > (context.fee || 0)) {
+    return startCancel(phoneNumber, job);
+  }
+
+  await cancelBooking(job, { actor: `customer:${phoneNumber}`, source: 'sms', fee });
+  db.updateConversationState(phoneNumber, 'IDLE', {});
+
+  return fee > 0
+    ? `Your appointment on ${formatAppointment(job)} is cancelled. A $${fee} late-cancellation fee applies.`
+    : `Your appointment on ${formatAppointment(job)} is cancelled. Text me anytime if you need help again!`;
+}
+
+// Undo everything attached to a booking: reminders, the calendar event and
+// any reschedule still waiting on the contractor
+async function releaseBooking(job) {
+  const scheduler = require('./scheduler');
+  scheduler.cancelJobReminders(job.id);
+  db.cancelPendingReschedules(job.id);
+  if (job.contractor_id) {
+    await calendar.deleteCalendarEvent(job.contractor_id, job);
+  }
+}
+
+// Customer cancellation of a booked job. options: { actor, source, fee }
+async function cancelBooking(job, options = {}) {
+  const fee = options.fee || 0;
+  lifecycle.transition(job.id, 'cancelled', {
+    actor: options.actor,
+    source: options.source,
+    note: fee > 0 ? `Cancelled by customer inside the cancellation window ($${fee} fee)` : 'Cancelled by customer'
+  });
+  if (fee > 0) {
+    db.setJobCancellationFee(job.id, fee);
+  }
+
+  await releaseBooking(job);
+
+  const contractor = db.getContractorById(job.contractor_id);
+  if (contractor) {
+    await sms.sendSMS(contractor.phone_number,
+      `❌ The customer cancelled job ${job.ref_code} (${formatAppointment(job)}).` +
+      (fee > 0 ? ` A $${fee} late-cancellation fee applies.` : '')
+    );
+  }
+}
+
+async function startReschedule(phoneNumber, job) {
+  const pending = db.getPendingRescheduleForJob(job.id);
+  if (pending) {
+    return `You've already asked to move this appointment to ${formatAppointment({ scheduled_date: pending.to_date, scheduled_time: pending.to_time })}. ` +
+      `I'll text you as soon as the contractor answers.`;
+  }
+
+  const offer = await booking.prepareSlotOffer(job.id, [], { reschedule: true });
+  if (offer) {
+    return `Your appointment is ${formatAppointment(job)}.\n\n${offer}`;
+  }
+
+  const contractor = db.getContractorById(job.contractor_id);
+  if (contractor) {
+    await sms.sendSMS(contractor.phone_number,
+      `📞 The customer for job ${job.ref_code} wants to reschedule (${formatAppointment(job)}). Please call them: ${phoneNumber}`
+    );
+  }
+  return `I don't see other open times right now, so I've asked the contractor to call you. You're still booked for ${formatAppointment(job)} until then.`;
+}
+
+// The customer picked a new slot: ask the contractor to confirm the move
+async function requestReschedule(phoneNumber, slot, context) {
+  const job = db.getJobById(context.job_id);
+  db.updateConversationState(phoneNumber, 'IDLE', {});
+
+  if (!job || job.status !== 'scheduled') {
+    return "That appointment is no longer booked. Text me anytime if you need help!";
+  }
+
+  db.cancelPendingReschedules(job.id);
+  db.createRescheduleRequest({
+    job_id: job.id,
+    contractor_id: job.contractor_id,
+    from_date: job.scheduled_date,
+    from_time: job.scheduled_time,
+    to_date: slot.date,
+    to_time: slot.time,
+    requested_by: `customer:${phoneNumber}`
+  });
+
+  const contractor = db.getContractorById(job.contractor_id);
+  if (contractor) {
+    await sms.sendSMS(contractor.phone_number,
+      `📅 The customer for job ${job.ref_code} asks to move their appointment from ${formatAppointment(job)} to ${slot.display}.\n\n` +
+      `Reply CONFIRM ${job.ref_code} to accept or DECLINE ${job.ref_code} to keep the current time.`
+    );
+  }
+
+  return `I've asked ${contractor ? contractor.business_name : 'the contractor'} to move your appointment to ${slot.display}. ` +
+    `You're still booked for ${formatAppointment(job)} until they confirm.`;
+}
+
+// CONFIRM / DECLINE [job code] from a contractor; returns the reply text.
+// Without a code it only goes ahead when a single request is waiting.
+async function answerReschedule(contractor, accepted, jobCode = null) {
+  const pending = db.getPendingReschedulesForContractor(contractor.id);
+  if (pending.length === 0) return "No reschedule requests waiting for your answer.";
+
+  const word = accepted ? 'CONFIRM' : 'DECLINE';
+  let request = pending[0];
+  if (jobCode) {
+    request = pending.find(r => r.ref_code === jobCode);
+    if (!request) return `No reschedule request waiting for job ${jobCode}. Check the code in the request text.`;
+  } else if (pending.length > 1) {
+    const list = pending.slice(0, 5)
+      .map(r => `${r.ref_code} - ${formatAppointment({ scheduled_date: r.from_date, scheduled_time: r.from_time })} to ` +
+        formatAppointment({ scheduled_date: r.to_date, scheduled_time: r.to_time }))
+      .join('\n');
+    return `Which job? You have ${pending.length} reschedule requests waiting:\n${list}${pending.length > 5 ? '\n...' : ''}\n\n` +
+      `Reply again with the job code, e.g. ${word} ${pending[0].ref_code}`;
+  }
+
+  const { job, customer } = db.getJobParties(request.job_id);
+  const newTime = { scheduled_date: request.to_date, scheduled_time: request.to_time };
+
+  if (!job || job.status !== 'scheduled') {
+    db.updateRescheduleRequestStatus(request.id, 'cancelled');
+    return `Job ${request.ref_code} is no longer scheduled, so there's nothing to move.`;
+  }
+
+  if (accepted && appointmentStart(newTime) <= new Date()) {
+    db.updateRescheduleRequestStatus(request.id, 'cancelled');
+    if (customer) {
+      await sms.sendSMS(customer.phone_number,
+        `The time you asked for (${formatAppointment(newTime)}) has passed, so you're still booked for ${formatAppointment(job)}. Reply RESCHEDULE to pick another time.`,
+        { jobId: job.id }
+      );
+    }
+    return `That time has already passed. The customer has been asked to pick another.`;
+  }
+
+  if (!accepted) {
+    db.updateRescheduleRequestStatus(request.id, 'declined');
+    if (customer) {
+      await sms.sendSMS(customer.phone_number,
+        `${contractor.business_name} can't make ${formatAppointment(newTime)}, so you're still booked for ${formatAppointment(job)}.\n\n` +
+        `Reply RESCHEDULE to pick another time, or CANCEL to cancel.`,
+        { jobId: job.id }
+      );
+    }
+    return `Got it. The customer keeps ${formatAppointment(job)}.`;
+  }
+
+  const scheduler = require('./scheduler');
+  const result = await scheduler.rescheduleJob(job.id, request.to_date, request.to_time, 'Requested by customer', {
+    actor: `contractor:${contractor.id}`,
+    source: 'sms'
+  });
+  if (!result.success) {
+    return "Sorry, I couldn't move that job. Please try again.";
+  }
+
+  db.updateRescheduleRequestStatus(request.id, 'confirmed');
+
+  return `✅ Job ${job.ref_code} moved to ${formatAppointment(newTime)}.`;
+}
+
+module.exports = {
+  detectIntent,
+  cancellationRules,
+  cancellationFee,
+  findUpcomingJob,
+  handleMessage,
+  handleCancelConfirmation,
+  releaseBooking,
+  requestReschedule,
+  answerReschedule,
+};
@@ -0,0 +1,118 @@
+const db = require('./db');
+const sms = require('./sms');
+const lifecycle = require('./lifecycle');
+
+// Live arrival times for booked jobs. "OTW 25" or "on the way, there by 2:30"
+// starts the trip and texts the customer an ETA; "LATE 15" pushes the ETA back
+// and texts them the new one; "HERE" records the arrival. Each arrival is
+// measured against the job's scheduled_time and counts as on time up to
+// ON_TIME_GRACE_MINUTES late. A job completed without a HERE text takes its
+// last ETA as the arrival.
+
+const ON_TIME_GRACE_MINUTES = 5;
+
+// When the job was booked to start, or null without a booked time of day
+function scheduledStart(job) {
+  if (!job.scheduled_date || !/^\d{1,2}:\d{2}$/.test(job.scheduled_time || '')) return null;
+  return new Date(`${job.scheduled_date}T${job.scheduled_time.padStart(5, '0')}:00`);
+}
+
+function formatTime(date) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+// When the contractor now expects to arrive, from an eta command:
+//   { at: 'HH:MM' }        - a clock time ("there by 2:30" said after noon means 2:30pm)
+//   { minutes }            - that long from now
+//   { minutes, late: true } - that much later than the current ETA or booked time
+// Null when the command gives no usable time.
+function expectedArrival(job, command, now = new Date()) {
+  if (command.at) {
+    const [hours, minutes] = command.at.split(':').map(Number);
+    const at = new Date(now);
+    at.setHours(hours, minutes, 0, 0);
+    if (at <= now && hours < 12) at.setHours(hours + 12);
+    return at > now ? at : null;
+  }
+  if (!command.minutes) return null;
+
+  let base = now;
+  if (command.late) {
+    const expected = job.eta_at ? new Date(job.eta_at) : scheduledStart(job);
+    if (expected && expected > now) base = expected;
+  }
+  return new Date(base.getTime() + command.minutes * 60 * 1000);
+}
+
+// The contractor has set off: start the job and give the customer the ETA
+async function startTrip(job, contractor, etaAt) {
+  if (job.status === 'scheduled') {
+    lifecycle.transition(job.id, 'in_progress', {
+      actor: `contractor:${contractor.id}`,
+      source: 'sms',
+      note: etaAt ? `On the way, ETA ${formatTime(etaAt)}` : 'On the way'
+    });
+  }
+  db.setJobEta(job.id, etaAt ? etaAt.toISOString() : job.eta_at, new Date().toISOString());
+
+  return await sms.sendOnTheWayNotification(job.customer_phone, contractor.business_name, etaAt ? formatTime(etaAt) : null, job.id);
+}
+
+// Running late: note it on the job and send the customer the revised ETA
+async function reportDelay(job, contractor, minutes, etaAt) {
+  if (etaAt) {
+    db.setJobEta(job.id, etaAt.toISOString());
+  }
+  lifecycle.recordEvent(job.id, 'running_late', {
+    actor: `contractor:${contractor.id}`,
+    source: 'sms',
+    note: `Running ${minutes ? `${minutes} min ` : ''}late${etaAt ? `, ETA ${formatTime(etaAt)}` : ''}`
+  });
+
+  return await sms.sendRunningLateNotification(job.customer_phone, contractor.business_name, minutes, etaAt ? formatTime(etaAt) : null, job.id);
+}
+
+// Record when the contractor got to the job. Returns the minutes after the
+// booked time (negative when early), or null without a booked time.
+function recordArrival(job, arrivedAt = new Date()) {
+  const start = scheduledStart(job);
+  const delay = start ? Math.round((arrivedAt - start) / (60 * 1000)) : null;
+  db.recordJobArrival(job.id, arrivedAt.toISOString(), delay);
+  return delay;
+}
+
+// "HERE": the job starts now if the contractor didn't text OTW first
+function arrive(job, contractor, arrivedAt = new Date()) {
+  if (job.status === 'scheduled') {
+    lifecycle.transition(job.id, 'in_progress', { actor: `contractor:${contractor.id}`, source: 'sms', note: 'Arrived' });
+  }
+  return recordArrival(job, arrivedAt);
+}
+
+function describeDelay(delay) {
+  if (delay === null) return 'no booked time to compare with';
+  if (delay <= 0) return 'on time';
+  if (delay <= ON_TIME_GRACE_MINUTES) return `on time (${delay} min after the booked time)`;
+  return `${delay} min after the booked time`;
+}
+
+// On-time record for a contractor, e.g. for the dashboard stats
+function punctuality(contractorId) {
+  const stats = db.getContractorPunctuality(contractorId, ON_TIME_GRACE_MINUTES);
+  return {
+    ...stats,
+    onTimeRate: stats.arrivals ? Math.round(stats.onTime / stats.arrivals * 100) : null
+  };
+}
+
+module.exports = {
+  ON_TIME_GRACE_MINUTES,
+  formatTime,
+  expectedArrival,
+  startTrip,
+  reportDelay,
+  recordArrival,
+  arrive,
+  describeDelay,
+  punctuality,
+};
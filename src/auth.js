@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const db = require('./db');
+const secrets = require('./secrets');
+
+// API keys for the /api router. Callers send "Authorization: Bearer <key>"
+// (or an X-API-Key header) and get one of three roles:
+//   admin       - every route, including key management
+//   contractor  - only their own jobs, calendar and availability
+//   integration - read-only routes
+// Each key (or IP, for calls without a valid key) gets API_RATE_LIMIT requests
+// per minute (default 60), and every call is written to api_audit_log.
+// Create the first admin key with: npm run api-key -- admin "Ops"
+
+const ROLES = ['admin', 'contractor', 'integration'];
+const KEY_PREFIX = 'jf_';
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMIT = 60;
+
+function rateLimit() {
+  return Number(process.env.API_RATE_LIMIT) || DEFAULT_RATE_LIMIT;
+}
+
+// Issue a new key. The key itself is only returned here; just its hash is stored.
+// data: { name, role, contractorId, createdBy }
+// Returns { success, id, key } or { success: false, error }.
+function createApiKey(data) {
+  const name = String(data.name || '').trim();
+  if (!name) return { success: false, error: 'Key name is required' };
+  if (!ROLES.includes(data.role)) return { success: false, error: `Role must be one of: ${ROLES.join(', ')}` };
+
+  let contractorId = null;
+  if (data.role === 'contractor') {
+    contractorId = parseInt(data.contractorId, 10);
+    if (!db.getContractorById(contractorId)) return { success: false, error: 'Contractor keys need an existing contractorId' };
+  }
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const id = db.createApiKey({
+    name,
+    key_hash: secrets.hashToken(key),
+    key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+    role: data.role,
+    contractor_id: contractorId,
+    created_by: data.createdBy
+  });
+  return { success: true, id, key };
+}
+
+function readKey(req) {
+  const header = req.headers.authorization || '';
+  if (/^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  return req.headers['x-api-key'] || null;
+}
+
+// Fixed one-minute windows per bucket: { start, count }
+const windows = new Map();
+
+// Count a request against bucket; returns seconds until the window resets if over the limit, else 0
+function checkRateLimit(bucket, now = Date.now()) {
+  let window = windows.get(bucket);
+  if (!window || now - window.start >= RATE_WINDOW_MS) {
+    if (windows.size > 10000) {
+      for (const [key, w] of windows) {
+        if (now - w.start >= RATE_WINDOW_MS) windows.delete(key);
+      }
+    }
+    window = { start: now, count: 0 };
+    windows.set(bucket, window);
+  }
+
+  window.count++;
+  return window.count > rateLimit() ? Math.ceil((window.start + RATE_WINDOW_MS - now) / 1000) : 0;
+}
+
+// Log each call once its response has been sent
+function audit(req, res, next) {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    try {
+      db.recordApiCall({
+        api_key_id: req.auth?.keyId,
+        role: req.auth?.role,
+        contractor_id: req.auth?.contractorId,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        status: res.statusCode,
+        ip: req.ip,
+        duration_ms: Date.now() - startedAt
+      });
+    } catch (error) {
+      console.error('Error writing API audit log:', error.message);
+    }
+  });
+  next();
+}
+
+// Resolve the caller's key into req.auth = { keyId, role, contractorId }
+function authenticate(req, res, next) {
+  const key = readKey(req);
+  const apiKey = key ? db.getApiKeyByHash(secrets.hashToken(key)) : null;
+  if (apiKey) {
+    req.auth = { keyId: apiKey.id, role: apiKey.role, contractorId: apiKey.contractor_id };
+  }
+
+  const retryAfter = checkRateLimit(apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`);
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many requests' });
+  }
+
+  if (!apiKey) {
+    return res.status(401).json({ error: key ? 'Invalid API key' : 'API key required' });
+  }
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({ error: 'Not allowed for this API key' });
+    }
+    next();
+  };
+}
+
+// Contractor keys may only touch their own contractor's data
+function canAccessContractor(req, contractorId) {
+  return req.auth.role !== 'contractor' || Number(contractorId) === req.auth.contractorId;
+}
+
+// Lifecycle actor for changes made through the API
+function actorFor(req) {
+  return req.auth.role === 'contractor' ? `contractor:${req.auth.contractorId}` : `api_key:${req.auth.keyId}`;
+}
+
+module.exports = {
+  ROLES,
+  createApiKey,
+  audit,
+  authenticate,
+  requireRole,
+  canAccessContractor,
+  actorFor,
+};
@@ -0,0 +1,134 @@
+const db = require('./db');
+const sms = require('./sms');
+const calendar = require('./calendar');
+
+// Customer self-scheduling over SMS. Once a contractor approves a job the
+// customer is texted a few open slots from the contractor's calendar, books
+// one by replying with its number, or asks for the next batch. The same
+// offer is used to pick a new time for a booked job (see appointments.js).
+
+const SEARCH_DAYS = 7; // per batch; each "none of those" looks a week further out
+const MAX_SEARCH_DAYS = 28;
+
+const NONE_PATTERN = /\b(none|neither|other|more|different|later|another)\b|don'?t work|doesn'?t work|can'?t/i;
+
+function formatSlots(slots) {
+  return slots.map((slot, i) => `${i + 1}) ${slot.display}`).join('\n');
+}
+
+function choicesText(slots) {
+  return slots.length === 1 ? '1' : `${slots.slice(0, -1).map((_, i) => i + 1).join(', ')} or ${slots.length}`;
+}
+
+// Find the next batch of open slots for an approved job (or a scheduled one
+// with options.reschedule) and put the customer in AWAITING_SLOT_SELECTION.
+// Returns the message to send, or null when the contractor has no open times
+// (they'll arrange it with the customer).
+async function prepareSlotOffer(jobId, offered = [], options = {}) {
+  const reschedule = Boolean(options.reschedule);
+  const { job, contractor, customer } = db.getJobParties(jobId);
+  if (!job || !contractor || !customer || job.status !== (reschedule ? 'scheduled' : 'approved')) return null;
+
+  const batch = Math.floor(offered.length / 3) + 1;
+  let slots = [];
+  try {
+    slots = await calendar.getAvailableSlots(contractor.id, calendar.jobDurationHours(job), job.customer_zip, {
+      days: Math.min(SEARCH_DAYS * batch, MAX_SEARCH_DAYS),
+      exclude: offered
+    });
+  } catch (error) {
+    console.error('Error finding open slots:', error.message);
+    return null;
+  }
+  if (slots.length === 0) return null;
+
+  db.getOrCreateConversation(customer.phone_number);
+  db.updateConversationState(customer.phone_number, 'AWAITING_SLOT_SELECTION', {
+    job_id: job.id,
+    contractor_id: contractor.id,
+    slots: slots.map(({ start, date, time, display }) => ({ start: start.toISOString(), date, time, display })),
+    offered: offered.concat(slots.map(slot => slot.start.toISOString())),
+    reschedule
+  });
+
+  return `📅 Pick a ${reschedule ? 'new ' : ''}time for ${contractor.business_name} to come out:\n\n${formatSlots(slots)}\n\n` +
+    `Reply ${choicesText(slots)}, or NONE to see other times.`;
+}
+
+// Reply from a customer in AWAITING_SLOT_SELECTION; returns the response text
+async function handleReply(phoneNumber, message, context) {
+  const slots = context.slots || [];
+  const text = message.trim();
+
+  const choice = text.match(/^(?:#|option\s*)?(\d)\b/i);
+  if (choice) {
+    const slot = slots[parseInt(choice[1], 10) - 1];
+    if (!slot) {
+      return `Please reply ${choicesText(slots)}, or NONE to see other times.`;
+    }
+    if (context.reschedule) {
+      return await require('./appointments').requestReschedule(phoneNumber, slot, context);
+    }
+    return await bookSlot(phoneNumber, slot, context);
+  }
+
+  if (NONE_PATTERN.test(text)) {
+    const next = await prepareSlotOffer(context.job_id, context.offered || [], { reschedule: context.reschedule });
+    if (next) return `No problem, here are some other times.\n\n${next}`;
+    return await handOffToContractor(phoneNumber, context);
+  }
+
+  return `Which time works best?\n\n${formatSlots(slots)}\n\nReply ${choicesText(slots)}, or NONE to see other times.`;
+}
+
+async function bookSlot(phoneNumber, slot, context) {
+  const scheduler = require('./scheduler');
+  const job = db.getJobById(context.job_id);
+
+  if (!job || job.status !== 'approved' || job.contractor_id !== context.contractor_id) {
+    db.updateConversationState(phoneNumber, 'IDLE', {});
+    return "That job has already been scheduled or is no longer open. Text me if you need anything else!";
+  }
+
+  // The slot may have passed or been taken since it was offered
+  const booked = db.getContractorBookings(job.contractor_id, slot.date)
+    .some(other => other.scheduled_date === slot.date && other.scheduled_time === slot.time);
+  if (booked || new Date(slot.start) <= new Date()) {
+    const next = await prepareSlotOffer(job.id, context.offered || []);
+    if (next) return `Sorry, that time was just taken.\n\n${next}`;
+    return await handOffToContractor(phoneNumber, context);
+  }
+
+  const result = scheduler.scheduleJob(job.id, job.contractor_id, slot.date, slot.time, null, {
+    actor: `customer:${phoneNumber}`,
+    source: 'sms'
+  });
+  if (!result.success) {
+    return "Sorry, I couldn't book that time. Please try again or reply NONE to see other times.";
+  }
+
+  db.updateConversationState(phoneNumber, 'IDLE', {});
+  return `✅ You're booked for ${slot.display}.`;
+}
+
+// No open slots left to offer: let the contractor arrange the time directly
+async function handOffToContractor(phoneNumber, context) {
+  db.updateConversationState(phoneNumber, 'IDLE', {});
+
+  const contractor = db.getContractorById(context.contractor_id);
+  const job = db.getJobById(context.job_id);
+  if (contractor && job) {
+    await sms.sendSMS(contractor.phone_number,
+      `📞 The customer for job ${job.ref_code} couldn't find a ${context.reschedule ? 'new ' : ''}time that works. Please call them to schedule: ${phoneNumber}`
+    );
+  }
+  if (context.reschedule) {
+    return "I don't have any other open times right now, so I've asked the contractor to call you. Your current appointment stays booked until then.";
+  }
+  return "I don't have any other open times right now, so I've asked the contractor to call you to find a time that works.";
+}
+
+module.exports = {
+  prepareSlotOffer,
+  handleReply,
+};
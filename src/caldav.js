@@ -0,0 +1,130 @@
+const ics = require('./ics');
+
+// Minimal CalDAV (RFC 4791) client over fetch with basic auth. A connection is
+// a contractor_calendar row: caldav_url is the calendar collection (e.g.
+// https://cloud.example.com/remote.php/dav/calendars/bob/personal/), and job
+// events are stored in it as <uid>.ics.
+
+const TIMEOUT_MS = 15000;
+
+function collectionUrl(connection) {
+  return connection.caldav_url.endsWith('/') ? connection.caldav_url : `${connection.caldav_url}/`;
+}
+
+function eventUrl(connection, uid) {
+  return new URL(`${encodeURIComponent(uid)}.ics`, collectionUrl(connection)).toString();
+}
+
+async function request(connection, method, url, options = {}) {
+  const credentials = Buffer.from(`${connection.caldav_username}:${connection.caldav_password}`).toString('base64');
+  return fetch(url, {
+    method,
+    headers: { Authorization: `Basic ${credentials}`, ...options.headers },
+    body: options.body,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+}
+
+function xmlText(value) {
+  return value
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#13;/g, '\r')
+    .replace(/&#10;/g, '\n')
+    .replace(/&amp;/g, '&');
+}
+
+// Check the URL and credentials point at a calendar collection.
+// Returns { success, name } or { success: false, error }.
+async function verify(connection) {
+  let res;
+  try {
+    res = await request(connection, 'PROPFIND', collectionUrl(connection), {
+      headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+      body: '<?xml version="1.0" encoding="utf-8"?>' +
+        '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:displayname/></d:prop></d:propfind>',
+    });
+  } catch (e) {
+    return { success: false, error: `Could not reach the CalDAV server: ${e.message}` };
+  }
+
+  if (res.status === 401 || res.status === 403) {
+    return { success: false, error: 'The CalDAV server rejected the username or password' };
+  }
+  if (res.status !== 207) {
+    return { success: false, error: `The CalDAV server answered HTTP ${res.status}` };
+  }
+
+  const body = await res.text();
+  if (!/<(?:\w+:)?resourcetype[^>]*>[\s\S]*?<(?:\w+:)?calendar[\s/>]/i.test(body)) {
+    return { success: false, error: 'That URL is not a calendar. Use the address of the calendar itself, not the account.' };
+  }
+
+  const name = body.match(/<(?:\w+:)?displayname[^>]*>([\s\S]*?)<\/(?:\w+:)?displayname>/i);
+  return { success: true, name: name ? xmlText(name[1]).trim() : null };
+}
+
+// Busy ranges between start and end, from a calendar-query with recurring
+// events expanded by the server. Cancelled and free (transparent) events are skipped.
+async function getBusySlots(connection, start, end, timeZone) {
+  const range = `start="${ics.formatUtc(start)}" end="${ics.formatUtc(end)}"`;
+  const res = await request(connection, 'REPORT', collectionUrl(connection), {
+    headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: '<?xml version="1.0" encoding="utf-8"?>' +
+      '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+      `<d:prop><c:calendar-data><c:expand ${range}/></c:calendar-data></d:prop>` +
+      '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">' +
+      `<c:time-range ${range}/>` +
+      '</c:comp-filter></c:comp-filter></c:filter>' +
+      '</c:calendar-query>',
+  });
+  if (res.status !== 207) {
+    throw new Error(`CalDAV calendar-query failed: HTTP ${res.status}`);
+  }
+
+  const body = await res.text();
+  const busy = [];
+  const pattern = /<(?:\w+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:\w+:)?calendar-data>/gi;
+  let match;
+  while ((match = pattern.exec(body))) {
+    for (const event of ics.parseEvents(xmlText(match[1]), timeZone)) {
+      if (event.status === 'CANCELLED' || event.transparent) continue;
+      if (event.start < end && event.end > start) {
+        busy.push({ start: event.start, end: event.end });
+      }
+    }
+  }
+  return busy;
+}
+
+// Create or replace the event with this UID
+async function putEvent(connection, uid, calendarText) {
+  const url = eventUrl(connection, uid);
+  const res = await request(connection, 'PUT', url, {
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+    body: calendarText,
+  });
+  if (![200, 201, 204].includes(res.status)) {
+    throw new Error(`CalDAV PUT failed: HTTP ${res.status}`);
+  }
+  return { id: uid, url };
+}
+
+// Remove the event with this UID; one that's already gone counts as removed
+async function deleteEvent(connection, uid) {
+  const res = await request(connection, 'DELETE', eventUrl(connection, uid));
+  if (![200, 204, 404, 410].includes(res.status)) {
+    throw new Error(`CalDAV DELETE failed: HTTP ${res.status}`);
+  }
+  return true;
+}
+
+module.exports = {
+  verify,
+  getBusySlots,
+  putEvent,
+  deleteEvent,
+};
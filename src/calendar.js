@@ -1,7 +1,45 @@
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const db = require('./db');
+const caldav = require('./caldav');
+const ics = require('./ics');
+const secrets = require('./secrets');
+
+// Contractor calendars. Each contractor connects one provider (the provider
+// column of contractor_calendar) and the functions exported here work through it:
+//   google - Google Calendar over OAuth: free/busy, events, two-way sync
+//   caldav - any CalDAV server (iCloud, Fastmail, Nextcloud...): busy times and events
+//   ics    - read-only feed of the contractor's jobs to subscribe to; no busy times
+// Every provider exposes
+//   getBusySlots(connection, start, end) -> [{ start, end }]
+//   createEvent / updateEvent(connection, job, customer) -> { id, htmlLink? } or null
+//   deleteEvent(connection, job)
+// and Google also pullChanges(connection).
 
 const SCOPES = ['https://www.googleapis.com/auth/calendar'];
+const DEFAULT_JOB_HOURS = 2;
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+// A job's scheduled_date and scheduled_time are wall-clock time in this zone
+// when they're written to or read back from a calendar, so events keep the
+// booked time whatever zone the server runs in
+function calendarTimeZone() {
+  return process.env.CALENDAR_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// How long a job takes, from its quote's estimatedHours
+function jobDurationHours(job) {
+  let breakdown = job.quote_breakdown;
+  if (typeof breakdown === 'string') {
+    try {
+      breakdown = JSON.parse(breakdown);
+    } catch (e) {
+      breakdown = null;
+    }
+  }
+  const hours = Number(breakdown && breakdown.estimatedHours);
+  return hours > 0 ? hours : DEFAULT_JOB_HOURS;
+}
 
 function getOAuth2Client() {
   return new google.auth.OAuth2(
@@ -11,16 +49,38 @@ function getOAuth2Client() {
   );
 }
 
-function getAuthUrl(contractorId) {
+// Google consent URL for a contractor signed in to the dashboard. The state
+// is signed, expires in minutes and names the session that started the flow.
+function getAuthUrl(contractorId, sessionToken) {
+  const state = secrets.sign({
+    contractorId,
+    session: secrets.hashToken(sessionToken),
+    nonce: crypto.randomBytes(12).toString('hex'),
+  }, OAUTH_STATE_TTL_SECONDS);
+
   const oauth2Client = getOAuth2Client();
   return oauth2Client.generateAuthUrl({
     access_type: 'offline',
     prompt: 'consent',
     scope: SCOPES,
-    state: String(contractorId),
+    state,
   });
 }
 
+// The contractor id an OAuth callback's state was issued for, or null if the
+// state is forged, expired, already used or its dashboard session has ended
+function verifyOAuthState(state) {
+  const payload = secrets.verifySigned(state);
+  if (!payload || !payload.nonce) return null;
+
+  const sessionActive = db.getActiveDashboardSessions(payload.contractorId)
+    .some(session => session.token_hash === payload.session);
+  if (!sessionActive) return null;
+
+  if (!db.useCalendarOAuthState(payload.nonce, payload.contractorId, new Date(payload.exp).toISOString())) return null;
+  return payload.contractorId;
+}
+
 async function handleCallback(code, contractorId) {
   const oauth2Client = getOAuth2Client();
   const { tokens } = await oauth2Client.getToken(code);
@@ -37,6 +97,9 @@ async function handleCallback(code, contractorId) {
   }
 
   const existing = db.getCalendarTokens(contractorId);
+  if (existing && existing.provider !== 'google') {
+    db.clearContractorCalendarEvents(contractorId);
+  }
   if (existing) {
     db.updateCalendarTokens(contractorId, {
       google_email: email,
@@ -55,9 +118,11 @@ async function handleCallback(code, contractorId) {
   return { email, tokens };
 }
 
+// OAuth client for the contractor's Google Calendar; null if they haven't
+// connected one or Google revoked access (see handleRevokedAccess)
 function getAuthenticatedClient(contractorId) {
   const tokenRow = db.getCalendarTokens(contractorId);
-  if (!tokenRow) return null;
+  if (!tokenRow || tokenRow.provider !== 'google' || !tokenRow.access_token || tokenRow.revoked_at) return null;
 
   const oauth2Client = getOAuth2Client();
   oauth2Client.setCredentials({
@@ -67,43 +132,84 @@ function getAuthenticatedClient(contractorId) {
 
   // Auto-refresh token
   oauth2Client.on('tokens', (tokens) => {
-    db.updateCalendarTokens(contractorId, {
-      access_token: tokens.access_token,
-      refresh_token: tokens.refresh_token || tokenRow.refresh_token,
-      google_email: tokenRow.google_email,
-    });
+    try {
+      db.updateCalendarTokens(contractorId, {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token || tokenRow.refresh_token,
+        google_email: tokenRow.google_email,
+      });
+    } catch (e) {
+      console.error('Error saving refreshed calendar tokens:', e.message);
+    }
   });
 
   return oauth2Client;
 }
 
-async function getBusySlots(contractorId, startDate, endDate) {
-  const auth = getAuthenticatedClient(contractorId);
-  if (!auth) return [];
-
-  const calendar = google.calendar({ version: 'v3', auth });
-  const res = await calendar.freebusy.query({
-    requestBody: {
-      timeMin: startDate.toISOString(),
-      timeMax: endDate.toISOString(),
-      items: [{ id: 'primary' }],
-    },
-  });
+// YYYY-MM-DD and HH:MM in server-local time, the format jobs are scheduled in
+function localDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function localTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD and HH:MM of an instant on the calendar time zone's wall clock
+function calendarDateTime(date) {
+  let parts;
+  try {
+    parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+      timeZone: calendarTimeZone(),
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+  } catch (e) {
+    // RangeError for an unknown zone
+    return { date: localDate(date), time: localTime(date) };
+  }
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+// The job's booked start as an instant, reading its date and time in the calendar time zone
+function calendarStart(job) {
+  const [year, month, day] = job.scheduled_date.split('-').map(Number);
+  const [hours, minutes] = localTime(jobStart(job)).split(':').map(Number);
+  return ics.zonedTime(year, month, day, hours, minutes, 0, calendarTimeZone());
+}
+
+function jobStart(job) {
+  const time = /^\d{1,2}:\d{2}$/.test(job.scheduled_time || '') ? job.scheduled_time.padStart(5, '0') : '09:00';
+  return new Date(`${job.scheduled_date}T${time}:00`);
+}
 
-  return res.data.calendars.primary.busy || [];
+// Jobs already booked with this contractor, as busy ranges
+function getBookedSlots(contractorId, startDate) {
+  return db.getContractorBookings(contractorId, localDate(startDate))
+    .filter(job => /^\d{1,2}:\d{2}$/.test(job.scheduled_time || ''))
+    .map(job => {
+      const start = jobStart(job);
+      return { start, end: new Date(start.getTime() + jobDurationHours(job) * 60 * 60 * 1000) };
+    });
 }
 
-async function getAvailableSlots(contractorId, jobDurationHours = 2, jobZip = null) {
+// options: { days: how far ahead to look (default 7), count: slots to return
+// (default 3), exclude: start times (ISO strings) already offered }
+async function getAvailableSlots(contractorId, jobDurationHours = 2, jobZip = null, options = {}) {
   const contractor = db.getContractorById(contractorId);
   if (!contractor) throw new Error('Contractor not found');
 
+  const days = options.days || 7;
+  const count = options.count || 3;
+  const exclude = new Set(options.exclude || []);
+
   const availableHours = contractor.available_hours || {};
   const now = new Date();
-  const endDate = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+  const endDate = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
 
-  let busySlots = [];
+  let busySlots = getBookedSlots(contractorId, now);
   try {
-    busySlots = await getBusySlots(contractorId, now, endDate);
+    busySlots = busySlots.concat(await getBusySlots(contractorId, now, endDate));
   } catch (e) {
     console.error('Error fetching busy slots:', e.message);
   }
@@ -111,7 +217,7 @@ async function getAvailableSlots(contractorId, jobDurationHours = 2, jobZip = nu
   const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
   const slots = [];
 
-  for (let d = 0; d < 7; d++) {
+  for (let d = 0; d < days; d++) {
     const day = new Date(now.getTime() + d * 24 * 60 * 60 * 1000);
     const dayName = dayNames[day.getDay()];
     const hours = availableHours[dayName];
@@ -128,10 +234,8 @@ async function getAvailableSlots(contractorId, jobDurationHours = 2, jobZip = nu
 
     // Generate hourly candidate slots
     let cursor = new Date(Math.max(slotStart.getTime(), now.getTime()));
-    cursor.setMinutes(0, 0, 0);
-    if (cursor < slotStart) cursor = new Date(slotStart);
-    // Round up to next hour
-    if (cursor.getMinutes() > 0) {
+    // Round up to next hour so a slot that has already started isn't offered
+    if (cursor.getMinutes() || cursor.getSeconds() || cursor.getMilliseconds()) {
       cursor.setHours(cursor.getHours() + 1, 0, 0, 0);
     }
 
@@ -145,12 +249,12 @@ async function getAvailableSlots(contractorId, jobDurationHours = 2, jobZip = nu
         return cursor < busyEnd && candidateEnd > busyStart;
       });
 
-      if (!isBusy) {
+      if (!isBusy && !exclude.has(cursor.toISOString())) {
         slots.push({
           start: new Date(cursor),
           end: candidateEnd,
-          date: cursor.toISOString().split('T')[0],
-          time: `${cursor.getHours()}:${String(cursor.getMinutes()).padStart(2, '0')}`,
+          date: localDate(cursor),
+          time: localTime(cursor),
           display: `${cursor.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })} at ${cursor.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`,
         });
       }
@@ -159,7 +263,7 @@ async function getAvailableSlots(contractorId, jobDurationHours = 2, jobZip = nu
     }
   }
 
-  // Return top 3 slots (prefer morning, spread across days)
+  // Return the top slots (prefer morning, spread across days)
   const byDay = {};
   for (const s of slots) {
     if (!byDay[s.date]) byDay[s.date] = [];
@@ -167,56 +271,58 @@ async function getAvailableSlots(contractorId, jobDurationHours = 2, jobZip = nu
   }
 
   const result = [];
-  const days = Object.keys(byDay).sort();
-  for (const day of days) {
-    if (result.length >= 3) break;
+  for (const day of Object.keys(byDay).sort()) {
+    if (result.length >= count) break;
     // Pick earliest slot from each day first
     result.push(byDay[day][0]);
   }
-  // If less than 3, fill from remaining
-  if (result.length < 3) {
+  // If fewer than count, fill from remaining
+  if (result.length < count) {
     for (const s of slots) {
-      if (result.length >= 3) break;
+      if (result.length >= count) break;
       if (!result.find(r => r.start.getTime() === s.start.getTime())) {
         result.push(s);
       }
     }
   }
 
-  return result.slice(0, 3);
+  return result.slice(0, count).sort((a, b) => a.start - b.start);
 }
 
-async function createCalendarEvent(contractorId, job, customer) {
-  const auth = getAuthenticatedClient(contractorId);
-  if (!auth) {
-    console.log('No calendar auth for contractor', contractorId);
-    return null;
-  }
-
-  const calendar = google.calendar({ version: 'v3', auth });
-
-  const startDateTime = new Date(`${job.scheduled_date}T${job.scheduled_time || '09:00'}:00`);
-  const endDateTime = new Date(startDateTime.getTime() + 2 * 60 * 60 * 1000); // Default 2 hours
 
-  const event = {
-    summary: `🔧 ${job.service_category || 'Service'} - ${job.customer_address || 'TBD'}`,
+// Title, notes and location of a booked job's event, shared by every provider
+function eventDetails(job, customer) {
+  const prefix = job.status === 'completed' ? '✅ Completed:' : '🔧';
+  return {
+    summary: `${prefix} ${job.service_category || 'Service'} - ${job.customer_address || 'TBD'}`,
     description: [
-      `Job #${job.job_uuid || job.id}`,
+      `Job ${job.ref_code}`,
       `Customer: ${customer?.name || 'N/A'}`,
       `Phone: ${customer?.phone_number || 'N/A'}`,
       `Address: ${job.customer_address || 'N/A'}`,
       `Problem: ${job.problem_description || 'N/A'}`,
       `Estimate: $${job.estimated_cost_min || '?'}-$${job.estimated_cost_max || '?'}`,
     ].join('\n'),
+    location: job.customer_address || '',
+  };
+}
+
+// Google Calendar event body for a booked job
+function buildEvent(job, customer) {
+  const start = calendarStart(job);
+  const startAt = calendarDateTime(start);
+  const endAt = calendarDateTime(new Date(start.getTime() + jobDurationHours(job) * 60 * 60 * 1000));
+
+  return {
+    ...eventDetails(job, customer),
     start: {
-      dateTime: startDateTime.toISOString(),
-      timeZone: 'America/New_York',
+      dateTime: `${startAt.date}T${startAt.time}:00`,
+      timeZone: calendarTimeZone(),
     },
     end: {
-      dateTime: endDateTime.toISOString(),
-      timeZone: 'America/New_York',
+      dateTime: `${endAt.date}T${endAt.time}:00`,
+      timeZone: calendarTimeZone(),
     },
-    location: job.customer_address || '',
     reminders: {
       useDefault: false,
       overrides: [
@@ -225,25 +331,456 @@ async function createCalendarEvent(contractorId, job, customer) {
       ],
     },
   };
+}
 
-  try {
+// iCalendar event for a booked job, at its wall-clock time in the calendar time zone
+function buildIcsEvent(job, customer) {
+  const start = calendarStart(job);
+
+  return {
+    ...eventDetails(job, customer),
+    uid: `jobflow-job-${job.job_uuid || job.id}`,
+    start,
+    end: new Date(start.getTime() + jobDurationHours(job) * 60 * 60 * 1000),
+    alarms: [60, 15],
+  };
+}
+
+class GoogleProvider {
+  constructor() {
+    this.name = 'google';
+  }
+
+  async getBusySlots(connection, startDate, endDate) {
+    const auth = getAuthenticatedClient(connection.contractor_id);
+    if (!auth) return [];
+
+    const calendar = google.calendar({ version: 'v3', auth });
+    const res = await calendar.freebusy.query({
+      requestBody: {
+        timeMin: startDate.toISOString(),
+        timeMax: endDate.toISOString(),
+        items: [{ id: 'primary' }],
+      },
+    });
+
+    return res.data.calendars.primary.busy || [];
+  }
+
+  async createEvent(connection, job, customer) {
+    const auth = getAuthenticatedClient(connection.contractor_id);
+    if (!auth) return null;
+
+    const calendar = google.calendar({ version: 'v3', auth });
     const result = await calendar.events.insert({
       calendarId: 'primary',
-      requestBody: event,
+      requestBody: buildEvent(job, customer),
+    });
+    return result.data;
+  }
+
+  async updateEvent(connection, job, customer) {
+    const auth = getAuthenticatedClient(connection.contractor_id);
+    if (!auth) return null;
+
+    const calendar = google.calendar({ version: 'v3', auth });
+    const result = await calendar.events.update({
+      calendarId: 'primary',
+      eventId: job.calendar_event_id,
+      requestBody: buildEvent(job, customer),
     });
-    console.log('Calendar event created:', result.data.htmlLink);
     return result.data;
+  }
+
+  async deleteEvent(connection, job) {
+    const auth = getAuthenticatedClient(connection.contractor_id);
+    if (!auth) return false;
+
+    const calendar = google.calendar({ version: 'v3', auth });
+    await calendar.events.delete({ calendarId: 'primary', eventId: job.calendar_event_id });
+    return true;
+  }
+
+  // Apply events changed in the contractor's Google Calendar since the last
+  // sync to their jobs. Returns the number of jobs changed.
+  async pullChanges(connection) {
+    const auth = getAuthenticatedClient(connection.contractor_id);
+    if (!auth) return 0;
+
+    const calendar = google.calendar({ version: 'v3', auth });
+    const startedAt = new Date();
+    const updatedMin = connection.last_synced_at || new Date(startedAt.getTime() - 24 * 60 * 60 * 1000).toISOString();
+
+    let changed = 0;
+    let pageToken;
+    do {
+      const res = await calendar.events.list({
+        calendarId: 'primary',
+        updatedMin,
+        showDeleted: true,
+        singleEvents: true,
+        maxResults: 250,
+        pageToken,
+      });
+      for (const event of res.data.items || []) {
+        if (await applyEventChange(connection.contractor_id, event)) changed++;
+      }
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+
+    db.setCalendarSyncedAt(connection.contractor_id, startedAt.toISOString());
+    return changed;
+  }
+}
+
+// Events are PUT under a UID derived from the job, so create and update are the same request
+class CalDavProvider {
+  constructor() {
+    this.name = 'caldav';
+  }
+
+  async getBusySlots(connection, startDate, endDate) {
+    return caldav.getBusySlots(connection, startDate, endDate, calendarTimeZone());
+  }
+
+  async createEvent(connection, job, customer) {
+    const event = buildIcsEvent(job, customer);
+    return caldav.putEvent(connection, event.uid, ics.buildCalendar([event]));
+  }
+
+  async updateEvent(connection, job, customer) {
+    return this.createEvent(connection, job, customer);
+  }
+
+  async deleteEvent(connection, job) {
+    return caldav.deleteEvent(connection, job.calendar_event_id);
+  }
+}
+
+// The feed is built from the jobs table on every request (see buildFeed), so
+// there's nothing to write and no outside calendar to read busy times from
+class IcsFeedProvider {
+  constructor() {
+    this.name = 'ics';
+  }
+
+  async getBusySlots() {
+    return [];
+  }
+
+  async createEvent() {
+    return null;
+  }
+
+  async updateEvent() {
+    return null;
+  }
+
+  async deleteEvent() {
+    return false;
+  }
+}
+
+const PROVIDERS = {
+  google: new GoogleProvider(),
+  caldav: new CalDavProvider(),
+  ics: new IcsFeedProvider(),
+};
+
+// The contractor's calendar connection and its provider, or null if they haven't connected one
+function getConnection(contractorId) {
+  const connection = db.getCalendarTokens(contractorId);
+  if (!connection) return null;
+
+  const provider = PROVIDERS[connection.provider || 'google'];
+  if (!provider) {
+    console.error(`Unknown calendar provider "${connection.provider}" for contractor ${contractorId}`);
+    return null;
+  }
+  return { connection, provider };
+}
+
+// Google answers invalid_grant once the contractor revokes access or the refresh token expires
+function isRevokedError(error) {
+  return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+}
+
+// If a provider call failed because Google revoked access, stop using the
+// connection and text the contractor (once) to reconnect
+async function handleRevokedAccess(connection, error) {
+  if (connection.provider !== 'google' || !isRevokedError(error) || connection.revoked_at) return;
+
+  db.markCalendarRevoked(connection.contractor_id, new Date().toISOString());
+  connection.revoked_at = new Date().toISOString();
+  console.warn(`Google Calendar access revoked for contractor ${connection.contractor_id}`);
+
+  const contractor = db.getContractorById(connection.contractor_id);
+  if (contractor) {
+    const sms = require('./sms');
+    await sms.sendSMS(contractor.phone_number,
+      `⚠️ JobFlow can no longer reach your Google Calendar (access was revoked or expired), so new jobs won't show up there. ` +
+      `Reconnect it from your dashboard: ${process.env.BASE_URL || 'http://localhost:3000'}/dashboard`
+    );
+  }
+}
+
+async function getBusySlots(contractorId, startDate, endDate) {
+  const connected = getConnection(contractorId);
+  if (!connected) return [];
+
+  try {
+    return await connected.provider.getBusySlots(connected.connection, startDate, endDate);
+  } catch (e) {
+    await handleRevokedAccess(connected.connection, e);
+    throw e;
+  }
+}
+
+async function createCalendarEvent(contractorId, job, customer) {
+  const connected = getConnection(contractorId);
+  if (!connected) {
+    console.log('No calendar connected for contractor', contractorId);
+    return null;
+  }
+
+  try {
+    const event = await connected.provider.createEvent(connected.connection, job, customer);
+    if (!event) return null;
+    db.setJobCalendarEvent(job.id, event.id);
+    console.log(`Calendar event created (${connected.provider.name}):`, event.htmlLink || event.id);
+    return event;
   } catch (e) {
     console.error('Error creating calendar event:', e.message);
+    await handleRevokedAccess(connected.connection, e);
+    return null;
+  }
+}
+
+// Move a job's event to its current schedule, creating it if there isn't one yet
+async function updateCalendarEvent(contractorId, job, customer) {
+  if (!job.calendar_event_id) {
+    return createCalendarEvent(contractorId, job, customer);
+  }
+
+  const connected = getConnection(contractorId);
+  if (!connected) return null;
+
+  try {
+    return await connected.provider.updateEvent(connected.connection, job, customer);
+  } catch (e) {
+    console.error('Error updating calendar event:', e.message);
+    await handleRevokedAccess(connected.connection, e);
     return null;
   }
 }
 
+async function deleteCalendarEvent(contractorId, job) {
+  if (!job.calendar_event_id) return false;
+
+  const connected = getConnection(contractorId);
+  if (!connected) return false;
+
+  try {
+    await connected.provider.deleteEvent(connected.connection, job);
+    db.setJobCalendarEvent(job.id, null);
+    return true;
+  } catch (e) {
+    console.error('Error deleting calendar event:', e.message);
+    await handleRevokedAccess(connected.connection, e);
+    return false;
+  }
+}
+
+// Bring a job's event in line with the job: booked jobs get an event at their
+// current time, cancelled ones lose it
+async function syncJobEvent(jobId) {
+  const { job, customer } = db.getJobParties(jobId);
+  if (!job || !job.contractor_id) return null;
+
+  if (job.status === 'cancelled') {
+    return deleteCalendarEvent(job.contractor_id, job);
+  }
+  if (['scheduled', 'in_progress', 'completed'].includes(job.status) && job.scheduled_date) {
+    return updateCalendarEvent(job.contractor_id, job, customer);
+  }
+  return null;
+}
+
+// Apply one changed Google event to its job. Returns true if the job changed.
+async function applyEventChange(contractorId, event) {
+  const job = db.getJobByCalendarEvent(event.id);
+  if (!job || job.contractor_id !== contractorId || job.status !== 'scheduled') return false;
+
+  // Deleting the event doesn't cancel the job; check with the contractor instead
+  if (event.status === 'cancelled') {
+    db.setJobCalendarEvent(job.id, null);
+    const contractor = db.getContractorById(contractorId);
+    if (contractor) {
+      const sms = require('./sms');
+      await sms.sendSMS(contractor.phone_number,
+        `🗓️ You deleted the calendar event for job ${job.ref_code}, but it's still scheduled for ${job.scheduled_date} ${job.scheduled_time || ''}. ` +
+        `Cancel it from your dashboard if it's off.`
+      );
+    }
+    return true;
+  }
+
+  if (!event.start || !event.start.dateTime) return false;
+
+  // Compare on the calendar time zone's wall clock, the zone events are written in
+  const { date, time } = calendarDateTime(new Date(event.start.dateTime));
+  if (date === job.scheduled_date && time === localTime(jobStart(job))) return false;
+
+  // rescheduleJob notifies the customer; the event is already where the contractor put it
+  const scheduler = require('./scheduler');
+  const result = await scheduler.rescheduleJob(job.id, date, time, 'Moved in Google Calendar', {
+    actor: `contractor:${contractorId}`,
+    source: 'calendar',
+    syncCalendar: false
+  });
+  return result.success;
+}
+
+// Pull changes the contractor made in their own calendar, for providers that
+// support it (Google). Returns the number of jobs changed.
+async function pullCalendarChanges(connection) {
+  const provider = PROVIDERS[connection.provider || 'google'];
+  if (!provider || !provider.pullChanges) return 0;
+
+  try {
+    return await provider.pullChanges(connection);
+  } catch (e) {
+    await handleRevokedAccess(connection, e);
+    throw e;
+  }
+}
+
+// Run pullCalendarChanges() for every connected contractor
+async function syncAllCalendars() {
+  let changed = 0;
+  for (const connection of db.getCalendarConnections()) {
+    try {
+      changed += await pullCalendarChanges(connection);
+    } catch (e) {
+      console.error(`Error syncing calendar for contractor ${connection.contractor_id}:`, e.message);
+    }
+  }
+  return changed;
+}
+
+// Connect a CalDAV calendar after checking the URL and credentials work.
+// Returns { success, name } or { success: false, error }.
+async function connectCalDav(contractorId, { url, username, password }) {
+  if (!/^https?:\/\//i.test(url || '') || !username || !password) {
+    return { success: false, error: 'Calendar URL, username and password are required' };
+  }
+  if (!secrets.isEncryptionConfigured()) {
+    return { success: false, error: 'Calendar connections are disabled until TOKEN_ENCRYPTION_KEY is configured' };
+  }
+
+  const connection = { caldav_url: url.trim(), caldav_username: username.trim(), caldav_password: password };
+  const check = await caldav.verify(connection);
+  if (!check.success) return check;
+
+  db.clearContractorCalendarEvents(contractorId);
+  db.saveCalendarConnection(contractorId, { provider: 'caldav', ...connection });
+  return { success: true, name: check.name };
+}
+
+function feedUrl(token) {
+  return `${process.env.BASE_URL || 'http://localhost:3000'}/api/calendar/feed/${token}.ics`;
+}
+
+// Switch the contractor to the ICS feed; returns the URL to subscribe to.
+// The feed URL stays the same if they reconnect.
+function connectIcsFeed(contractorId) {
+  db.clearContractorCalendarEvents(contractorId);
+  db.saveCalendarConnection(contractorId, { provider: 'ics' });
+
+  let token = db.getCalendarTokens(contractorId).feed_token;
+  if (!token) {
+    token = crypto.randomBytes(24).toString('hex');
+    db.setCalendarFeedToken(contractorId, token);
+  }
+  return feedUrl(token);
+}
+
+// How far back the feed goes; apps keep events they've already seen
+const FEED_HISTORY_DAYS = 30;
+
+// The iCalendar document behind a feed token, or null for an unknown token
+function buildFeed(token) {
+  const connection = token ? db.getCalendarByFeedToken(token) : null;
+  if (!connection) return null;
+
+  const contractor = db.getContractorById(connection.contractor_id);
+  const from = localDate(new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+
+  const events = db.getContractorCalendarJobs(connection.contractor_id, from)
+    .map(job => buildIcsEvent(job, db.getCustomerById(job.customer_id)));
+
+  return ics.buildCalendar(events, { name: `${contractor?.business_name || 'JobFlow'} jobs` });
+}
+
+// What the dashboard and status route show about a contractor's calendar
+function getConnectionStatus(contractorId) {
+  const connection = db.getCalendarTokens(contractorId);
+  if (!connection) {
+    return { connected: false, provider: null, email: null, calendarUrl: null, feedUrl: null, connectedAt: null, needsReconnect: false };
+  }
+  return {
+    connected: true,
+    provider: connection.provider || 'google',
+    email: connection.google_email || null,
+    calendarUrl: connection.caldav_url || null,
+    feedUrl: connection.feed_token ? feedUrl(connection.feed_token) : null,
+    connectedAt: connection.created_at || null,
+    needsReconnect: Boolean(connection.revoked_at),
+  };
+}
+
+// Disconnect the contractor's calendar, revoking JobFlow's Google access.
+// Events already created stay in their calendar; the ICS feed URL stops working.
+async function disconnectCalendar(contractorId) {
+  const connection = db.getCalendarTokens(contractorId);
+  if (!connection) return false;
+
+  if (connection.provider === 'google' && !connection.revoked_at) {
+    const token = connection.refresh_token || connection.access_token;
+    if (token) {
+      try {
+        await getOAuth2Client().revokeToken(token);
+      } catch (e) {
+        // Disconnect anyway; the token may already be revoked on Google's side
+        console.error('Error revoking Google token:', e.message);
+      }
+    }
+  }
+
+  db.clearContractorCalendarEvents(contractorId);
+  db.deleteCalendarConnection(contractorId);
+  return true;
+}
+
 module.exports = {
   getAuthUrl,
+  verifyOAuthState,
   handleCallback,
   getAuthenticatedClient,
   getAvailableSlots,
   createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  syncJobEvent,
+  buildEvent,
+  applyEventChange,
+  pullCalendarChanges,
+  syncAllCalendars,
+  connectCalDav,
+  connectIcsFeed,
+  buildFeed,
+  getConnectionStatus,
+  disconnectCalendar,
+  jobDurationHours,
   getBusySlots,
 };
@@ -0,0 +1,146 @@
+const db = require('./db');
+
+// Per-contractor price book. Line items are matched against a job's problem
+// description by keyword and priced either flat or by the hour (at the
+// contractor's hourly_rate), plus materials.
+
+// Validate and normalize a line item from the dashboard or SMS.
+// Returns { value } or { error }.
+function normalizeItem(input) {
+  const name = String(input.name || '').trim();
+  if (!name) return { error: 'Item name is required' };
+
+  const pricingType = input.pricing_type;
+  if (!['flat', 'hourly'].includes(pricingType)) {
+    return { error: 'Pricing must be flat or hourly' };
+  }
+
+  const flatPrice = input.flat_price === undefined || input.flat_price === null || input.flat_price === '' ? null : Number(input.flat_price);
+  const hours = input.hours === undefined || input.hours === null || input.hours === '' ? null : Number(input.hours);
+  const materialCost = Number(input.material_cost || 0);
+
+  if (pricingType === 'flat' && !(flatPrice > 0)) return { error: 'Flat price must be a positive number' };
+  if (pricingType === 'hourly' && !(hours > 0)) return { error: 'Hours must be a positive number' };
+  if (isNaN(materialCost) || materialCost < 0) return { error: 'Material cost must be zero or more' };
+
+  let keywords = Array.isArray(input.keywords) ? input.keywords : String(input.keywords || '').split(',');
+  keywords = keywords.map(k => String(k).trim().toLowerCase()).filter(Boolean);
+  if (keywords.length === 0) keywords = [name.toLowerCase()];
+
+  return {
+    value: {
+      name,
+      keywords,
+      pricing_type: pricingType,
+      flat_price: pricingType === 'flat' ? flatPrice : null,
+      hours: pricingType === 'hourly' ? hours : null,
+      material_cost: materialCost
+    }
+  };
+}
+
+// Parse the SMS form, e.g.
+//   "toilet flapper replacement: $150 flat"
+//   "water heater install: 4h + $900 parts | keywords: water heater, hot water tank"
+function parseLineItem(text) {
+  const [itemPart, keywordPart] = String(text).split('|');
+  const colon = itemPart.indexOf(':');
+  if (colon === -1) {
+    return { error: 'Format: name: $150 flat  or  name: 4h + $900 parts' };
+  }
+
+  const name = itemPart.slice(0, colon).trim();
+  const pricing = itemPart.slice(colon + 1).toLowerCase();
+
+  const flatMatch = pricing.match(/\$?\s*(\d+(?:\.\d+)?)\s*flat/);
+  const hoursMatch = pricing.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const partsMatch = pricing.match(/\$?\s*(\d+(?:\.\d+)?)\s*(?:parts|materials?)/);
+
+  const input = {
+    name,
+    material_cost: partsMatch ? partsMatch[1] : 0,
+    keywords: keywordPart ? keywordPart.replace(/^\s*keywords?\s*:/i, '') : ''
+  };
+
+  if (flatMatch) {
+    input.pricing_type = 'flat';
+    input.flat_price = flatMatch[1];
+  } else if (hoursMatch) {
+    input.pricing_type = 'hourly';
+    input.hours = hoursMatch[1];
+  }
+
+  return normalizeItem(input);
+}
+
+// Line items with a keyword whose words all appear in the description, in any
+// order ("running toilet" matches "my toilet keeps running")
+function matchItems(items, problemDescription) {
+  const description = (problemDescription || '').toLowerCase();
+  return items.filter(item => item.keywords.some(keyword =>
+    keyword.split(/\s+/).every(word => description.includes(word))));
+}
+
+// Labor and material cost of one line item for this contractor
+function itemCost(item, contractor) {
+  const labor = item.pricing_type === 'flat'
+    ? item.flat_price
+    : item.hours * (contractor.hourly_rate || 100);
+  return { labor, materials: item.material_cost || 0 };
+}
+
+function formatItem(item) {
+  const price = item.pricing_type === 'flat' ? `$${item.flat_price} flat` : `${item.hours}h`;
+  const parts = item.material_cost ? ` + $${item.material_cost} parts` : '';
+  return `#${item.id} ${item.name}: ${price}${parts}`;
+}
+
+const SMS_HELP = 'Price list commands:\n' +
+  'PRICES - show your list\n' +
+  'PRICE ADD name: $150 flat\n' +
+  'PRICE ADD name: 4h + $900 parts\n' +
+  '(add "| keywords: a, b" to set match words)\n' +
+  'PRICE DEL #id';
+
+// Handle PRICES / PRICE ADD / PRICE DEL from a contractor; returns the reply text
+function handleSmsCommand(contractor, message) {
+  const text = message.trim();
+  const upper = text.toUpperCase();
+
+  if (upper === 'PRICES' || upper === 'PRICE LIST') {
+    const items = db.getCatalogItems(contractor.id);
+    if (items.length === 0) {
+      return `Your price list is empty. Quotes use your base fee and hourly rate.\n\n${SMS_HELP}`;
+    }
+    return `📋 Your price list:\n${items.map(formatItem).join('\n')}`;
+  }
+
+  const addMatch = text.match(/^PRICE\s+ADD\s+(.+)$/is);
+  if (addMatch) {
+    const parsed = parseLineItem(addMatch[1]);
+    if (parsed.error) return `${parsed.error}\n\n${SMS_HELP}`;
+
+    const id = db.createCatalogItem(contractor.id, parsed.value);
+    return `✅ Added ${formatItem({ id, ...parsed.value })}\nMatches: ${parsed.value.keywords.join(', ')}`;
+  }
+
+  const delMatch = text.match(/^PRICE\s+(?:DEL|DELETE|REMOVE)\s+#?(\d+)$/i);
+  if (delMatch) {
+    const item = db.getCatalogItem(contractor.id, parseInt(delMatch[1], 10));
+    if (!item) return `No price list item #${delMatch[1]}. Text PRICES to see your list.`;
+
+    db.deleteCatalogItem(contractor.id, item.id);
+    return `🗑️ Removed ${item.name} from your price list.`;
+  }
+
+  return SMS_HELP;
+}
+
+module.exports = {
+  normalizeItem,
+  parseLineItem,
+  matchItems,
+  itemCost,
+  formatItem,
+  handleSmsCommand,
+};
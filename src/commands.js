@@ -0,0 +1,402 @@
+const db = require('./db');
+const sms = require('./sms');
+const scheduler = require('./scheduler');
+const lifecycle = require('./lifecycle');
+const dispatch = require('./dispatch');
+const quotes = require('./quotes');
+const booking = require('./booking');
+const intents = require('./intents');
+const arrivals = require('./arrivals');
+
+// Contractor job commands, from the exact SMS syntax (sms.parseContractorResponse)
+// or free text (intents). Each handler finds the job the command is about and
+// texts its own replies. Exact commands run straight away; free-text ones
+// that can't be taken back are repeated to the contractor first and only run
+// after a YES within CONFIRM_TTL_MINUTES.
+
+const CONFIRM_ACTIONS = ['custom_quote', 'pass', 'complete', 'invoice'];
+const CONFIRM_TTL_MINUTES = 10;
+const RESPONSE_COMMANDS = { approve: 'A', call_customer: 'C', custom_quote: 'Q', decline_counter: 'R', pass: 'X' };
+
+// Which of the contractor's jobs a command can act on, for resolveContractorJob
+function targetFor(command) {
+  switch (command.action) {
+    case 'complete':
+      return {
+        fits: job => job.status === 'in_progress',
+        codeFits: job => ['scheduled', 'in_progress'].includes(job.status),
+        describe: 'in progress',
+        none: "No job in progress found. Text DONE [job code] to mark a scheduled job done.",
+        example: code => `DONE ${code}`
+      };
+    case 'invoice':
+      return {
+        fits: job => job.status === 'completed' && !job.invoice_sent,
+        describe: 'completed and waiting for an invoice',
+        none: "No completed jobs found that need invoicing.",
+        example: code => `INVOICE ${code} ${command.amount || '[amount]'} ${command.description || '[description]'}`
+      };
+    case 'schedule':
+      return {
+        fits: job => job.status === 'approved',
+        describe: 'approved and waiting for a time',
+        none: "No approved jobs waiting for a time.",
+        example: code => `${code} Thursday 9am`
+      };
+    case 'eta':
+    case 'arrived': {
+      // OTW is about the next job; LATE and HERE about the one they're on their way to
+      const startsTrip = command.action === 'eta' && !command.late;
+      const keyword = command.action === 'arrived' ? 'HERE' : (command.late ? 'LATE' : 'OTW');
+      return {
+        fits: job => job.status === 'in_progress' || (job.status === 'scheduled' && job.scheduled_date === intents.localDate()),
+        prefer: job => job.status === (startsTrip ? 'scheduled' : 'in_progress'),
+        describe: 'on today',
+        none: "No jobs on today to send an update about.",
+        example: code => `${keyword} ${code}${command.action === 'eta' ? ` ${command.minutes || 15}` : ''}`
+      };
+    }
+    default:
+      return {
+        fits: job => job.status === 'quoted',
+        describe: 'waiting for your answer',
+        none: "No pending job requests found.",
+        example: code => `${RESPONSE_COMMANDS[command.action]} ${code}${command.action === 'custom_quote' ? ` ${command.amount}` : ''}`
+      };
+  }
+}
+
+// The job a contractor's command is about: the one its code names, or their
+// only job the command fits. Returns { job }, or { reply } to text back when
+// nothing fits or several jobs do.
+// options: { fits(job), codeFits(job) (defaults to fits), prefer(job) (narrows
+// several fits down), describe, none, example(code) }
+function resolveContractorJob(contractor, jobCode, options) {
+  const jobs = db.getJobsByContractor(contractor.id);
+
+  if (jobCode) {
+    const job = jobs.find(j => j.ref_code === jobCode);
+    if (!job) {
+      return { reply: `No job ${jobCode} found. Check the code in your job texts.` };
+    }
+    if (!(options.codeFits || options.fits)(job)) {
+      return { reply: `Job ${jobCode} isn't ${options.describe} (it's ${job.status.replace(/_/g, ' ')}).` };
+    }
+    return { job };
+  }
+
+  let matches = jobs.filter(options.fits);
+  const preferred = options.prefer ? matches.filter(options.prefer) : [];
+  if (preferred.length) matches = preferred;
+  if (matches.length === 0) return { reply: options.none };
+  if (matches.length === 1) return { job: matches[0] };
+
+  const list = matches.slice(0, 5)
+    .map(j => `${j.ref_code} - ${j.service_category || 'job'}, ${j.customer_address || j.customer_phone}`)
+    .join('\n');
+  return {
+    reply: `Which job? You have ${matches.length} ${options.describe}:\n${list}${matches.length > 5 ? '\n...' : ''}\n\n` +
+      `Reply again with the job code, e.g. ${options.example(matches[0].ref_code)}`
+  };
+}
+
+// Run a parsed command
+async function execute(phoneNumber, command, contractor) {
+  switch (command.action) {
+    case 'complete':
+      return await handleJobDone(phoneNumber, command.jobCode, contractor);
+    case 'invoice':
+      return await handleInvoice(phoneNumber, command, contractor);
+    case 'schedule':
+      return await handleSchedule(phoneNumber, command, contractor);
+    case 'eta':
+      return await handleEta(phoneNumber, command, contractor);
+    case 'arrived':
+      return await handleArrived(phoneNumber, command, contractor);
+    default:
+      return await handleJobResponse(phoneNumber, command, contractor);
+  }
+}
+
+// Handle contractor responses to job notifications
+async function handleJobResponse(phoneNumber, response, contractor) {
+  try {
+    const target = resolveContractorJob(contractor, response.jobCode, targetFor(response));
+    if (!target.job) {
+      await sms.sendSMS(phoneNumber, target.reply);
+      return;
+    }
+    const pendingJob = target.job;
+
+    // Any answer stops the repeat text and hand-off; passing closes it in reassignPassedJob
+    if (response.action !== 'pass') {
+      dispatch.recordResponse(pendingJob.id, contractor.id);
+    }
+
+    // A and R answer the customer's counter-offer when one is waiting
+    const latestQuote = db.getLatestQuote(pendingJob.id);
+    const counter = latestQuote && latestQuote.kind === 'counter' && latestQuote.status === 'pending' ? latestQuote : null;
+
+    switch (response.action) {
+      case 'approve':
+        if (counter) {
+          const accepted = await quotes.answerCounter(counter.id, contractor, true);
+          await sms.sendSMS(phoneNumber, accepted.success
+            ? `✅ You accepted ${quotes.formatAmount(counter)}. Customer has been notified.`
+            : "That counter-offer is no longer open.");
+          break;
+        }
+
+        // Contractor approved the job
+        lifecycle.transition(pendingJob.id, 'approved', { actor: `contractor:${contractor.id}`, source: 'sms' });
+
+        // "I'll take it, thursday 9am" books that time; both sides get the confirmation
+        if (response.date) {
+          const booked = scheduler.scheduleJob(pendingJob.id, contractor.id, response.date, response.time, null, {
+            actor: `contractor:${contractor.id}`,
+            source: 'sms'
+          });
+          if (booked.success) break;
+        }
+
+        // Otherwise the customer picks a time from the contractor's calendar,
+        // or waits for the contractor to call when there's none to offer
+        const customer = db.queryGet('SELECT * FROM customers WHERE id = ?', [pendingJob.customer_id]);
+        const slotOffer = customer ? await booking.prepareSlotOffer(pendingJob.id) : null;
+        if (customer) {
+          await sms.sendJobApprovalNotification(customer.phone_number, contractor, pendingJob, slotOffer);
+        }
+        await sms.sendSMS(phoneNumber, slotOffer
+          ? `✅ Job approved! Customer has been notified and is picking a time from your calendar.`
+          : `✅ Job approved! Customer has been notified. Please contact them to schedule: ${customer?.phone_number}`);
+        break;
+
+      case 'call_customer':
+        // Contractor will call customer
+        const customerForCall = db.queryGet('SELECT * FROM customers WHERE id = ?', [pendingJob.customer_id]);
+        await sms.sendSMS(phoneNumber, `📞 Customer contact info:\n${customerForCall?.phone_number}\n\nPlease call them to discuss the job. Reply with A after you agree on details.`);
+        break;
+
+      case 'custom_quote':
+        // Contractor provided custom quote
+        await quotes.sendCustomQuote(pendingJob, contractor, response.amount);
+
+        await sms.sendSMS(phoneNumber, `💰 Custom quote of $${response.amount} sent to customer. Waiting for their response.`);
+        break;
+
+      case 'decline_counter':
+        if (!counter) {
+          await sms.sendSMS(phoneNumber, "No counter-offer waiting for your answer.");
+          break;
+        }
+
+        const declined = await quotes.answerCounter(counter.id, contractor, false);
+        await sms.sendSMS(phoneNumber, declined.success
+          ? `Counter-offer declined. Your quote was sent to the customer again.`
+          : "That counter-offer is no longer open.");
+        break;
+
+      case 'pass':
+        // Contractor passed on the job
+        lifecycle.transition(pendingJob.id, 'contractor_passed', { actor: `contractor:${contractor.id}`, source: 'sms' });
+
+        await sms.sendSMS(phoneNumber, "Job passed. Looking for another contractor for the customer.");
+        await dispatch.reassignPassedJob(pendingJob);
+        break;
+
+      default:
+        await sms.sendSMS(phoneNumber, "Reply: A (approve), C (call customer), Q [amount] (custom quote), X (pass)");
+    }
+
+  } catch (error) {
+    console.error('Error handling contractor job response:', error);
+    await sms.sendSMS(phoneNumber, "Error processing your response. Please try again.");
+  }
+}
+
+// Handle "JOB DONE" / "DONE J4F2": without a code, the job in progress
+async function handleJobDone(phoneNumber, jobCode, contractor) {
+  try {
+    const target = resolveContractorJob(contractor, jobCode, targetFor({ action: 'complete' }));
+    if (!target.job) {
+      await sms.sendSMS(phoneNumber, target.reply);
+      return;
+    }
+
+    const result = await scheduler.markJobCompleted(target.job.id, phoneNumber, 'sms');
+    if (!result.success) {
+      await sms.sendSMS(phoneNumber, "Error marking the job done. Please try again.");
+    }
+  } catch (error) {
+    console.error('Error handling job done:', error);
+    await sms.sendSMS(phoneNumber, "Error marking the job done. Please try again.");
+  }
+}
+
+// Handle invoice commands from contractors
+async function handleInvoice(phoneNumber, response, contractor) {
+  try {
+    if (response.action === 'invoice' && response.amount && response.description) {
+      const target = resolveContractorJob(contractor, response.jobCode, targetFor(response));
+      const completedJob = target.job;
+
+      if (completedJob) {
+        const customer = db.queryGet('SELECT * FROM customers WHERE id = ?', [completedJob.customer_id]);
+
+        if (customer) {
+          await sms.sendInvoiceToCustomer(
+            customer.phone_number,
+            contractor,
+            response.amount,
+            response.description,
+            completedJob.id
+          );
+
+          // Mark invoice as sent
+          db.queryRun('UPDATE jobs SET invoice_sent = 1 WHERE id = ?', [completedJob.id]);
+
+          await sms.sendSMS(phoneNumber, `📧 Invoice sent to customer for $${response.amount}`);
+        }
+      } else {
+        await sms.sendSMS(phoneNumber, target.reply);
+      }
+    } else {
+      await sms.sendSMS(phoneNumber, "Format: INVOICE [job code] [amount] [description]\nExample: INVOICE J4F2 150 Plumbing repair - fixed leaky pipe\n(The code is optional with only one job to invoice.)");
+    }
+  } catch (error) {
+    console.error('Error handling invoice command:', error);
+    await sms.sendSMS(phoneNumber, "Error processing invoice. Please try again.");
+  }
+}
+
+// Book a time for an approved job ("J4F2 thursday 9am")
+async function handleSchedule(phoneNumber, command, contractor) {
+  try {
+    const target = resolveContractorJob(contractor, command.jobCode, targetFor(command));
+    if (!target.job) {
+      await sms.sendSMS(phoneNumber, target.reply);
+      return;
+    }
+    if (!command.date) {
+      await sms.sendSMS(phoneNumber, `What day and time for job ${target.job.ref_code}? e.g. ${target.job.ref_code} Thursday 9am`);
+      return;
+    }
+
+    const result = scheduler.scheduleJob(target.job.id, contractor.id, command.date, command.time, null, {
+      actor: `contractor:${contractor.id}`,
+      source: 'sms'
+    });
+    if (!result.success) {
+      await sms.sendSMS(phoneNumber, "Error scheduling the job. Please try again.");
+    }
+  } catch (error) {
+    console.error('Error handling schedule command:', error);
+    await sms.sendSMS(phoneNumber, "Error scheduling the job. Please try again.");
+  }
+}
+
+// Pass an ETA on to the customer: on the way (which starts the job) or running late
+async function handleEta(phoneNumber, command, contractor) {
+  try {
+    const target = resolveContractorJob(contractor, command.jobCode, targetFor(command));
+    if (!target.job) {
+      await sms.sendSMS(phoneNumber, target.reply);
+      return;
+    }
+    const job = target.job;
+    const etaAt = arrivals.expectedArrival(job, command);
+    const eta = etaAt ? arrivals.formatTime(etaAt) : null;
+
+    if (command.late) {
+      await arrivals.reportDelay(job, contractor, command.minutes, etaAt);
+      await sms.sendSMS(phoneNumber, `👍 Told the customer for job ${job.ref_code} you're running ${command.minutes ? `${command.minutes} min ` : ''}late.${eta ? ` New ETA ${eta}.` : ''}`);
+      return;
+    }
+
+    await arrivals.startTrip(job, contractor, etaAt);
+    await sms.sendSMS(phoneNumber, `👍 Told the customer for job ${job.ref_code} you're on the way.${eta ? ` ETA ${eta}.` : ''}\n\nText LATE [minutes] if that changes, and HERE when you arrive.`);
+  } catch (error) {
+    console.error('Error handling ETA command:', error);
+    await sms.sendSMS(phoneNumber, "Error sending your update. Please try again.");
+  }
+}
+
+// "HERE": log the arrival against the booked time
+async function handleArrived(phoneNumber, command, contractor) {
+  try {
+    const target = resolveContractorJob(contractor, command.jobCode, targetFor(command));
+    if (!target.job) {
+      await sms.sendSMS(phoneNumber, target.reply);
+      return;
+    }
+
+    const delay = arrivals.arrive(target.job, contractor);
+    await sms.sendSMS(phoneNumber, `📍 Arrival logged for job ${target.job.ref_code}: ${arrivals.describeDelay(delay)}. Text DONE when the work is finished.`);
+  } catch (error) {
+    console.error('Error handling arrival:', error);
+    await sms.sendSMS(phoneNumber, "Error logging your arrival. Please try again.");
+  }
+}
+
+// What a command will do, for the confirmation question
+function describeCommand(command, job) {
+  switch (command.action) {
+    case 'custom_quote':
+      return `send the customer a $${command.amount} quote for job ${job.ref_code}`;
+    case 'pass':
+      return `pass on job ${job.ref_code} (${job.service_category || 'job'}, ${job.customer_address || job.customer_phone}) so it goes to another contractor`;
+    case 'complete':
+      return `mark job ${job.ref_code} done`;
+    case 'invoice':
+      return `send the customer for job ${job.ref_code} a $${command.amount} invoice for "${command.description}"`;
+  }
+}
+
+// Run a free-text command, asking first when it can't be taken back.
+// Returns the reply to text back ('' when the handler already replied).
+async function runOrConfirm(phoneNumber, command, contractor) {
+  const incompleteInvoice = command.action === 'invoice' && !(command.amount && command.description);
+  if (!CONFIRM_ACTIONS.includes(command.action) || incompleteInvoice) {
+    await execute(phoneNumber, command, contractor);
+    return '';
+  }
+
+  const target = resolveContractorJob(contractor, command.jobCode, targetFor(command));
+  if (!target.job) return target.reply;
+
+  db.updateConversationState(phoneNumber, 'AWAITING_COMMAND_CONFIRMATION', {
+    pending_command: { ...command, jobCode: target.job.ref_code },
+    requested_at: new Date().toISOString()
+  });
+  return `Just to check: ${describeCommand(command, target.job)}? Reply YES to go ahead or NO to cancel.`;
+}
+
+// Reply from a contractor in AWAITING_COMMAND_CONFIRMATION. Returns the
+// response text, or null when the message isn't a yes or no (the pending
+// command is dropped and the message handled as a new one).
+async function handleConfirmation(phoneNumber, message, context) {
+  db.updateConversationState(phoneNumber, 'IDLE', {});
+  const answer = message.trim().toUpperCase().replace(/[.!]+$/, '');
+
+  if (['NO', 'N', 'CANCEL'].includes(answer)) {
+    return "OK, cancelled. Nothing was changed.";
+  }
+  if (!['YES', 'Y'].includes(answer)) {
+    return null;
+  }
+
+  const contractor = db.getContractorByPhone(phoneNumber);
+  const requestedAt = new Date(context.requested_at || 0).getTime();
+  if (!contractor || !context.pending_command || Date.now() - requestedAt > CONFIRM_TTL_MINUTES * 60 * 1000) {
+    return "That request has expired. Please send it again.";
+  }
+
+  await execute(phoneNumber, context.pending_command, contractor);
+  return '';
+}
+
+module.exports = {
+  execute,
+  runOrConfirm,
+  handleConfirmation,
+};
@@ -1,6 +1,10 @@
 const initSqlJs = require('sql.js');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const geo = require('./geo');
+const secrets = require('./secrets');
+const migrations = require('./migrations');
 
 let db;
 const DB_PATH = process.env.DB_PATH || './db/jobflow.db';
@@ -25,114 +29,29 @@ async function initDb() {
     db = new SQL.Database();
   }
 
-  // Create tables
-  db.run(`
-    CREATE TABLE IF NOT EXISTS contractors (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      phone_number TEXT UNIQUE NOT NULL,
-      business_name TEXT,
-      trade_type TEXT,
-      service_area_zip TEXT,
-      service_radius INTEGER DEFAULT 25,
-      services_offered TEXT DEFAULT '[]',
-      base_service_fee REAL DEFAULT 0,
-      hourly_rate REAL DEFAULT 0,
-      emergency_markup REAL DEFAULT 0.5,
-      available_hours TEXT DEFAULT '{}',
-      is_active INTEGER DEFAULT 1,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS customers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      phone_number TEXT UNIQUE NOT NULL,
-      name TEXT,
-      address TEXT,
-      zip_code TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS jobs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      job_uuid TEXT UNIQUE NOT NULL,
-      customer_id INTEGER,
-      contractor_id INTEGER,
-      problem_description TEXT,
-      service_category TEXT,
-      urgency_level TEXT DEFAULT 'standard',
-      customer_address TEXT,
-      customer_zip TEXT,
-      estimated_cost_min REAL,
-      estimated_cost_max REAL,
-      final_quote REAL,
-      status TEXT DEFAULT 'pending',
-      scheduled_date TEXT,
-      scheduled_time TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (customer_id) REFERENCES customers(id),
-      FOREIGN KEY (contractor_id) REFERENCES contractors(id)
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS conversations (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      phone_number TEXT UNIQUE NOT NULL,
-      state TEXT DEFAULT 'IDLE',
-      context TEXT DEFAULT '{}',
-      job_id INTEGER,
-      contractor_id INTEGER,
-      customer_id INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      from_number TEXT,
-      to_number TEXT,
-      body TEXT,
-      direction TEXT,
-      twilio_message_sid TEXT,
-      conversation_id INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS chat_messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      phone_number TEXT NOT NULL,
-      role TEXT NOT NULL,
-      content TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS contractor_calendar (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      contractor_id INTEGER NOT NULL,
-      google_email TEXT,
-      access_token TEXT,
-      refresh_token TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (contractor_id) REFERENCES contractors(id)
-    )
-  `);
+  // Create or upgrade tables
+  const applied = migrations.runMigrations(db);
+  // Dropping the zip table leaves its pages free in the file; reclaim them once
+  if (applied.some(migration => migration.name === 'drop_zip_codes')) db.run('VACUUM');
+  assignMissingJobRefCodes();
 
   saveDb();
   console.log('Database initialized successfully');
   return db;
 }
 
+// Give jobs created before reference codes existed a code of their own
+function assignMissingJobRefCodes() {
+  const jobs = all('SELECT id FROM jobs WHERE ref_code IS NULL');
+  if (jobs.length === 0) return;
+
+  db.run('BEGIN TRANSACTION');
+  for (const job of jobs) {
+    db.run('UPDATE jobs SET ref_code = ? WHERE id = ?', [generateJobRefCode(), job.id]);
+  }
+  db.run('COMMIT');
+}
+
 // Helper: run a query and return all rows
 function all(sql, params = []) {
   const stmt = db.prepare(sql);
@@ -188,13 +107,35 @@ function getContractorByPhone(phone) {
   return c;
 }
 
-function findAvailableContractors(zipCode) {
-  return all('SELECT * FROM contractors WHERE service_area_zip = ? AND is_active = 1', [zipCode])
-    .map(c => {
-      c.services_offered = JSON.parse(c.services_offered || '[]');
-      c.available_hours = JSON.parse(c.available_hours || '{}');
-      return c;
-    });
+// Active contractors whose service area covers the given zip, nearest first.
+// A contractor covers a zip when it lies within their service_radius (miles)
+// of their service_area_zip; options.radius narrows the search further but never
+// reaches past a contractor's own radius.
+function findAvailableContractors(zipCode, options = {}) {
+  const origin = getZipLocation(zipCode);
+  const rows = all('SELECT * FROM contractors WHERE is_active = 1');
+
+  const matches = [];
+  for (const c of rows) {
+    let distance = null;
+    if (c.service_area_zip === zipCode) {
+      distance = 0;
+    } else if (origin) {
+      const base = getZipLocation(c.service_area_zip);
+      if (base) distance = geo.distanceMiles(origin, base);
+    }
+
+    const serviceRadius = c.service_radius || 25;
+    const maxDistance = options.radius !== undefined ? Math.min(options.radius, serviceRadius) : serviceRadius;
+    if (distance === null || distance > maxDistance) continue;
+
+    c.distance_miles = Math.round(distance * 10) / 10;
+    c.services_offered = JSON.parse(c.services_offered || '[]');
+    c.available_hours = JSON.parse(c.available_hours || '{}');
+    matches.push(c);
+  }
+
+  return matches.sort((a, b) => a.distance_miles - b.distance_miles);
 }
 
 function getAllContractors() {
@@ -214,29 +155,85 @@ function createCustomer(data) {
   );
 }
 
+function getCustomerById(id) { return get('SELECT * FROM customers WHERE id = ?', [id]); }
+
 function getCustomerByPhone(phone) {
   return get('SELECT * FROM customers WHERE phone_number = ?', [phone]);
 }
 
+function updateCustomerLocation(customerId, data) {
+  run(
+    'UPDATE customers SET address = COALESCE(?, address), zip_code = COALESCE(?, zip_code) WHERE id = ?',
+    [data.address || null, data.zip_code || null, customerId]
+  );
+}
+
 // ---- Job methods ----
+// Job reference codes: J plus 3 characters (4 once 3 get crowded), leaving
+// out the look-alikes 0/O, 1/I/L
+const REF_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+function generateJobRefCode() {
+  for (let attempt = 0; ; attempt++) {
+    const length = attempt < 10 ? 3 : 4;
+    let code = 'J';
+    for (let i = 0; i < length; i++) code += REF_CODE_ALPHABET[crypto.randomInt(REF_CODE_ALPHABET.length)];
+    if (!get('SELECT id FROM jobs WHERE ref_code = ?', [code])) return code;
+  }
+}
+
 function createJob(data) {
   return run(
-    `INSERT INTO jobs (customer_id, job_uuid, problem_description, service_category, 
-      urgency_level, customer_address, customer_zip, estimated_cost_min, estimated_cost_max)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [data.customer_id, data.job_uuid, data.problem_description, data.service_category,
+    `INSERT INTO jobs (customer_id, job_uuid, ref_code, problem_description, service_category, 
+      urgency_level, customer_address, customer_zip, estimated_cost_min, estimated_cost_max, quote_breakdown)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [data.customer_id, data.job_uuid, generateJobRefCode(), data.problem_description, data.service_category,
      data.urgency_level, data.customer_address, data.customer_zip,
-     data.estimated_cost_min, data.estimated_cost_max]
+     data.estimated_cost_min, data.estimated_cost_max,
+     data.quote_breakdown ? JSON.stringify(data.quote_breakdown) : null]
   );
 }
 
 function getJobById(id) { return get('SELECT * FROM jobs WHERE id = ?', [id]); }
 function getJobByUuid(uuid) { return get('SELECT * FROM jobs WHERE job_uuid = ?', [uuid]); }
+function getJobByRefCode(code) { return get('SELECT * FROM jobs WHERE ref_code = ?', [String(code).toUpperCase()]); }
 
+// Low-level write; status changes should go through lifecycle.transition()
 function updateJobStatus(jobId, status) {
   run('UPDATE jobs SET status = ? WHERE id = ?', [status, jobId]);
 }
 
+function setJobCalendarEvent(jobId, eventId) {
+  run('UPDATE jobs SET calendar_event_id = ? WHERE id = ?', [eventId, jobId]);
+}
+
+// Forget event ids from a calendar the contractor no longer uses
+function clearContractorCalendarEvents(contractorId) {
+  run('UPDATE jobs SET calendar_event_id = NULL WHERE contractor_id = ?', [contractorId]);
+}
+
+function setJobCancellationFee(jobId, fee) {
+  run('UPDATE jobs SET cancellation_fee = ? WHERE id = ?', [fee, jobId]);
+}
+
+// Scheduled and in-progress jobs for a contractor on or after a date (YYYY-MM-DD)
+function getContractorBookings(contractorId, fromDate) {
+  return all(
+    `SELECT * FROM jobs WHERE contractor_id = ? AND status IN ('scheduled', 'in_progress')
+     AND scheduled_date >= ? ORDER BY scheduled_date, scheduled_time`,
+    [contractorId, fromDate]
+  );
+}
+
+// A contractor's booked and finished jobs from fromDate on, for their calendar feed
+function getContractorCalendarJobs(contractorId, fromDate) {
+  return all(
+    `SELECT * FROM jobs WHERE contractor_id = ? AND status IN ('scheduled', 'in_progress', 'completed')
+     AND scheduled_date >= ? ORDER BY scheduled_date, scheduled_time`,
+    [contractorId, fromDate]
+  );
+}
+
 function assignJobToContractor(jobId, contractorId) {
   run('UPDATE jobs SET contractor_id = ? WHERE id = ?', [contractorId, jobId]);
 }
@@ -245,8 +242,44 @@ function updateJobQuote(jobId, quote) {
   run('UPDATE jobs SET final_quote = ? WHERE id = ?', [quote, jobId]);
 }
 
-function scheduleJob(jobId, date, time, status = 'scheduled') {
-  run('UPDATE jobs SET scheduled_date = ?, scheduled_time = ?, status = ? WHERE id = ?', [date, time, status, jobId]);
+// The estimate the customer accepted (a reassigned job is re-priced for its new contractor)
+function updateJobEstimate(jobId, min, max, breakdown = null) {
+  run(
+    'UPDATE jobs SET estimated_cost_min = ?, estimated_cost_max = ?, quote_breakdown = ? WHERE id = ?',
+    [min, max, breakdown ? JSON.stringify(breakdown) : null, jobId]
+  );
+}
+
+function setJobSchedule(jobId, date, time) {
+  run('UPDATE jobs SET scheduled_date = ?, scheduled_time = ? WHERE id = ?', [date, time, jobId]);
+}
+
+// Latest ETA given to the customer, and when the contractor set off (kept from the first OTW)
+function setJobEta(jobId, etaAt, onTheWayAt = null) {
+  run('UPDATE jobs SET eta_at = ?, on_the_way_at = COALESCE(on_the_way_at, ?) WHERE id = ?', [etaAt, onTheWayAt, jobId]);
+}
+
+function recordJobArrival(jobId, arrivedAt, delayMinutes) {
+  run('UPDATE jobs SET arrived_at = ?, arrival_delay_minutes = ? WHERE id = ?', [arrivedAt, delayMinutes, jobId]);
+}
+
+// Arrivals measured against scheduled_time; up to graceMinutes late counts as on time
+function getContractorPunctuality(contractorId, graceMinutes) {
+  const row = get(
+    `SELECT COUNT(*) as arrivals,
+            SUM(CASE WHEN arrival_delay_minutes <= ? THEN 1 ELSE 0 END) as on_time,
+            AVG(CASE WHEN arrival_delay_minutes > ? THEN arrival_delay_minutes END) as average_minutes_late
+     FROM jobs WHERE contractor_id = ? AND arrival_delay_minutes IS NOT NULL`,
+    [graceMinutes, graceMinutes, contractorId]
+  );
+  const arrivals = row ? row.arrivals : 0;
+  const onTime = row && row.on_time ? row.on_time : 0;
+  return {
+    arrivals,
+    onTime,
+    late: arrivals - onTime,
+    averageMinutesLate: row && row.average_minutes_late !== null ? Math.round(row.average_minutes_late) : null
+  };
 }
 
 function getJobsByContractor(contractorId) {
@@ -257,6 +290,203 @@ function getJobsByContractor(contractorId) {
   );
 }
 
+// Job row plus the contact fields the SMS templates expect (customer_phone,
+// contractor_business_name, ...). Contractor fields are null until assigned.
+function getJobWithParties(jobId) {
+  return get(
+    `SELECT j.*, c.name as customer_name, c.phone_number as customer_phone,
+       k.business_name as contractor_business_name, k.phone_number as contractor_phone
+     FROM jobs j
+     LEFT JOIN customers c ON j.customer_id = c.id
+     LEFT JOIN contractors k ON j.contractor_id = k.id
+     WHERE j.id = ?`, [jobId]
+  );
+}
+
+// Everyone involved in a job: { job, contractor, customer }. Any of them may be null.
+function getJobParties(jobId) {
+  const job = getJobWithParties(jobId);
+  return {
+    job,
+    contractor: job && job.contractor_id ? getContractorById(job.contractor_id) : null,
+    customer: job ? getCustomerById(job.customer_id) : null,
+  };
+}
+
+// ---- Quote methods ----
+function parseQuote(quote) {
+  if (quote) quote.breakdown = quote.breakdown ? JSON.parse(quote.breakdown) : null;
+  return quote;
+}
+
+function createQuote(data) {
+  const next = get('SELECT COALESCE(MAX(version), 0) + 1 as version FROM quotes WHERE job_id = ?', [data.job_id]);
+  return run(
+    `INSERT INTO quotes (job_id, contractor_id, version, kind, amount_min, amount_max, breakdown, notes, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [data.job_id, data.contractor_id || null, next.version, data.kind, data.amount_min, data.amount_max,
+     data.breakdown ? JSON.stringify(data.breakdown) : null, data.notes || null, data.expires_at, data.created_by || null]
+  );
+}
+
+function getQuoteById(quoteId) {
+  return parseQuote(get('SELECT * FROM quotes WHERE id = ?', [quoteId]));
+}
+
+// All versions for a job, oldest first
+function getJobQuotes(jobId) {
+  return all('SELECT * FROM quotes WHERE job_id = ? ORDER BY version', [jobId]).map(parseQuote);
+}
+
+function getLatestQuote(jobId) {
+  return parseQuote(get('SELECT * FROM quotes WHERE job_id = ? ORDER BY version DESC LIMIT 1', [jobId]));
+}
+
+function updateQuoteStatus(quoteId, status) {
+  const respondedAt = ['accepted', 'rejected'].includes(status) ? new Date().toISOString() : null;
+  run('UPDATE quotes SET status = ?, responded_at = COALESCE(?, responded_at) WHERE id = ?', [status, respondedAt, quoteId]);
+}
+
+function supersedePendingQuotes(jobId) {
+  run(`UPDATE quotes SET status = 'superseded' WHERE job_id = ? AND status = 'pending'`, [jobId]);
+}
+
+// ---- Price catalog methods ----
+function parseCatalogItem(item) {
+  if (item) item.keywords = JSON.parse(item.keywords || '[]');
+  return item;
+}
+
+function createCatalogItem(contractorId, data) {
+  return run(
+    `INSERT INTO price_catalog_items (contractor_id, name, keywords, pricing_type, flat_price, hours, material_cost)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [contractorId, data.name, JSON.stringify(data.keywords || []), data.pricing_type,
+     data.flat_price ?? null, data.hours ?? null, data.material_cost || 0]
+  );
+}
+
+function getCatalogItems(contractorId) {
+  return all(
+    'SELECT * FROM price_catalog_items WHERE contractor_id = ? AND is_active = 1 ORDER BY name',
+    [contractorId]
+  ).map(parseCatalogItem);
+}
+
+function getCatalogItem(contractorId, itemId) {
+  return parseCatalogItem(get(
+    'SELECT * FROM price_catalog_items WHERE id = ? AND contractor_id = ? AND is_active = 1',
+    [itemId, contractorId]
+  ));
+}
+
+function updateCatalogItem(contractorId, itemId, data) {
+  run(
+    `UPDATE price_catalog_items
+     SET name = ?, keywords = ?, pricing_type = ?, flat_price = ?, hours = ?, material_cost = ?
+     WHERE id = ? AND contractor_id = ?`,
+    [data.name, JSON.stringify(data.keywords || []), data.pricing_type,
+     data.flat_price ?? null, data.hours ?? null, data.material_cost || 0, itemId, contractorId]
+  );
+}
+
+// Soft delete so old quote breakdowns can still point at the item
+function deleteCatalogItem(contractorId, itemId) {
+  run('UPDATE price_catalog_items SET is_active = 0 WHERE id = ? AND contractor_id = ?', [itemId, contractorId]);
+}
+
+// ---- Job event (status history) methods ----
+function recordJobEvent(data) {
+  return run(
+    'INSERT INTO job_events (job_id, type, from_status, to_status, actor, source, note) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [data.job_id, data.type || 'status', data.from_status || null, data.to_status || null, data.actor, data.source, data.note || null]
+  );
+}
+
+function getJobEvents(jobId) {
+  return all('SELECT * FROM job_events WHERE job_id = ? ORDER BY created_at, id', [jobId]);
+}
+
+// ---- Reschedule request methods ----
+function createRescheduleRequest(data) {
+  return run(
+    `INSERT INTO reschedule_requests (job_id, contractor_id, from_date, from_time, to_date, to_time, requested_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [data.job_id, data.contractor_id, data.from_date || null, data.from_time || null, data.to_date, data.to_time, data.requested_by]
+  );
+}
+
+function getRescheduleRequest(id) {
+  return get('SELECT * FROM reschedule_requests WHERE id = ?', [id]);
+}
+
+// Requests still waiting on this contractor, oldest first, with each job's ref_code
+function getPendingReschedulesForContractor(contractorId) {
+  return all(
+    `SELECT r.*, j.ref_code FROM reschedule_requests r
+     JOIN jobs j ON r.job_id = j.id
+     WHERE r.contractor_id = ? AND r.status = 'pending' ORDER BY r.created_at, r.id`,
+    [contractorId]
+  );
+}
+
+function getPendingRescheduleForJob(jobId) {
+  return get(`SELECT * FROM reschedule_requests WHERE job_id = ? AND status = 'pending' ORDER BY id DESC LIMIT 1`, [jobId]);
+}
+
+function updateRescheduleRequestStatus(id, status) {
+  run('UPDATE reschedule_requests SET status = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?', [status, id]);
+}
+
+function cancelPendingReschedules(jobId) {
+  run(`UPDATE reschedule_requests SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP WHERE job_id = ? AND status = 'pending'`, [jobId]);
+}
+
+// ---- Job dispatch methods (offers texted to contractors) ----
+function createJobDispatch(jobId, contractorId) {
+  return run('INSERT INTO job_dispatches (job_id, contractor_id) VALUES (?, ?)', [jobId, contractorId]);
+}
+
+function getJobDispatch(id) {
+  return get('SELECT * FROM job_dispatches WHERE id = ?', [id]);
+}
+
+function markJobDispatchReminded(id) {
+  run('UPDATE job_dispatches SET reminded_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+}
+
+// Close the contractor's open offers for a job with an outcome (responded or timed_out)
+function closeJobDispatches(jobId, contractorId, outcome) {
+  run(
+    'UPDATE job_dispatches SET outcome = ?, closed_at = CURRENT_TIMESTAMP WHERE job_id = ? AND contractor_id = ? AND closed_at IS NULL',
+    [outcome, jobId, contractorId]
+  );
+}
+
+// A contractor passed on a job, even after answering it some other way (e.g. C, then X)
+function recordJobDispatchPass(jobId, contractorId) {
+  const latest = get('SELECT id FROM job_dispatches WHERE job_id = ? AND contractor_id = ? ORDER BY id DESC LIMIT 1', [jobId, contractorId]);
+  if (latest) {
+    run(
+      `UPDATE job_dispatches SET outcome = 'passed', closed_at = COALESCE(closed_at, CURRENT_TIMESTAMP)
+       WHERE id = ? AND (outcome IS NULL OR outcome = 'responded')`,
+      [latest.id]
+    );
+  } else {
+    run(`INSERT INTO job_dispatches (job_id, contractor_id, closed_at, outcome) VALUES (?, ?, CURRENT_TIMESTAMP, 'passed')`, [jobId, contractorId]);
+  }
+}
+
+// Everyone a job has been in front of: texted the job (whatever they answered)
+// or named on one of its quotes, including quotes the customer turned down
+function getTriedContractorIds(jobId) {
+  return all(
+    `SELECT contractor_id FROM job_dispatches WHERE job_id = ?
+     UNION SELECT contractor_id FROM quotes WHERE job_id = ? AND contractor_id IS NOT NULL`,
+    [jobId, jobId]
+  ).map(row => row.contractor_id);
+}
+
 // ---- Conversation methods ----
 function getOrCreateConversation(phoneNumber) {
   let conv = get('SELECT * FROM conversations WHERE phone_number = ?', [phoneNumber]);
@@ -274,12 +504,37 @@ function updateConversationState(phoneNumber, state, context = {}) {
 }
 
 // ---- Message methods ----
-function saveMessage(fromNumber, toNumber, body, direction, twilioMessageSid = null) {
-  const conv = getOrCreateConversation(direction === 'inbound' ? fromNumber : toNumber);
+// The job a text to or from this phone is about, when the sender didn't say:
+// the job the conversation is on, else the customer's only active (or
+// completed this past week) job. Null when that would be a guess.
+function inferMessageJobId(phone, conv) {
+  if (conv && conv.context && conv.context.job_id) return conv.context.job_id;
+
+  const customer = getCustomerByPhone(String(phone || '').replace(/^whatsapp:/, ''));
+  if (!customer) return null;
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+  const jobs = all(
+    `SELECT id FROM jobs WHERE customer_id = ?
+     AND (status NOT IN ('completed', 'cancelled', 'no_contractors_available') OR (status = 'completed' AND completion_date >= ?))`,
+    [customer.id, weekAgo]
+  );
+  return jobs.length === 1 ? jobs[0].id : null;
+}
+
+// details: { jobId, status, errorCode, errorMessage } as known when the message was saved
+function saveMessage(fromNumber, toNumber, body, direction, twilioMessageSid = null, details = {}) {
+  const phone = direction === 'inbound' ? fromNumber : toNumber;
+  const conv = getOrCreateConversation(phone);
+  const jobId = details.jobId || inferMessageJobId(phone, conv);
+  const status = details.status || (direction === 'inbound' ? 'received' : null);
+  const failed = ['failed', 'undelivered'].includes(status);
   return run(
-    `INSERT INTO messages (from_number, to_number, body, direction, twilio_message_sid, conversation_id)
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [fromNumber, toNumber, body, direction, twilioMessageSid, conv.id]
+    `INSERT INTO messages (from_number, to_number, body, direction, twilio_message_sid, conversation_id, job_id,
+      status, error_code, error_message, status_updated_at, failed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [fromNumber, toNumber, body, direction, twilioMessageSid, conv.id, jobId,
+     status, details.errorCode ? String(details.errorCode) : null, details.errorMessage || null,
+     status ? new Date().toISOString() : null, failed ? new Date().toISOString() : null]
   );
 }
 
@@ -287,6 +542,72 @@ function getMessagesByPhone(phone) {
   return all('SELECT * FROM messages WHERE from_number = ? OR to_number = ? ORDER BY created_at DESC', [phone, phone]);
 }
 
+function getMessageById(id) {
+  return get('SELECT * FROM messages WHERE id = ?', [id]);
+}
+
+function getMessageBySid(sid) {
+  return get('SELECT * FROM messages WHERE twilio_message_sid = ?', [sid]);
+}
+
+// A job's texts with one phone (e.g. the customer's), oldest first
+function getJobMessages(jobId, phone, limit = 100) {
+  return all(
+    `SELECT * FROM messages WHERE job_id = ? AND (from_number = ? OR to_number = ?)
+     ORDER BY created_at, id LIMIT ?`,
+    [jobId, phone, phone, limit]
+  );
+}
+
+function updateMessageStatus(id, status, errorCode = null, errorMessage = null) {
+  const now = new Date().toISOString();
+  return run(
+    `UPDATE messages SET status = ?, error_code = ?, error_message = ?, status_updated_at = ?,
+      delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END,
+      failed_at = CASE WHEN ? IN ('failed', 'undelivered') THEN ? ELSE failed_at END
+     WHERE id = ?`,
+    [status, errorCode ? String(errorCode) : null, errorMessage || null, now, status, now, status, now, id]
+  );
+}
+
+// A message was sent again: it now tracks the new Twilio message
+function recordMessageResend(id, twilioMessageSid, status) {
+  return run(
+    `UPDATE messages SET twilio_message_sid = ?, status = ?, attempts = attempts + 1,
+      error_code = NULL, error_message = NULL, status_updated_at = ?
+     WHERE id = ?`,
+    [twilioMessageSid, status, new Date().toISOString(), id]
+  );
+}
+
+function recordMessageResendFailed(id, errorCode, errorMessage) {
+  const now = new Date().toISOString();
+  return run(
+    `UPDATE messages SET status = 'failed', attempts = attempts + 1, error_code = ?, error_message = ?,
+      status_updated_at = ?, failed_at = ?
+     WHERE id = ?`,
+    [errorCode ? String(errorCode) : null, errorMessage || null, now, now, id]
+  );
+}
+
+// Flag (or with reason null, clear) a number on the customer and contractor records
+function setPhoneUndeliverable(phone, reason) {
+  const flaggedAt = reason ? new Date().toISOString() : null;
+  db.run('UPDATE customers SET sms_undeliverable_at = ?, sms_undeliverable_reason = ? WHERE phone_number = ?',
+    [flaggedAt, reason, phone]);
+  db.run('UPDATE contractors SET sms_undeliverable_at = ?, sms_undeliverable_reason = ? WHERE phone_number = ?',
+    [flaggedAt, reason, phone]);
+  saveDb();
+}
+
+function isPhoneUndeliverable(phone) {
+  return Boolean(get(
+    `SELECT 1 AS flagged FROM customers WHERE phone_number = ? AND sms_undeliverable_at IS NOT NULL
+     UNION SELECT 1 FROM contractors WHERE phone_number = ? AND sms_undeliverable_at IS NOT NULL`,
+    [phone, phone]
+  ));
+}
+
 // ---- Chat message methods (for AI conversation history) ----
 function saveChatMessage(phone, role, content) {
   return run(
@@ -297,7 +618,7 @@ function saveChatMessage(phone, role, content) {
 
 function getRecentChatMessages(phone, limit = 20) {
   return all(
-    'SELECT role, content, created_at FROM chat_messages WHERE phone_number = ? ORDER BY created_at DESC LIMIT ?',
+    'SELECT id, role, content, created_at FROM chat_messages WHERE phone_number = ? ORDER BY created_at DESC, id DESC LIMIT ?',
     [phone, limit]
   ).reverse();
 }
@@ -309,25 +630,322 @@ function getCustomerJobs(customerId) {
   );
 }
 
+// ---- Scheduled task methods (durable reminders/follow-ups) ----
+// Creates the task, or moves an existing one with the same key to the new time.
+// Re-scheduling a task at the time it already has is a no-op, so finished tasks stay finished.
+function upsertScheduledTask(data) {
+  return run(
+    `INSERT INTO scheduled_tasks (task_key, task_type, job_id, payload, run_at, max_attempts)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(task_key) DO UPDATE SET
+       run_at = excluded.run_at, payload = excluded.payload, status = 'pending',
+       attempts = 0, last_error = NULL, completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE scheduled_tasks.run_at != excluded.run_at OR scheduled_tasks.status = 'cancelled'`,
+    [data.task_key, data.task_type, data.job_id || null, JSON.stringify(data.payload || {}),
+     data.run_at, data.max_attempts || 3]
+  );
+}
+
+function getDueScheduledTasks(now, limit = 25) {
+  return all(
+    `SELECT * FROM scheduled_tasks WHERE status = 'pending' AND run_at <= ?
+     ORDER BY run_at LIMIT ?`, [now, limit]
+  ).map(t => {
+    t.payload = JSON.parse(t.payload || '{}');
+    return t;
+  });
+}
+
+function markScheduledTaskRunning(id) {
+  run(`UPDATE scheduled_tasks SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+}
+
+function markScheduledTaskDone(id) {
+  run(
+    `UPDATE scheduled_tasks SET status = 'done', last_error = NULL, completed_at = CURRENT_TIMESTAMP,
+     updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]
+  );
+}
+
+// Pass retryAt to put the task back in the queue, or null to give up on it
+function markScheduledTaskFailed(id, error, retryAt = null) {
+  run(
+    `UPDATE scheduled_tasks SET status = ?, run_at = COALESCE(?, run_at), last_error = ?,
+     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [retryAt ? 'pending' : 'failed', retryAt, error, id]
+  );
+}
+
+function cancelScheduledTasks(jobId, taskTypes) {
+  const placeholders = taskTypes.map(() => '?').join(', ');
+  run(
+    `UPDATE scheduled_tasks SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE job_id = ? AND status = 'pending' AND task_type IN (${placeholders})`,
+    [jobId, ...taskTypes]
+  );
+}
+
+// Tasks left 'running' by a process that died mid-send go back in the queue
+function requeueInterruptedTasks() {
+  run(`UPDATE scheduled_tasks SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'`);
+}
+
+function purgeFinishedScheduledTasks(olderThanDays = 30) {
+  run(
+    `DELETE FROM scheduled_tasks WHERE status IN ('done', 'cancelled')
+     AND updated_at < datetime('now', '-' || ? || ' days')`, [olderThanDays]
+  );
+}
+
+// ---- API keys and audit log ----
+function createApiKey(data) {
+  return run(
+    'INSERT INTO api_keys (name, key_hash, key_prefix, role, contractor_id, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [data.name, data.key_hash, data.key_prefix, data.role, data.contractor_id || null, data.created_by || null]
+  );
+}
+
+function getApiKeyByHash(keyHash) {
+  return get('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [keyHash]);
+}
+
+function getApiKeyById(id) {
+  return get('SELECT * FROM api_keys WHERE id = ?', [id]);
+}
+
+// Every key without its hash, with when it was last used
+function listApiKeys() {
+  return all(
+    `SELECT k.id, k.name, k.key_prefix, k.role, k.contractor_id, k.created_by, k.created_at, k.revoked_at,
+            (SELECT MAX(created_at) FROM api_audit_log WHERE api_key_id = k.id) AS last_used_at
+     FROM api_keys k ORDER BY k.id DESC`
+  );
+}
+
+function revokeApiKey(id) {
+  run('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id]);
+}
+
+function recordApiCall(data) {
+  run(
+    `INSERT INTO api_audit_log (api_key_id, role, contractor_id, method, path, status, ip, duration_ms)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [data.api_key_id || null, data.role || null, data.contractor_id || null, data.method, data.path,
+     data.status, data.ip || null, data.duration_ms]
+  );
+}
+
+// filters: { apiKeyId, limit }
+function getApiAuditLog(filters = {}) {
+  const params = [];
+  let sql = 'SELECT * FROM api_audit_log';
+  if (filters.apiKeyId) {
+    sql += ' WHERE api_key_id = ?';
+    params.push(filters.apiKeyId);
+  }
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(filters.limit || 100);
+  return all(sql, params);
+}
+
+function purgeApiAuditLog(olderThanDays = 90) {
+  run(`DELETE FROM api_audit_log WHERE created_at < datetime('now', '-' || ? || ' days')`, [olderThanDays]);
+}
+
+// ---- Zip code geodata ----
+function getZipLocation(zip) {
+  return geo.getZipLocation(zip);
+}
+
+// ---- Dashboard sessions ----
+// Sessions are looked up by a hash of their token; see src/sessions.js
+function createDashboardSession(data) {
+  return run(
+    `INSERT INTO dashboard_sessions (contractor_id, token_hash, code_hash, code_expires_at, is_verified, verified_at,
+       expires_at, max_expires_at, user_agent, ip, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [data.contractor_id, data.token_hash, data.code_hash || null, data.code_expires_at || null, data.is_verified ? 1 : 0,
+     data.verified_at || null, data.expires_at, data.max_expires_at || null, data.user_agent || null, data.ip || null,
+     new Date().toISOString()]
+  );
+}
+
+function getDashboardSession(tokenHash) {
+  return get('SELECT * FROM dashboard_sessions WHERE token_hash = ?', [tokenHash]);
+}
+
+function recordDashboardCodeAttempt(sessionId) {
+  run('UPDATE dashboard_sessions SET code_attempts = code_attempts + 1 WHERE id = ?', [sessionId]);
+}
+
+// The code was right: the session is logged in until expiresAt (sliding, up to maxExpiresAt)
+function verifyDashboardSession(sessionId, expiresAt, maxExpiresAt) {
+  const now = new Date().toISOString();
+  run(
+    `UPDATE dashboard_sessions SET is_verified = 1, verified_at = ?, last_seen_at = ?, code_hash = NULL,
+     expires_at = ?, max_expires_at = ? WHERE id = ?`,
+    [now, now, expiresAt, maxExpiresAt, sessionId]
+  );
+}
+
+function touchDashboardSession(sessionId, expiresAt) {
+  run('UPDATE dashboard_sessions SET last_seen_at = ?, expires_at = ? WHERE id = ?', [new Date().toISOString(), expiresAt, sessionId]);
+}
+
+function revokeDashboardSession(sessionId) {
+  run('UPDATE dashboard_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [new Date().toISOString(), sessionId]);
+}
+
+// Codes sent to a contractor since the given time, for rate limiting
+function countDashboardCodesSince(contractorId, since) {
+  return get(
+    'SELECT COUNT(*) AS count FROM dashboard_sessions WHERE contractor_id = ? AND code_expires_at IS NOT NULL AND created_at > ?',
+    [contractorId, since]
+  ).count;
+}
+
+// Logged-in (verified, unexpired, not revoked) dashboard sessions of a contractor
+function getActiveDashboardSessions(contractorId) {
+  return all(
+    `SELECT * FROM dashboard_sessions WHERE contractor_id = ? AND is_verified = 1 AND revoked_at IS NULL
+     AND expires_at > ? ORDER BY last_seen_at DESC`,
+    [contractorId, new Date().toISOString()]
+  );
+}
+
+// Record a login link as used; false if it already was
+function useDashboardLoginLink(nonce, contractorId, expiresAt) {
+  if (get('SELECT nonce FROM dashboard_login_links WHERE nonce = ?', [nonce])) return false;
+  run(
+    'INSERT INTO dashboard_login_links (nonce, contractor_id, used_at, expires_at) VALUES (?, ?, ?, ?)',
+    [nonce, contractorId, new Date().toISOString(), expiresAt]
+  );
+  return true;
+}
+
+// Record a calendar OAuth state as used; false if it already was
+function useCalendarOAuthState(nonce, contractorId, expiresAt) {
+  if (get('SELECT nonce FROM calendar_oauth_states WHERE nonce = ?', [nonce])) return false;
+  run(
+    'INSERT INTO calendar_oauth_states (nonce, contractor_id, used_at, expires_at) VALUES (?, ?, ?, ?)',
+    [nonce, contractorId, new Date().toISOString(), expiresAt]
+  );
+  return true;
+}
+
+// Drop expired and revoked sessions, keeping recent ones so code sends still count toward the rate limit.
+// Used login links and calendar OAuth states are kept until they'd have expired anyway.
+function deleteExpiredDashboardSessions() {
+  const now = new Date().toISOString();
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  run(
+    'DELETE FROM dashboard_sessions WHERE (expires_at < ? OR revoked_at IS NOT NULL) AND created_at < ?',
+    [now, dayAgo]
+  );
+  run('DELETE FROM dashboard_login_links WHERE expires_at < ?', [now]);
+  run('DELETE FROM calendar_oauth_states WHERE expires_at < ?', [now]);
+}
+
 // ---- Calendar token methods ----
+// Tokens and CalDAV passwords are encrypted on the way in and decrypted on the way out
+const CALENDAR_SECRET_FIELDS = ['access_token', 'refresh_token', 'caldav_password'];
+
+function decryptCalendarRow(row) {
+  if (!row) return row;
+  for (const field of CALENDAR_SECRET_FIELDS) {
+    row[field] = secrets.decrypt(row[field]);
+  }
+  return row;
+}
+
 function saveCalendarTokens(data) {
   return run(
     'INSERT INTO contractor_calendar (contractor_id, google_email, access_token, refresh_token) VALUES (?, ?, ?, ?)',
-    [data.contractor_id, data.google_email, data.access_token, data.refresh_token]
+    [data.contractor_id, data.google_email, secrets.encrypt(data.access_token), secrets.encrypt(data.refresh_token)]
   );
 }
 
 function getCalendarTokens(contractorId) {
-  return get('SELECT * FROM contractor_calendar WHERE contractor_id = ?', [contractorId]);
+  return decryptCalendarRow(get('SELECT * FROM contractor_calendar WHERE contractor_id = ?', [contractorId]));
 }
 
 function updateCalendarTokens(contractorId, data) {
   run(
-    'UPDATE contractor_calendar SET google_email = ?, access_token = ?, refresh_token = ?, updated_at = CURRENT_TIMESTAMP WHERE contractor_id = ?',
-    [data.google_email, data.access_token, data.refresh_token, contractorId]
+    `UPDATE contractor_calendar SET provider = 'google', google_email = ?, access_token = ?, refresh_token = ?,
+     caldav_url = NULL, caldav_username = NULL, caldav_password = NULL, revoked_at = NULL,
+     updated_at = CURRENT_TIMESTAMP WHERE contractor_id = ?`,
+    [data.google_email, secrets.encrypt(data.access_token), secrets.encrypt(data.refresh_token), contractorId]
   );
 }
 
+// Switch a contractor to a CalDAV calendar or the ICS feed, dropping any
+// Google tokens. data: { provider, caldav_url, caldav_username, caldav_password }
+function saveCalendarConnection(contractorId, data) {
+  const params = [data.provider, data.caldav_url || null, data.caldav_username || null, secrets.encrypt(data.caldav_password || null)];
+  if (getCalendarTokens(contractorId)) {
+    run(
+      `UPDATE contractor_calendar SET provider = ?, caldav_url = ?, caldav_username = ?, caldav_password = ?,
+       google_email = NULL, access_token = NULL, refresh_token = NULL, last_synced_at = NULL, revoked_at = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE contractor_id = ?`,
+      [...params, contractorId]
+    );
+  } else {
+    run(
+      'INSERT INTO contractor_calendar (provider, caldav_url, caldav_username, caldav_password, contractor_id) VALUES (?, ?, ?, ?, ?)',
+      [...params, contractorId]
+    );
+  }
+}
+
+function deleteCalendarConnection(contractorId) {
+  run('DELETE FROM contractor_calendar WHERE contractor_id = ?', [contractorId]);
+}
+
+function markCalendarRevoked(contractorId, revokedAt) {
+  run('UPDATE contractor_calendar SET revoked_at = ? WHERE contractor_id = ?', [revokedAt, contractorId]);
+}
+
+// Encrypt credentials saved before TOKEN_ENCRYPTION_KEY was configured.
+// Returns the number of connections updated.
+function encryptCalendarSecrets() {
+  let updated = 0;
+  for (const row of all('SELECT * FROM contractor_calendar')) {
+    if (CALENDAR_SECRET_FIELDS.every(field => !row[field] || secrets.isEncrypted(row[field]))) continue;
+    run(
+      'UPDATE contractor_calendar SET access_token = ?, refresh_token = ?, caldav_password = ? WHERE id = ?',
+      [secrets.encrypt(row.access_token), secrets.encrypt(row.refresh_token), secrets.encrypt(row.caldav_password), row.id]
+    );
+    updated++;
+  }
+  return updated;
+}
+
+function setCalendarFeedToken(contractorId, token) {
+  run('UPDATE contractor_calendar SET feed_token = ? WHERE contractor_id = ?', [token, contractorId]);
+}
+
+function getCalendarByFeedToken(token) {
+  return decryptCalendarRow(get('SELECT * FROM contractor_calendar WHERE feed_token = ?', [token]));
+}
+
+// Every contractor with a connected calendar
+function getCalendarConnections() {
+  return all('SELECT * FROM contractor_calendar ORDER BY contractor_id').map(decryptCalendarRow);
+}
+
+function setCalendarSyncedAt(contractorId, syncedAt) {
+  run('UPDATE contractor_calendar SET last_synced_at = ? WHERE contractor_id = ?', [syncedAt, contractorId]);
+}
+
+function getJobByCalendarEvent(eventId) {
+  return get('SELECT * FROM jobs WHERE calendar_event_id = ?', [eventId]);
+}
+
+// ---- Schema migrations ----
+function getAppliedMigrations() {
+  return all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
 // Raw query helpers for routes that need them
 function queryGet(sql, params = []) { return get(sql, params); }
 function queryAll(sql, params = []) { return all(sql, params); }
@@ -349,19 +967,38 @@ const stmts = {
   getContractorByPhone: { get(phone) { return getContractorByPhone(phone); } },
   getJobById: { get(id) { return getJobById(id); } },
   getJobsByStatus: { all(status) { return all('SELECT * FROM jobs WHERE status = ?', [status]); } },
-  updateJobStatus: { run(status, id) { run('UPDATE jobs SET status = ? WHERE id = ?', [status, id]); } },
   updateJobQuote: { run(quote, id) { run('UPDATE jobs SET final_quote = ? WHERE id = ?', [quote, id]); } },
-  scheduleJob: { run(date, time, status, id) { scheduleJob(id, date, time, status); } },
 };
 
 module.exports = {
   initDb,
   createContractor, getContractorById, getContractorByPhone, findAvailableContractors, getAllContractors,
-  createCustomer, getCustomerByPhone,
-  createJob, getJobById, getJobByUuid, updateJobStatus, assignJobToContractor, updateJobQuote, scheduleJob, getJobsByContractor,
-  saveCalendarTokens, getCalendarTokens, updateCalendarTokens,
+  createCustomer, getCustomerById, getCustomerByPhone, updateCustomerLocation,
+  createJob, getJobById, getJobByUuid, getJobByRefCode, updateJobStatus, assignJobToContractor, updateJobQuote, updateJobEstimate, setJobSchedule, getJobsByContractor, getContractorBookings,
+  getContractorCalendarJobs, setJobEta, recordJobArrival, getContractorPunctuality,
+  setJobCalendarEvent, clearContractorCalendarEvents, setJobCancellationFee,
+  getJobWithParties, getJobParties,
+  createQuote, getQuoteById, getJobQuotes, getLatestQuote, updateQuoteStatus, supersedePendingQuotes,
+  createCatalogItem, getCatalogItems, getCatalogItem, updateCatalogItem, deleteCatalogItem,
+  recordJobEvent, getJobEvents,
+  createRescheduleRequest, getRescheduleRequest, getPendingReschedulesForContractor, getPendingRescheduleForJob,
+  updateRescheduleRequestStatus, cancelPendingReschedules,
+  createJobDispatch, getJobDispatch, markJobDispatchReminded, closeJobDispatches, recordJobDispatchPass,
+  getTriedContractorIds,
+  saveCalendarTokens, getCalendarTokens, updateCalendarTokens, saveCalendarConnection, getCalendarConnections, setCalendarSyncedAt,
+  setCalendarFeedToken, getCalendarByFeedToken, deleteCalendarConnection, markCalendarRevoked, encryptCalendarSecrets,
+  getJobByCalendarEvent,
+  upsertScheduledTask, getDueScheduledTasks, markScheduledTaskRunning, markScheduledTaskDone,
+  markScheduledTaskFailed, cancelScheduledTasks, requeueInterruptedTasks, purgeFinishedScheduledTasks,
+  createApiKey, getApiKeyByHash, getApiKeyById, listApiKeys, revokeApiKey, recordApiCall, getApiAuditLog, purgeApiAuditLog,
+  getZipLocation,
+  createDashboardSession, getDashboardSession, recordDashboardCodeAttempt, verifyDashboardSession,
+  touchDashboardSession, revokeDashboardSession, countDashboardCodesSince, getActiveDashboardSessions,
+  useDashboardLoginLink, useCalendarOAuthState, deleteExpiredDashboardSessions,
+  getAppliedMigrations,
   getOrCreateConversation, updateConversationState,
-  saveMessage, getMessagesByPhone,
+  saveMessage, getMessagesByPhone, getMessageById, getMessageBySid, getJobMessages,
+  updateMessageStatus, recordMessageResend, recordMessageResendFailed, setPhoneUndeliverable, isPhoneUndeliverable,
   saveChatMessage, getRecentChatMessages, getCustomerJobs,
   queryGet, queryAll, queryRun,
   db: dbProxy,
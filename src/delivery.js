@@ -0,0 +1,117 @@
+const db = require('./db');
+
+// Delivery tracking for outbound texts. sendSMS asks Twilio to post status
+// changes to /webhook/sms-status (when BASE_URL is set) and each one updates
+// the message's row. A send that fails for a temporary reason is sent again
+// after 2, 4, 8 minutes, up to MAX_SEND_ATTEMPTS sends in all. Errors meaning
+// the number can't take texts flag it on the customer or contractor record
+// instead; the flag clears once a text is delivered or the number texts in.
+
+const MAX_SEND_ATTEMPTS = 4;
+const RETRY_BASE_MINUTES = 2;
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed', 'read'];
+
+// Twilio errors for numbers that will never get the text
+const UNDELIVERABLE_ERRORS = {
+  21211: 'Invalid phone number',
+  21214: 'Number cannot be reached',
+  21610: 'Opted out (replied STOP)',
+  21612: 'Number cannot receive texts from us',
+  21614: 'Not a mobile number',
+  30004: 'Texts blocked by the recipient',
+  30005: 'Unknown or inactive number',
+  30006: 'Landline or unreachable carrier'
+};
+// Twilio errors that may clear up on their own (queue full, phone off, carrier hiccup)
+const RETRYABLE_ERRORS = ['20429', '30001', '30003', '30008'];
+
+function statusCallbackUrl() {
+  return process.env.BASE_URL ? `${process.env.BASE_URL}/webhook/sms-status` : null;
+}
+
+// Customers and contractors are stored by plain number
+function recipientPhone(message) {
+  return String(message.to_number || '').replace(/^whatsapp:/, '');
+}
+
+function isRetryable(errorCode, httpStatus) {
+  if (errorCode && UNDELIVERABLE_ERRORS[errorCode]) return false;
+  if (errorCode && RETRYABLE_ERRORS.includes(String(errorCode))) return true;
+  // No Twilio code (network error, timeout) or a server-side error from the API
+  if (!/^\d+$/.test(String(errorCode || ''))) return !httpStatus || httpStatus >= 500 || httpStatus === 429;
+  return httpStatus >= 500;
+}
+
+// A send failed (the API call or, later, the delivery). Flags the number or
+// queues another try; returns true when the message will be sent again.
+function handleFailure(message, errorCode, httpStatus = null) {
+  const reason = errorCode && UNDELIVERABLE_ERRORS[errorCode];
+  if (reason) {
+    db.setPhoneUndeliverable(recipientPhone(message), `${reason} (Twilio ${errorCode})`);
+    console.warn(`Flagged ${recipientPhone(message)} as undeliverable: ${reason}`);
+    return false;
+  }
+  if (!isRetryable(errorCode, httpStatus) || (message.attempts || 1) >= MAX_SEND_ATTEMPTS) {
+    return false;
+  }
+
+  const attempts = message.attempts || 1;
+  const runAt = new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60 * 1000);
+  require('./scheduler').queueTask('sms_retry', `sms_retry_${message.id}_${attempts}`, null, runAt, { messageId: message.id });
+  return true;
+}
+
+// A send that errored before Twilio accepted it. Returns true when it will be retried.
+function recordSendError(messageId, error) {
+  const message = db.getMessageById(messageId);
+  return message ? handleFailure(message, error.code, error.status) : false;
+}
+
+// Twilio status callback. Statuses can arrive out of order, so a final status
+// (delivered, failed...) is never replaced by an earlier one (sent, queued...).
+function recordStatus(sid, status, errorCode = null, errorMessage = null) {
+  const message = sid ? db.getMessageBySid(sid) : null;
+  if (!message) return null;
+  if (FINAL_STATUSES.includes(message.status) && !FINAL_STATUSES.includes(status)) return message;
+
+  db.updateMessageStatus(message.id, status, errorCode, errorMessage);
+  if (status === 'delivered' || status === 'read') {
+    markReachable(recipientPhone(message));
+  } else if ((status === 'failed' || status === 'undelivered') && message.status !== status) {
+    handleFailure(message, errorCode);
+  }
+  return db.getMessageById(message.id);
+}
+
+// Scheduled retry: send the same text again on the same message row
+async function resend(messageId) {
+  const message = db.getMessageById(messageId);
+  if (!message || !['failed', 'undelivered'].includes(message.status)) return;
+
+  const sms = require('./sms');
+  try {
+    const result = await sms.deliver(message.to_number, message.body);
+    db.recordMessageResend(message.id, result.sid, result.status || 'queued');
+    console.log(`SMS ${message.id} resent to ${message.to_number} (attempt ${(message.attempts || 1) + 1}): ${result.sid}`);
+  } catch (error) {
+    console.error(`Error resending SMS ${message.id}:`, error.message);
+    db.recordMessageResendFailed(message.id, error.code, error.message);
+    handleFailure(db.getMessageById(message.id), error.code, error.status);
+  }
+}
+
+// The number got a text or sent one, so it can take texts after all
+function markReachable(phone) {
+  if (db.isPhoneUndeliverable(phone)) {
+    db.setPhoneUndeliverable(phone, null);
+  }
+}
+
+module.exports = {
+  MAX_SEND_ATTEMPTS,
+  statusCallbackUrl,
+  recordSendError,
+  recordStatus,
+  resend,
+  markReachable,
+};
@@ -0,0 +1,200 @@
+const db = require('./db');
+const sms = require('./sms');
+const quoting = require('./quoting');
+const quotes = require('./quotes');
+const lifecycle = require('./lifecycle');
+const scheduler = require('./scheduler');
+
+// Booked jobs are texted to their contractor for an A/C/Q/X answer. With no
+// answer after DISPATCH_REMINDER_MINUTES (default 15) the job is texted again,
+// and after DISPATCH_TIMEOUT_MINUTES (default 30) it goes to the next-best
+// contractor, skipping everyone it has already been offered to or quoted by.
+// Their price goes to the customer as a new estimate and the job is texted to
+// them once the customer accepts it. When nobody is left the job moves to
+// no_contractors_available and the customer is told.
+
+const DISPATCH_TASK_TYPES = ['dispatch_reminder', 'dispatch_timeout'];
+const DEFAULT_REMINDER_MINUTES = 15;
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+function reminderMinutes() {
+  return Number(process.env.DISPATCH_REMINDER_MINUTES) || DEFAULT_REMINDER_MINUTES;
+}
+
+function timeoutMinutes() {
+  return Number(process.env.DISPATCH_TIMEOUT_MINUTES) || DEFAULT_TIMEOUT_MINUTES;
+}
+
+// Text a job to its assigned contractor and start the clock on their answer.
+// Returns the SMS result.
+async function offerJob(jobId) {
+  const { job, contractor } = db.getJobParties(jobId);
+  if (!job || !contractor) {
+    return { success: false, error: 'Job has no contractor to notify' };
+  }
+
+  const dispatchId = db.createJobDispatch(job.id, contractor.id);
+  const now = Date.now();
+  if (reminderMinutes() < timeoutMinutes()) {
+    scheduler.queueTask('dispatch_reminder', `dispatch_${dispatchId}_reminder`, job.id,
+      new Date(now + reminderMinutes() * 60 * 1000), { dispatchId });
+  }
+  scheduler.queueTask('dispatch_timeout', `dispatch_${dispatchId}_timeout`, job.id,
+    new Date(now + timeoutMinutes() * 60 * 1000), { dispatchId });
+
+  const result = await sms.sendContractorNotification(contractor.phone_number, job);
+  if (!result.success) {
+    // The reminder is another chance to reach them
+    console.error(`Failed to text job ${job.id} to contractor ${contractor.id}:`, result.error);
+  }
+  return result;
+}
+
+// The dispatch's job and contractor while it is still waiting on an answer, else null
+function waitingDispatch(dispatchId) {
+  const dispatch = db.getJobDispatch(dispatchId);
+  if (!dispatch || dispatch.closed_at) return null;
+
+  const { job, contractor } = db.getJobParties(dispatch.job_id);
+  if (!job || !contractor || job.status !== 'quoted' || job.contractor_id !== dispatch.contractor_id) return null;
+  return { dispatch, job, contractor };
+}
+
+// Task handler: text the job again. Throws on a failed send so the worker retries it.
+async function sendDispatchReminder(dispatchId) {
+  const waiting = waitingDispatch(dispatchId);
+  if (!waiting) return;
+
+  const { dispatch, job, contractor } = waiting;
+  scheduler.assertSent(await sms.sendContractorNotification(
+    contractor.phone_number,
+    job,
+    `⏰ STILL NEEDS AN ANSWER - this job goes to another contractor in ${timeoutMinutes() - reminderMinutes()} min`
+  ));
+  db.markJobDispatchReminded(dispatch.id);
+}
+
+// Task handler: no answer in time, so the job moves on
+async function expireDispatch(dispatchId) {
+  const waiting = waitingDispatch(dispatchId);
+  if (!waiting) return;
+
+  const { job, contractor } = waiting;
+  db.closeJobDispatches(job.id, contractor.id, 'timed_out');
+  lifecycle.transition(job.id, 'contractor_passed', {
+    actor: 'system',
+    source: 'scheduler',
+    note: `No answer from contractor ${contractor.id} within ${timeoutMinutes()} minutes`
+  });
+
+  const result = await sms.sendSMS(contractor.phone_number,
+    `We didn't hear back about job ${job.ref_code} at ${job.customer_address}, so it went to another contractor.`);
+  if (!result.success) {
+    console.error(`Failed to tell contractor ${contractor.id} job ${job.id} moved on:`, result.error);
+  }
+
+  await reassignPassedJob(job);
+}
+
+// The contractor answered (approved, will call, quoted...): stop the reminder and timeout
+function recordResponse(jobId, contractorId) {
+  db.closeJobDispatches(jobId, contractorId, 'responded');
+  db.cancelScheduledTasks(jobId, DISPATCH_TASK_TYPES);
+}
+
+// A contractor passed on a job: let the customer know and offer it to the next-best contractor.
+// The caller is responsible for moving the job to contractor_passed first.
+async function reassignPassedJob(job) {
+  if (job.contractor_id) {
+    db.recordJobDispatchPass(job.id, job.contractor_id);
+  }
+  db.cancelScheduledTasks(job.id, DISPATCH_TASK_TYPES);
+
+  const customer = db.getCustomerById(job.customer_id);
+  if (customer) {
+    await sms.sendJobRejectionNotification(customer.phone_number, "Contractor unavailable", job.id);
+  }
+
+  await findAlternativeContractor(job);
+}
+
+// Find alternative contractor when one passes or the customer declines their quote,
+// and send the customer that contractor's estimate to approve.
+// Returns the new contractor, or null if none was found.
+async function findAlternativeContractor(job) {
+  try {
+    // Contractors for this kind of work covering the job's zip, nearest first,
+    // leaving out everyone the job has already been in front of
+    const tried = db.getTriedContractorIds(job.id);
+    const eligibleContractors = quoting.filterByCategory(db.findAvailableContractors(job.customer_zip), job.service_category)
+      .filter(c => c.id !== job.contractor_id && !tried.includes(c.id));
+    const bestMatch = quoting.findBestContractor(job, eligibleContractors);
+
+    if (!bestMatch) {
+      await noContractorsLeft(job);
+      return null;
+    }
+
+    // The new contractor's price is a new estimate version; the job goes to
+    // them only once the customer accepts it (see handleQuoteApproval)
+    const contractor = bestMatch.contractor;
+    const estimate = quotes.createQuote(job.id, {
+      kind: 'estimate',
+      contractorId: contractor.id,
+      amountMin: bestMatch.quote.minCost,
+      amountMax: bestMatch.quote.maxCost,
+      breakdown: bestMatch.quote.breakdown,
+      notes: 'Reassigned',
+      actor: 'system'
+    });
+
+    const customer = db.getCustomerById(job.customer_id);
+    if (customer) {
+      db.getOrCreateConversation(customer.phone_number);
+      db.updateConversationState(customer.phone_number, 'AWAITING_QUOTE_APPROVAL', {
+        customer_id: customer.id,
+        job_id: job.id,
+        quote_id: estimate.id,
+        contractor_id: contractor.id
+      });
+      await sms.sendSMS(customer.phone_number,
+        `Found another contractor for your ${job.service_category.replace(/_/g, ' ')} job!\n\n` +
+        `💰 New quote: ${quotes.formatAmount(estimate)}\n` +
+        `🔧 ${contractor.business_name}\n` +
+        `⏳ Good until ${quotes.formatExpiry(estimate)}\n\n` +
+        `Reply YES to send them your job, or NO to cancel.`,
+        { jobId: job.id }
+      );
+    }
+    return contractor;
+  } catch (error) {
+    console.error('Error finding alternative contractor:', error);
+  }
+  return null;
+}
+
+// Every matching contractor has been tried: park the job and tell the customer
+async function noContractorsLeft(job) {
+  lifecycle.transition(job.id, 'no_contractors_available', {
+    note: 'No other contractors left to offer the job to'
+  });
+
+  const customer = db.getCustomerById(job.customer_id);
+  if (customer) {
+    await sms.sendSMS(customer.phone_number,
+      `Sorry, no other contractors are available for your ${job.service_category.replace(/_/g, ' ')} job right now. ` +
+      `Text me anytime to try again.`,
+      { jobId: job.id }
+    );
+  }
+}
+
+module.exports = {
+  DISPATCH_TASK_TYPES,
+  offerJob,
+  sendDispatchReminder,
+  expireDispatch,
+  recordResponse,
+  reassignPassedJob,
+  findAlternativeContractor,
+};
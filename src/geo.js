@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// Zip code centroids from the US Census Bureau ZCTA Gazetteer (public domain)
+const ZIP_CODES_PATH = path.join(__dirname, '../db/zipcodes.csv');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Read the bundled zip -> lat/lon dataset
+function loadZipCodes(filePath = ZIP_CODES_PATH) {
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .slice(1) // header
+    .filter(line => line.trim())
+    .map(line => {
+      const [zip, latitude, longitude] = line.split(',');
+      return { zip, latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+    });
+}
+
+let zipIndex = null;
+
+// Centroid of a zip code, or null if it isn't in the dataset. The dataset is
+// read into memory on first use rather than stored in the database, so it
+// isn't rewritten with every save.
+function getZipLocation(zip) {
+  if (!zip) return null;
+  if (!zipIndex) {
+    zipIndex = new Map(loadZipCodes().map(z => [z.zip, z]));
+  }
+  return zipIndex.get(String(zip).trim()) || null;
+}
+
+// Great-circle distance between two points in miles (haversine)
+function distanceMiles(from, to) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  loadZipCodes,
+  getZipLocation,
+  distanceMiles,
+};
@@ -0,0 +1,230 @@
+// Just enough iCalendar (RFC 5545) for JobFlow's calendars: writing job events
+// for CalDAV servers and the subscribable feed, and reading back the start
+// and end of the events a CalDAV server returns so they can count as busy.
+
+const PRODID = '-//JobFlow//Jobs//EN';
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+// 20261020T130000Z
+function formatUtc(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Milliseconds timeZone is ahead of UTC at this instant
+function zoneOffset(date, timeZone) {
+  const values = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(part => { values[part.type] = Number(part.value); });
+
+  const wallClock = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// The instant a wall-clock time in timeZone refers to. Unknown zones
+// (e.g. Windows names some servers send) are read as server-local time.
+function zonedTime(year, month, day, hours = 0, minutes = 0, seconds = 0, timeZone = null) {
+  if (timeZone) {
+    try {
+      const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+      const offset = zoneOffset(new Date(guess), timeZone);
+      // Near a DST change the offset at the guess can differ from the one at the answer
+      const corrected = zoneOffset(new Date(guess - offset), timeZone);
+      return new Date(guess - corrected);
+    } catch (e) {
+      // RangeError for an unknown zone; fall through
+    }
+  }
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+// VEVENT lines for one event.
+// event: { uid, start, end, summary, description, location, status, alarms: [minutes before] }
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+
+  for (const minutes of event.alarms || []) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-PT${minutes}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// A complete VCALENDAR document. options: { name } shown by subscribing apps
+function buildCalendar(events, options = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// "DTSTART;TZID=America/New_York:20261020T090000" -> { name, params, value }
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf('=');
+    if (eq !== -1) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DATE or DATE-TIME value -> { date, allDay }
+function parseDateValue(property, defaultTimeZone) {
+  const value = property.value.trim();
+
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly) {
+    const [, y, m, d] = dateOnly.map(Number);
+    return { date: zonedTime(y, m, d, 0, 0, 0, defaultTimeZone), allDay: true };
+  }
+
+  const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!dateTime) return null;
+
+  const [y, m, d, h, mi, s] = dateTime.slice(1, 7).map(Number);
+  if (dateTime[7]) {
+    return { date: new Date(Date.UTC(y, m - 1, d, h, mi, s)), allDay: false };
+  }
+  return { date: zonedTime(y, m, d, h, mi, s, property.params.TZID || defaultTimeZone), allDay: false };
+}
+
+// "PT1H30M" -> milliseconds
+function parseDuration(value) {
+  const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return 0;
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(n => Number(n || 0));
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return match[1] === '-' ? -ms : ms;
+}
+
+// Top-level VEVENTs in an iCalendar document as
+// { uid, start, end, status, transparent }. Floating times and dates are read
+// in defaultTimeZone.
+function parseEvents(text, defaultTimeZone = null) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let properties = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const upper = line.trim().toUpperCase();
+    if (upper === 'BEGIN:VEVENT') {
+      properties = {};
+      nested = 0;
+      continue;
+    }
+    if (!properties) continue;
+
+    if (upper.startsWith('BEGIN:')) {
+      nested++;
+    } else if (upper.startsWith('END:') && nested > 0) {
+      nested--;
+    } else if (upper === 'END:VEVENT') {
+      const event = toEvent(properties, defaultTimeZone);
+      if (event) events.push(event);
+      properties = null;
+    } else if (nested === 0) {
+      const property = parseLine(line);
+      if (property && !properties[property.name]) properties[property.name] = property;
+    }
+  }
+
+  return events;
+}
+
+function toEvent(properties, defaultTimeZone) {
+  if (!properties.DTSTART) return null;
+  const start = parseDateValue(properties.DTSTART, defaultTimeZone);
+  if (!start) return null;
+
+  let end = properties.DTEND ? parseDateValue(properties.DTEND, defaultTimeZone) : null;
+  if (!end && properties.DURATION) {
+    end = { date: new Date(start.date.getTime() + parseDuration(properties.DURATION.value)) };
+  }
+  if (!end) {
+    // No end: an all-day event lasts the day, a timed one is a moment
+    end = { date: new Date(start.date.getTime() + (start.allDay ? 24 * 60 * 60 * 1000 : 0)) };
+  }
+
+  return {
+    uid: properties.UID ? properties.UID.value : null,
+    start: start.date,
+    end: end.date,
+    status: properties.STATUS ? properties.STATUS.value.toUpperCase() : 'CONFIRMED',
+    transparent: properties.TRANSP ? properties.TRANSP.value.toUpperCase() === 'TRANSPARENT' : false,
+  };
+}
+
+module.exports = {
+  formatUtc,
+  zonedTime,
+  buildEvent,
+  buildCalendar,
+  parseEvents,
+};
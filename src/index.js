@@ -25,6 +25,15 @@ async function start() {
   await db.initDb();
   console.log('Database ready');
 
+  // Calendar credentials are encrypted at rest; encrypt any saved before the key was set
+  const secrets = require('./secrets');
+  if (secrets.isEncryptionConfigured()) {
+    const encrypted = db.encryptCalendarSecrets();
+    if (encrypted > 0) console.log(`Encrypted stored credentials for ${encrypted} calendar connection(s)`);
+  } else {
+    console.warn('TOKEN_ENCRYPTION_KEY is not set; contractors cannot connect calendars until it is');
+  }
+
   // Seed default contractor if none exist
   const contractors = db.getAllContractors ? db.getAllContractors() : [];
   if (contractors.length === 0) {
@@ -52,6 +61,10 @@ async function start() {
   app.use('/dashboard', dashboardRoutes);
   app.use('/api', apiRoutes);
 
+  // Rebuild pending reminders/follow-ups that were queued before this boot
+  const scheduler = require('./scheduler');
+  await scheduler.restoreScheduledTasks();
+
   // Dev test page
   if (process.env.NODE_ENV === 'development') {
     app.get('/test', (req, res) => {
@@ -111,7 +124,7 @@ async function start() {
 🚀 JobFlow running on port ${PORT}
 
   Twilio:  ${process.env.TWILIO_PHONE_NUMBER || 'Not configured'}
-  OpenAI:  ${process.env.OPENAI_API_KEY ? 'Configured' : 'Not configured'}
+  LLM:     ${require('./ai').llm.name}
   Test:    http://localhost:${PORT}/test
   Webhook: http://localhost:${PORT}/webhook/sms
 
@@ -0,0 +1,148 @@
+const db = require('./db');
+
+// Function-calling schema for customer intake. The model gathers details
+// conversationally and calls submit_job_request once it has enough to quote;
+// the lookup tools let it answer availability/history questions along the way.
+
+const CATEGORIES = [
+  'plumbing', 'electrical', 'HVAC', 'general_handyman', 'appliance_repair',
+  'cleaning', 'landscaping', 'pest_control', 'roofing', 'flooring'
+];
+const URGENCIES = ['low', 'medium', 'high', 'emergency'];
+const REQUIRED_FIELDS = ['problem', 'category', 'urgency', 'zip'];
+
+const TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'submit_job_request',
+      description: 'Submit the job for quoting once the problem, urgency and service zip code are known.',
+      parameters: {
+        type: 'object',
+        properties: {
+          problem: { type: 'string', description: 'Concise summary of the problem' },
+          category: { type: 'string', enum: CATEGORIES },
+          urgency: { type: 'string', enum: URGENCIES },
+          address: { type: 'string', description: 'Street address of the job, if given' },
+          zip: { type: 'string', pattern: '^\\d{5}$', description: '5-digit zip code of the job' },
+          details: { type: 'string', description: 'Key details for quoting' },
+          preferred_time: { type: 'string', description: 'Requested appointment start as YYYY-MM-DDTHH:MM local time, if the customer asked for one' }
+        },
+        required: REQUIRED_FIELDS,
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'lookup_available_slots',
+      description: 'List open appointment days over the next week for contractors serving the customer\'s area.',
+      parameters: {
+        type: 'object',
+        properties: {
+          zip: { type: 'string', pattern: '^\\d{5}$', description: 'Zip code to check, if different from the one on file' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'check_previous_jobs',
+      description: 'Look up this customer\'s previous jobs, most recent first.',
+      parameters: { type: 'object', properties: {}, additionalProperties: false }
+    }
+  }
+];
+
+// Validate submit_job_request arguments. Returns { value } when usable, or
+// { missing, invalid } naming the fields the model still has to ask about.
+function validateJobRequest(args) {
+  const input = args || {};
+  const missing = REQUIRED_FIELDS.filter(field => !String(input[field] || '').trim());
+  const invalid = [];
+
+  if (input.category && !CATEGORIES.includes(input.category)) invalid.push('category');
+  if (input.urgency && !URGENCIES.includes(input.urgency)) invalid.push('urgency');
+  if (input.zip && !/^\d{5}$/.test(String(input.zip).trim())) invalid.push('zip');
+  if (input.preferred_time && isNaN(new Date(input.preferred_time).getTime())) invalid.push('preferred_time');
+
+  if (missing.length || invalid.length) {
+    return { missing, invalid };
+  }
+
+  return {
+    value: {
+      problem: input.problem.trim(),
+      category: input.category,
+      urgency: input.urgency,
+      address: input.address ? input.address.trim() : null,
+      zip: String(input.zip).trim(),
+      details: input.details || '',
+      preferred_time: input.preferred_time || null
+    }
+  };
+}
+
+// Tool result the model sees when a submission is rejected, so it asks the
+// customer for what's missing instead of guessing
+function describeValidationError({ missing, invalid }) {
+  const parts = [];
+  if (missing.length) parts.push(`missing: ${missing.join(', ')}`);
+  if (invalid.length) parts.push(`invalid: ${invalid.join(', ')}`);
+  return {
+    ok: false,
+    error: `Job request incomplete (${parts.join('; ')}). Ask the customer for this information, then call submit_job_request again.`
+  };
+}
+
+// Handlers for the read-only lookup tools, bound to the current conversation
+function createToolHandlers({ customer, customerZip }) {
+  return {
+    lookup_available_slots(args) {
+      const zip = args.zip || customerZip;
+      if (!zip) {
+        return { ok: false, error: 'Zip code unknown. Ask the customer for it first.' };
+      }
+
+      const scheduler = require('./scheduler');
+      const start = new Date();
+      const end = new Date();
+      end.setDate(end.getDate() + 7);
+      const startDate = start.toISOString().split('T')[0];
+      const endDate = end.toISOString().split('T')[0];
+
+      const contractors = db.findAvailableContractors(zip).map(contractor => {
+        const availability = scheduler.getContractorAvailability(contractor.id, startDate, endDate);
+        return {
+          business_name: contractor.business_name,
+          trade_type: contractor.trade_type,
+          open_days: availability ? availability.availableSlots.map(slot => slot.date) : []
+        };
+      });
+
+      return { ok: true, zip, contractors };
+    },
+
+    check_previous_jobs() {
+      const jobs = db.getCustomerJobs(customer.id).slice(0, 5).map(job => ({
+        service_category: job.service_category,
+        problem: job.problem_description,
+        status: job.status,
+        created_at: job.created_at
+      }));
+      return { ok: true, jobs };
+    }
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  URGENCIES,
+  TOOLS,
+  validateJobRequest,
+  describeValidationError,
+  createToolHandlers,
+};
@@ -0,0 +1,273 @@
+// Free-text contractor commands ("yeah I'll take it, can do thursday
+// morning", "running 20 min late"). The model reads the message alongside
+// the contractor's open jobs and calls contractor_command; parseWithRules is
+// the keyword fallback when there's no model or it doesn't call the tool.
+// Both return the same commands as sms.parseContractorResponse, plus
+//   { action: 'schedule', jobCode, date, time }
+//   { action: 'eta', jobCode, minutes, at, late }
+//   { action: 'arrived', jobCode }
+// and an optional date/time on approve. Dates are YYYY-MM-DD, times HH:MM.
+// parseArrivalCommand reads the exact OTW / LATE / HERE commands.
+
+const ACTIONS = ['approve', 'call_customer', 'custom_quote', 'pass', 'schedule', 'eta', 'arrived', 'complete', 'invoice', 'none'];
+const JOB_CODE_PATTERN = /^J[2-9A-HJKMNP-Z]{3,4}$/;
+
+const TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'contractor_command',
+      description: 'Record what the contractor\'s text asks to do with one of their jobs. Use action "none" for anything that is not one of these commands.',
+      parameters: {
+        type: 'object',
+        properties: {
+          action: {
+            type: 'string',
+            enum: ACTIONS,
+            description: 'approve = take the job; call_customer = wants the customer\'s number; custom_quote = quote their own price; ' +
+              'pass = turn the job down; schedule = set a time for an approved job; eta = on the way or running late; arrived = at the job now; ' +
+              'complete = finished the work; invoice = bill the customer for a completed job'
+          },
+          job_code: { type: 'string', pattern: '^J[2-9A-HJKMNP-Z]{3,4}$', description: 'Job code from the list, if the text or context makes clear which job' },
+          amount: { type: 'number', description: 'Dollar amount for custom_quote or invoice' },
+          description: { type: 'string', description: 'Work description for invoice' },
+          date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Appointment day for approve or schedule, as YYYY-MM-DD' },
+          time: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'Appointment start as 24-hour HH:MM (morning 09:00, afternoon 13:00, evening 17:00)' },
+          minutes: { type: 'integer', description: 'For eta: minutes until the contractor arrives, or how late they are running' },
+          arrive_at: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'For eta: arrival time as 24-hour HH:MM, when they give a clock time instead of minutes' },
+          late: { type: 'boolean', description: 'For eta: true when running late rather than just on the way' }
+        },
+        required: ['action'],
+        additionalProperties: false
+      }
+    }
+  }
+];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const PARTS_OF_DAY = { morning: '09:00', noon: '12:00', afternoon: '13:00', evening: '17:00' };
+
+// YYYY-MM-DD for the server's local day
+function localDate(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function validDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(`${value}T00:00:00`).getTime());
+}
+
+function validTime(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60;
+}
+
+// A job code in the message that belongs to one of jobCodes. Plain words
+// like "JUST" fit the code pattern, so only the contractor's own codes count.
+function findJobCode(message, jobCodes) {
+  const words = String(message).toUpperCase().split(/[^A-Z0-9]+/);
+  return words.find(word => JOB_CODE_PATTERN.test(word) && jobCodes.includes(word)) || null;
+}
+
+// Turn contractor_command arguments into a command, or null when it isn't one.
+// options: { jobCodes, message } - the code falls back to one named in the message
+function validateCommand(args, options = {}) {
+  const input = args || {};
+  const jobCodes = options.jobCodes || [];
+  if (!ACTIONS.includes(input.action) || input.action === 'none') return null;
+
+  const code = String(input.job_code || '').toUpperCase();
+  const command = {
+    action: input.action,
+    jobCode: jobCodes.includes(code) ? code : findJobCode(options.message || '', jobCodes)
+  };
+  const amount = Number(input.amount);
+
+  switch (input.action) {
+    case 'custom_quote':
+      if (!(amount > 0)) return null;
+      command.amount = amount;
+      break;
+    case 'invoice':
+      command.amount = amount > 0 ? amount : null;
+      command.description = String(input.description || '').trim() || null;
+      break;
+    case 'approve':
+    case 'schedule':
+      command.date = validDate(input.date) && input.date >= localDate() ? input.date : null;
+      command.time = command.date && validTime(input.time) ? input.time : null;
+      break;
+    case 'eta':
+      command.minutes = Number.isInteger(input.minutes) && input.minutes > 0 && input.minutes <= 600 ? input.minutes : null;
+      command.at = validTime(input.arrive_at) ? input.arrive_at : null;
+      command.late = Boolean(input.late);
+      break;
+  }
+  return command;
+}
+
+// "thursday", "tomorrow", "10/24" -> YYYY-MM-DD, the next such day from now
+function parseDay(text, now) {
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  if (/\btoday\b|\btonight\b|\bthis (?:morning|afternoon|evening)\b/.test(text)) return localDate(day);
+  if (/\btomorrow\b|\btmrw\b/.test(text)) {
+    day.setDate(day.getDate() + 1);
+    return localDate(day);
+  }
+
+  const weekday = /\b(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|sday|urday)?\b/.exec(text);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[1].slice(0, 3));
+    day.setDate(day.getDate() + ((target - day.getDay() + 7) % 7 || 7));
+    return localDate(day);
+  }
+
+  const numeric = /\b(\d{1,2})\/(\d{1,2})\b/.exec(text);
+  if (numeric) {
+    const date = new Date(day.getFullYear(), Number(numeric[1]) - 1, Number(numeric[2]));
+    if (date.getMonth() !== Number(numeric[1]) - 1) return null;
+    if (date < day) date.setFullYear(date.getFullYear() + 1);
+    return localDate(date);
+  }
+  return null;
+}
+
+// 2, 30, 'p' -> "14:30"; null when out of range
+function clockTime(hours, minutes, meridiem) {
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// "10am", "2:30 pm", "at 3", "morning" -> HH:MM
+function parseTime(text) {
+  let match = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/.exec(text) || /\bat (\d{1,2})(?::(\d{2}))?\b/.exec(text);
+  if (match) {
+    const hours = Number(match[1]);
+    const meridiem = match[3] ? match[3][0] : (hours >= 1 && hours <= 6 ? 'p' : null);
+    return clockTime(hours, Number(match[2] || 0), meridiem);
+  }
+
+  match = /\b(morning|noon|afternoon|evening)\b/.exec(text);
+  return match ? PARTS_OF_DAY[match[1]] : null;
+}
+
+// "20 min", "an hour", "1.5 hrs" -> minutes
+function parseMinutes(text) {
+  let match = /\b(\d+)\s*(?:-\s*\d+\s*)?(?:m|min|mins|minutes?)\b/.exec(text);
+  if (match) return Number(match[1]);
+  match = /\b(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hours?)\b/.exec(text);
+  if (match) return Math.round(Number(match[1]) * 60);
+  if (/\bhalf an? hour\b|\bhalf hour\b/.test(text)) return 30;
+  if (/\b(?:an|one) hour\b/.test(text)) return 60;
+  return null;
+}
+
+// "25", "25 min", "an hour" -> { minutes }; "2:30", "by 3pm" -> { at: 'HH:MM' }.
+// A clock time without am/pm is left as said; arrivals reads it as the next one coming up.
+function parseEtaTiming(text) {
+  const clock = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/.exec(text) ||
+    /\b(\d{1,2}):(\d{2})\b/.exec(text) ||
+    /\b(?:by|at|around)\s+(\d{1,2})\b(?!\s*(?:m|min|mins|minutes?|h|hr|hrs|hours?)\b)/.exec(text);
+  if (clock) {
+    const at = clockTime(Number(clock[1]), Number(clock[2] || 0), clock[3] ? clock[3][0] : null);
+    if (at) return { minutes: null, at };
+  }
+
+  const bare = /(?:^|\s)(\d{1,3})\s*$/.exec(text);
+  const minutes = parseMinutes(text) || (bare && Number(bare[1]) <= 180 ? Number(bare[1]) : null);
+  return { minutes: minutes || null, at: null };
+}
+
+// "$350", "350 bucks", "for 350" -> 350
+function parseAmount(text) {
+  const match = /\$\s*(\d[\d,]*(?:\.\d{1,2})?)/.exec(text) ||
+    /\b(\d[\d,]*(?:\.\d{1,2})?)\s*(?:dollars|bucks)\b/.exec(text) ||
+    /\b(?:for|quote|charge|price|cost|be)\s+(\d[\d,]*(?:\.\d{1,2})?)\b/.exec(text);
+  const amount = match ? parseFloat(match[1].replace(/,/g, '')) : NaN;
+  return amount > 0 ? amount : null;
+}
+
+// What an invoice is for: whatever follows its amount
+function parseInvoiceDescription(message) {
+  const match = /\$?\s*\d[\d,]*(?:\.\d{1,2})?\s*(?:dollars|bucks)?\s*(?:for\s+)?([a-z].*)$/i.exec(message);
+  return match ? match[1].trim() : null;
+}
+
+// Keyword fallback for validateCommand, for when there's no model.
+// options: { jobCodes, now }
+function parseWithRules(message, options = {}) {
+  const text = String(message).toLowerCase().replace(/[’‘]/g, "'");
+  const jobCode = findJobCode(message, options.jobCodes || []);
+  const now = options.now || new Date();
+
+  if (/\blate\b|\brunning\b.*\bbehind\b|\bbehind schedule\b|\bdelayed\b/.test(text)) {
+    return { action: 'eta', jobCode, ...parseEtaTiming(text), late: true };
+  }
+  if (/\bon (?:my|the) way\b|\bomw\b|\bheading (?:over|out|there)\b|\ben route\b/.test(text)) {
+    return { action: 'eta', jobCode, ...parseEtaTiming(text), late: false };
+  }
+  if (/\bi'?m here\b|\b(?:just )?(?:got|arrived) (?:here|there)\b|\barrived\b|\bpulling up\b|\bon site\b/.test(text)) {
+    return { action: 'arrived', jobCode };
+  }
+  if (/\binvoice\b|\bbill (?:them|the customer|him|her)\b/.test(text)) {
+    return { action: 'invoice', jobCode, amount: parseAmount(text), description: parseInvoiceDescription(message.replace(/^.*?\b(?:invoice|bill)\b/i, '')) };
+  }
+  if (/\bpass\b|\bcan'?t (?:take|do|make)\b|\bcannot (?:take|do|make)\b|\bnot interested\b|\bno thanks\b|\btoo busy\b|\bdecline\b|\bnot for me\b/.test(text)) {
+    return { action: 'pass', jobCode };
+  }
+  if (/\b(?:all )?done\b|\bfinished\b|\bcompleted?\b|\bwrapped up\b/.test(text)) {
+    return { action: 'complete', jobCode };
+  }
+
+  const amount = parseAmount(text);
+  if (amount && /\$|\bquote\b|\bcharge\b|\bprice\b|\bcost\b|\bdo it for\b|\bdollars\b|\bbucks\b/.test(text)) {
+    return { action: 'custom_quote', jobCode, amount };
+  }
+  if (/\bcall (?:them|the customer|him|her|the client)\b|\bcustomer'?s (?:number|phone)\b/.test(text)) {
+    return { action: 'call_customer', jobCode };
+  }
+
+  const date = parseDay(text, now);
+  const time = date ? parseTime(text) : null;
+  if (/\b(?:yes|yeah|yep|yup|sure|accept)\b|\bi'?ll take it\b|\btake it\b|\bi'?m in\b|\bcount me in\b|\bsounds good\b|\bcan do\b|\bon it\b|\bwill do\b/.test(text)) {
+    return { action: 'approve', jobCode, date, time };
+  }
+  if (date) {
+    return { action: 'schedule', jobCode, date, time };
+  }
+  return null;
+}
+
+// Exact arrival commands: "OTW", "OTW J4F2 25", "OTW 2:30", "LATE 15",
+// "HERE J4F2", and any text with "on the way" in it (as "ON THE WAY" always
+// was). Returns an eta or arrived command, or null.
+// options: { jobCodes } - only the contractor's own codes are read as codes
+function parseArrivalCommand(message, options = {}) {
+  const text = String(message).trim().toLowerCase().replace(/[’‘]/g, "'");
+  const [word, ...args] = text.split(/\s+/);
+  const keyword = word.toUpperCase().replace(/[^A-Z]/g, '');
+  const jobCodes = options.jobCodes || [];
+  const jobCode = args.length && jobCodes.includes(args[0].toUpperCase()) ? args.shift().toUpperCase() : null;
+
+  if (['HERE', 'ARRIVED'].includes(keyword) && args.length === 0) {
+    return { action: 'arrived', jobCode };
+  }
+  if (keyword === 'OTW' || keyword === 'LATE') {
+    return { action: 'eta', jobCode, ...parseEtaTiming(args.join(' ')), late: keyword === 'LATE' };
+  }
+  if (/\bon (?:my|the) way\b/.test(text)) {
+    return { action: 'eta', jobCode: findJobCode(message, jobCodes), ...parseEtaTiming(text), late: /\blate\b/.test(text) };
+  }
+  return null;
+}
+
+module.exports = {
+  ACTIONS,
+  TOOLS,
+  localDate,
+  validateCommand,
+  parseWithRules,
+  parseArrivalCommand,
+};
@@ -0,0 +1,90 @@
+const db = require('./db');
+
+// Every job status, and the statuses a job may move to from each one.
+// All status changes go through transition() so they're validated and recorded in job_events.
+// Anything else worth keeping in a job's history goes through recordEvent().
+const TRANSITIONS = {
+  pending: ['quoted', 'cancelled', 'no_contractors_available'],
+  quoted: ['quoted', 'approved', 'contractor_passed', 'no_contractors_available', 'cancelled'], // quoted -> quoted is a reassignment after the customer declines
+  approved: ['scheduled', 'contractor_passed', 'cancelled'],
+  scheduled: ['scheduled', 'in_progress', 'completed', 'cancelled'], // scheduled -> scheduled is a reschedule
+  in_progress: ['completed', 'cancelled'],
+  contractor_passed: ['quoted', 'no_contractors_available', 'cancelled'],
+  no_contractors_available: ['quoted', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+class JobTransitionError extends Error {
+  constructor(message, fromStatus = null, toStatus = null) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Move a job to a new status and record who did it and through which channel.
+// options: { actor: 'contractor:3' | 'customer:+1555...' | 'api_key:7' | 'system', source: 'sms' | 'dashboard' | 'api' | 'scheduler' | 'calendar' | 'system', note }
+function transition(jobId, toStatus, options = {}) {
+  const { actor = 'system', source = 'system', note = null } = options;
+
+  const job = db.getJobById(jobId);
+  if (!job) {
+    throw new JobTransitionError(`Job ${jobId} not found`, null, toStatus);
+  }
+  if (!STATUSES.includes(toStatus)) {
+    throw new JobTransitionError(`Unknown job status: ${toStatus}`, job.status, toStatus);
+  }
+  if (!canTransition(job.status, toStatus)) {
+    throw new JobTransitionError(`Job ${jobId} can't move from ${job.status} to ${toStatus}`, job.status, toStatus);
+  }
+
+  db.updateJobStatus(job.id, toStatus);
+  db.recordJobEvent({ job_id: job.id, from_status: job.status, to_status: toStatus, actor, source, note });
+
+  return { ...job, status: toStatus };
+}
+
+// Record the first event for a newly created job
+function recordCreated(jobId, options = {}) {
+  const job = db.getJobById(jobId);
+  if (!job) return;
+
+  db.recordJobEvent({
+    job_id: job.id,
+    from_status: null,
+    to_status: job.status,
+    actor: options.actor || 'system',
+    source: options.source || 'system',
+    note: options.note || 'Job created',
+  });
+}
+
+// Record something that happened to a job without changing its status,
+// e.g. recordEvent(jobId, 'running_late', { actor, source, note })
+function recordEvent(jobId, type, options = {}) {
+  db.recordJobEvent({
+    job_id: jobId,
+    type,
+    actor: options.actor || 'system',
+    source: options.source || 'system',
+    note: options.note || null,
+  });
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  JobTransitionError,
+  canTransition,
+  transition,
+  recordCreated,
+  recordEvent,
+};
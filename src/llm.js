@@ -0,0 +1,146 @@
+const OpenAI = require('openai');
+const quoting = require('./quoting');
+
+// Chat providers for the AI engine. Every provider exposes
+//   chat({ messages, tools, maxTokens, temperature }) -> assistant message
+// in the OpenAI chat format ({ role, content, tool_calls }), so callers don't
+// care which backend answered.
+//
+// Selected with LLM_PROVIDER:
+//   openai - OpenAI API (OPENAI_API_KEY, LLM_MODEL defaults to gpt-4o-mini)
+//   local  - any OpenAI-compatible endpoint (LLM_BASE_URL, LLM_MODEL, optional LLM_API_KEY)
+//   rules  - built-in keyword intake, no network access
+// Defaults to openai when OPENAI_API_KEY is set, otherwise rules.
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+class OpenAIProvider {
+  constructor({ apiKey, baseURL, model, name = 'openai' }) {
+    this.name = name;
+    this.model = model || DEFAULT_MODEL;
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  async chat({ messages, tools, maxTokens = 300, temperature = 0.7 }) {
+    const request = {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (tools && tools.length) request.tools = tools;
+
+    const completion = await this.client.chat.completions.create(request);
+    return completion.choices[0].message;
+  }
+}
+
+// Deterministic intake that keeps jobs flowing without a model: it reads the
+// customer's messages, classifies them with the quoting keywords and submits
+// the job once it has a description and a zip code. Requests without the
+// intake tool (free-text parsing) get an empty reply so callers use their
+// own fallback.
+class RuleBasedProvider {
+  constructor() {
+    this.name = 'rules';
+  }
+
+  async chat({ messages, tools = [] }) {
+    const canSubmit = tools.some(tool => tool.function.name === 'submit_job_request');
+    if (!canSubmit) {
+      return { role: 'assistant', content: null };
+    }
+
+    const customerMessages = messages.filter(m => m.role === 'user').map(m => String(m.content || ''));
+    const text = customerMessages.join('\n');
+    const zips = text.match(/\b\d{5}\b/g);
+    const zip = zips ? zips[zips.length - 1] : null;
+
+    // Anything with a few words (beyond a zip or address) describes the problem
+    const descriptions = customerMessages
+      .map(m => m.replace(/\b\d{5}\b/g, '').trim())
+      .filter(m => m.split(/\s+/).length >= 3);
+    const problem = descriptions.join('. ').slice(0, 200);
+
+    const lastMessage = messages[messages.length - 1];
+    const rejected = lastMessage && lastMessage.role === 'tool';
+
+    if (!problem) {
+      return this.reply("Hi! I can help get a local pro out to you. What's going on, and what's the 5-digit zip code where the work is?");
+    }
+    if (!zip) {
+      return this.reply("Thanks! What's the 5-digit zip code where the work is?");
+    }
+    if (rejected) {
+      return this.reply('Could you tell me a bit more about the problem so I can get you an accurate quote?');
+    }
+
+    const category = quoting.detectCategory(text);
+    const args = {
+      problem,
+      category: category === 'hvac' ? 'HVAC' : category,
+      urgency: quoting.detectUrgency(text),
+      zip,
+      details: text.slice(0, 500)
+    };
+    const address = this.extractAddress(text);
+    if (address) args.address = address;
+
+    return {
+      role: 'assistant',
+      content: "Thanks, that's everything I need.",
+      tool_calls: [{
+        id: `rules_${Date.now()}`,
+        type: 'function',
+        function: { name: 'submit_job_request', arguments: JSON.stringify(args) }
+      }]
+    };
+  }
+
+  reply(content) {
+    return { role: 'assistant', content };
+  }
+
+  extractAddress(text) {
+    const match = text.match(/\b\d+\s+[A-Za-z0-9. ]+?\s(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Ln|Lane|Blvd|Boulevard|Ct|Court|Way|Pl|Place)\b\.?/i);
+    return match ? match[0].trim() : null;
+  }
+}
+
+function createProvider(env = process.env) {
+  const provider = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'rules')).toLowerCase();
+
+  switch (provider) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        console.warn('LLM_PROVIDER=openai but OPENAI_API_KEY is not set; using rule-based intake');
+        return new RuleBasedProvider();
+      }
+      return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, model: env.LLM_MODEL });
+
+    case 'local':
+      if (!env.LLM_BASE_URL) {
+        console.warn('LLM_PROVIDER=local but LLM_BASE_URL is not set; using rule-based intake');
+        return new RuleBasedProvider();
+      }
+      return new OpenAIProvider({
+        name: 'local',
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        baseURL: env.LLM_BASE_URL,
+        model: env.LLM_MODEL
+      });
+
+    case 'rules':
+      return new RuleBasedProvider();
+
+    default:
+      console.warn(`Unknown LLM_PROVIDER "${provider}"; using rule-based intake`);
+      return new RuleBasedProvider();
+  }
+}
+
+module.exports = {
+  OpenAIProvider,
+  RuleBasedProvider,
+  createProvider,
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Numbered SQL files, e.g. 001_initial_schema.sql. Applied in order, once each.
+const MIGRATIONS_DIR = path.join(__dirname, '../db/migrations');
+
+function listMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(/^(\d+)_(.+)\.sql$/);
+      if (!match) return null;
+      return { version: parseInt(match[1], 10), name: match[2], file: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function getAppliedVersions(db) {
+  const result = db.exec('SELECT version FROM schema_migrations ORDER BY version');
+  return result.length ? result[0].values.map(([version]) => version) : [];
+}
+
+// Apply every pending migration to a sql.js database. Each migration runs in its
+// own transaction, so a failure leaves the database at the last good version.
+function runMigrations(db, dir = MIGRATIONS_DIR) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const applied = new Set(getAppliedVersions(db));
+  const pending = listMigrations(dir).filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    const sql = fs.readFileSync(migration.file, 'utf-8');
+    try {
+      db.run('BEGIN TRANSACTION');
+      db.exec(sql);
+      db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      db.run('COMMIT');
+      console.log(`Applied migration ${label}`);
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw new Error(`Migration ${label} failed: ${error.message}`);
+    }
+  }
+
+  return pending;
+}
+
+module.exports = {
+  runMigrations,
+  listMigrations,
+  getAppliedVersions,
+};
@@ -0,0 +1,306 @@
+const db = require('./db');
+const sms = require('./sms');
+const lifecycle = require('./lifecycle');
+const scheduler = require('./scheduler');
+const booking = require('./booking');
+
+// Versioned quotes for a job. Estimates come from the intake flow, custom
+// quotes from contractors and counter-offers from customers answering a
+// custom quote; each new one supersedes the pending version. Pending quotes
+// get a reminder before they expire and expire on schedule.
+
+const QUOTE_TASK_TYPES = ['quote_reminder', 'quote_expiry'];
+const DEFAULT_EXPIRY_HOURS = 48;
+const DEFAULT_REMINDER_HOURS = 12; // before expiry
+
+function expiryHours() {
+  return Number(process.env.QUOTE_EXPIRY_HOURS) || DEFAULT_EXPIRY_HOURS;
+}
+
+function reminderHours() {
+  return Number(process.env.QUOTE_REMINDER_HOURS) || DEFAULT_REMINDER_HOURS;
+}
+
+// "$150" or "$150-$200"
+function formatAmount(quote) {
+  return quote.amount_min === quote.amount_max
+    ? `$${quote.amount_min}`
+    : `$${quote.amount_min}-$${quote.amount_max}`;
+}
+
+// The quoting contractor (an estimate's job isn't assigned until it's accepted)
+function quoteParties(quote) {
+  const { job, contractor, customer } = db.getJobParties(quote.job_id);
+  return {
+    job,
+    customer,
+    contractor: quote.contractor_id ? db.getContractorById(quote.contractor_id) : contractor
+  };
+}
+
+// Conversation state of a customer whose answer (or counter-offer) is pending on this quote
+function awaitingState(quote) {
+  return quote.kind === 'estimate' ? 'AWAITING_QUOTE_APPROVAL' : 'AWAITING_CUSTOM_QUOTE_RESPONSE';
+}
+
+function formatExpiry(quote) {
+  return new Date(quote.expires_at).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+}
+
+// Record a new quote version and queue its reminder and expiry.
+// data: { kind: 'estimate'|'custom'|'counter', contractorId, amountMin, amountMax, breakdown, notes, actor }
+function createQuote(jobId, data) {
+  db.supersedePendingQuotes(jobId);
+  db.cancelScheduledTasks(jobId, QUOTE_TASK_TYPES);
+
+  const expiresAt = new Date(Date.now() + expiryHours() * 60 * 60 * 1000);
+  const quoteId = db.createQuote({
+    job_id: jobId,
+    contractor_id: data.contractorId,
+    kind: data.kind,
+    amount_min: data.amountMin,
+    amount_max: data.amountMax ?? data.amountMin,
+    breakdown: data.breakdown,
+    notes: data.notes,
+    expires_at: expiresAt.toISOString(),
+    created_by: data.actor
+  });
+
+  if (data.kind === 'custom') {
+    db.updateJobQuote(jobId, data.amountMax ?? data.amountMin);
+  }
+
+  const remindAt = new Date(expiresAt.getTime() - reminderHours() * 60 * 60 * 1000);
+  if (remindAt > new Date()) {
+    scheduler.queueTask('quote_reminder', `quote_${quoteId}_reminder`, jobId, remindAt, { quoteId });
+  }
+  scheduler.queueTask('quote_expiry', `quote_${quoteId}_expiry`, jobId, expiresAt, { quoteId });
+
+  return db.getQuoteById(quoteId);
+}
+
+// A quote that can still be answered. Returns { success, quote } or
+// { success: false, error, quote, latest } where error is not_found, expired,
+// superseded, accepted or rejected.
+async function openQuote(quoteId) {
+  const quote = db.getQuoteById(quoteId);
+  if (!quote) return { success: false, error: 'not_found' };
+
+  if (quote.status === 'pending' && new Date(quote.expires_at) <= new Date()) {
+    await expireQuote(quote.id, { notify: false });
+    return { success: false, error: 'expired', quote: db.getQuoteById(quote.id) };
+  }
+
+  if (quote.status !== 'pending') {
+    return { success: false, error: quote.status, quote, latest: db.getLatestQuote(quote.job_id) };
+  }
+
+  return { success: true, quote };
+}
+
+// Accept or reject a specific quote version; same result shape as openQuote()
+async function respondToQuote(quoteId, accepted) {
+  const open = await openQuote(quoteId);
+  if (!open.success) return open;
+
+  const quote = open.quote;
+  db.updateQuoteStatus(quote.id, accepted ? 'accepted' : 'rejected');
+  db.cancelScheduledTasks(quote.job_id, QUOTE_TASK_TYPES);
+
+  return { success: true, quote: db.getQuoteById(quote.id) };
+}
+
+// Send a contractor's custom quote to the customer and wait for their answer.
+// options: { actor, notes }
+async function sendCustomQuote(job, contractor, amount, options = {}) {
+  const quote = createQuote(job.id, {
+    kind: 'custom',
+    contractorId: contractor.id,
+    amountMin: amount,
+    notes: options.notes,
+    actor: options.actor || `contractor:${contractor.id}`
+  });
+
+  const customer = db.getCustomerById(job.customer_id);
+  if (customer) {
+    db.getOrCreateConversation(customer.phone_number);
+    db.updateConversationState(customer.phone_number, awaitingState(quote), {
+      job_id: job.id,
+      contractor_id: contractor.id,
+      quote_id: quote.id
+    });
+    await sms.sendCustomQuoteToCustomer(customer.phone_number, contractor.business_name, amount, job, formatExpiry(quote));
+  }
+
+  return quote;
+}
+
+// The customer answered a custom quote with a lower price; ask the contractor.
+// Same result shape as openQuote(), with the counter as quote on success.
+async function counterOffer(quoteId, amount, customerPhone) {
+  const open = await openQuote(quoteId);
+  if (!open.success) return open;
+
+  const quote = open.quote;
+  const counter = createQuote(quote.job_id, {
+    kind: 'counter',
+    contractorId: quote.contractor_id,
+    amountMin: amount,
+    actor: `customer:${customerPhone}`
+  });
+
+  db.updateConversationState(customerPhone, awaitingState(counter), {
+    job_id: quote.job_id,
+    contractor_id: quote.contractor_id,
+    quote_id: counter.id
+  });
+
+  const { job, contractor } = quoteParties(counter);
+  if (contractor) {
+    await sms.sendSMS(contractor.phone_number,
+      `💬 The customer for job ${job.ref_code} (${job.service_category}) asks if you can do ${formatAmount(counter)} instead of ${formatAmount(quote)}.\n\n` +
+      `Reply A ${job.ref_code} to accept ${formatAmount(counter)}, R ${job.ref_code} to decline and keep your quote, or Q ${job.ref_code} [amount] to send a new quote.`
+    );
+  }
+
+  return { success: true, quote: counter };
+}
+
+// The contractor accepted or declined a pending counter-offer. Accepting
+// approves the job at the customer's price; declining re-sends the
+// contractor's last custom quote. Same result shape as openQuote().
+async function answerCounter(counterId, contractor, accepted) {
+  const result = await respondToQuote(counterId, accepted);
+  if (!result.success) return result;
+
+  const counter = result.quote;
+  const { job, customer } = quoteParties(counter);
+  const actor = `contractor:${contractor.id}`;
+
+  if (accepted) {
+    db.updateJobQuote(job.id, counter.amount_max);
+    lifecycle.transition(job.id, 'approved', { actor, source: 'sms', note: `Accepted counter-offer of ${formatAmount(counter)}` });
+
+    if (customer) {
+      db.updateConversationState(customer.phone_number, 'IDLE', {});
+      const slotOffer = await booking.prepareSlotOffer(job.id);
+      await sms.sendSMS(customer.phone_number,
+        `✅ ${contractor.business_name} accepted your offer of ${formatAmount(counter)}!\n\n` +
+        (slotOffer || `They'll contact you soon to schedule the work.\n\n📞 ${contractor.phone_number}`),
+        { jobId: job.id }
+      );
+    }
+    return result;
+  }
+
+  const previous = db.getJobQuotes(job.id).filter(quote => quote.kind === 'custom').pop();
+  if (customer) {
+    await sms.sendSMS(customer.phone_number, `Sorry, ${contractor.business_name} can't do ${formatAmount(counter)}.`, { jobId: job.id });
+  }
+  if (previous) {
+    await sendCustomQuote(job, contractor, previous.amount_max, { actor, notes: `Declined counter-offer of ${formatAmount(counter)}` });
+  }
+  return result;
+}
+
+// Task handler: nudge whoever has to answer before a pending quote lapses
+// (the customer, or the contractor for a counter-offer)
+async function sendQuoteReminder(quoteId) {
+  const quote = db.getQuoteById(quoteId);
+  if (!quote || quote.status !== 'pending') return;
+
+  const { job, contractor, customer } = quoteParties(quote);
+  if (!job) return;
+
+  let to;
+  let message;
+  if (quote.kind === 'counter') {
+    if (!contractor) return;
+    to = contractor.phone_number;
+    message = `⏰ Reminder: the customer's ${formatAmount(quote)} offer for job ${job.ref_code} expires ${formatExpiry(quote)}.\n\n` +
+      `Reply A ${job.ref_code} to accept or R ${job.ref_code} to decline.`;
+  } else {
+    if (!customer) return;
+    const from = contractor ? ` from ${contractor.business_name}` : '';
+    to = customer.phone_number;
+    message = `⏰ Reminder: your ${formatAmount(quote)} quote${from} for your ${job.service_category} job expires ${formatExpiry(quote)}.\n\n` +
+      `Reply YES to accept or NO to decline.`;
+  }
+
+  scheduler.assertSent(await sms.sendSMS(to, message, { jobId: job.id }));
+}
+
+// Task handler (also used when a late YES/NO arrives): mark a pending quote
+// expired. An unanswered estimate cancels the job if it isn't booked yet; an
+// expired custom quote or counter-offer leaves the job with the contractor so
+// they can send a new quote.
+async function expireQuote(quoteId, options = {}) {
+  const notify = options.notify !== false;
+  const quote = db.getQuoteById(quoteId);
+  if (!quote || quote.status !== 'pending') return;
+
+  db.updateQuoteStatus(quote.id, 'expired');
+  db.cancelScheduledTasks(quote.job_id, QUOTE_TASK_TYPES);
+
+  const { job, contractor, customer } = quoteParties(quote);
+  if (!job) return;
+
+  if (customer) {
+    const conversation = db.getOrCreateConversation(customer.phone_number);
+    if (conversation.state === awaitingState(quote) && conversation.context.quote_id === quote.id) {
+      db.updateConversationState(customer.phone_number, 'IDLE', {});
+    }
+  }
+
+  // Also a reassigned job whose new estimate went unanswered
+  if (quote.kind === 'estimate' && ['pending', 'quoted', 'contractor_passed'].includes(job.status)) {
+    lifecycle.transition(job.id, 'cancelled', { actor: 'system', source: 'scheduler', note: `Estimate v${quote.version} expired` });
+  }
+
+  if (!notify) return;
+
+  if (quote.kind === 'counter') {
+    if (customer && contractor) {
+      await sms.sendSMS(customer.phone_number,
+        `${contractor.business_name} didn't answer your ${formatAmount(quote)} offer in time. I'll let you know if they send a new quote.`,
+        { jobId: job.id }
+      );
+    }
+    if (contractor) {
+      await sms.sendSMS(contractor.phone_number,
+        `The customer's ${formatAmount(quote)} offer for job ${job.ref_code} expired. Text Q ${job.ref_code} [amount] to send them a new quote.`
+      );
+    }
+    return;
+  }
+
+  if (customer) {
+    await sms.sendSMS(customer.phone_number,
+      `Your ${formatAmount(quote)} quote for your ${job.service_category} job has expired. ` +
+      `Text me anytime if you still need help and I'll get you an updated quote.`,
+      { jobId: job.id }
+    );
+  }
+  if (quote.kind === 'custom' && contractor) {
+    await sms.sendSMS(contractor.phone_number,
+      `Your ${formatAmount(quote)} quote for job ${job.ref_code} expired without a response. Text Q ${job.ref_code} [amount] to send a new one.`
+    );
+  }
+}
+
+module.exports = {
+  QUOTE_TASK_TYPES,
+  formatAmount,
+  formatExpiry,
+  awaitingState,
+  createQuote,
+  openQuote,
+  respondToQuote,
+  sendCustomQuote,
+  counterOffer,
+  answerCounter,
+  sendQuoteReminder,
+  expireQuote,
+};
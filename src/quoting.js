@@ -1,4 +1,5 @@
 const db = require('./db');
+const catalog = require('./catalog');
 
 class QuotingEngine {
   constructor() {
@@ -41,6 +42,20 @@ class QuotingEngine {
       }
     };
 
+    // Words in a contractor's trade or services that mean they take jobs in a category
+    this.categoryKeywords = {
+      'plumbing': ['plumb', 'pipe', 'drain', 'water heater', 'faucet', 'toilet', 'sewer'],
+      'electrical': ['electric', 'wiring', 'outlet', 'breaker', 'lighting'],
+      'hvac': ['hvac', 'heating', 'cooling', 'air condition', 'furnace', 'heat pump'],
+      'general_handyman': ['handyman', 'general', 'maintenance'],
+      'appliance_repair': ['appliance', 'washer', 'dryer', 'refrigerator', 'dishwasher'],
+      'cleaning': ['clean', 'maid', 'janitor'],
+      'landscaping': ['landscap', 'lawn', 'garden', 'yard', 'tree'],
+      'pest_control': ['pest', 'extermin', 'termite', 'rodent'],
+      'roofing': ['roof', 'gutter', 'shingle'],
+      'flooring': ['floor', 'tile', 'carpet', 'hardwood']
+    };
+
     // Urgency multipliers
     this.urgencyMultipliers = {
       'low': 1.0,
@@ -49,6 +64,37 @@ class QuotingEngine {
       'emergency': 1.0 // Emergency markup is handled separately in contractor settings
     };
 
+    // Category-specific complexity keywords (also used to classify free-text problems)
+    this.complexityKeywords = {
+      'plumbing': {
+        simple: ['faucet', 'leak', 'drip', 'clog', 'running', 'flush', 'handle'],
+        moderate: ['install', 'replace', 'pipe', 'fitting', 'valve', 'fixture'],
+        complex: ['main', 'sewer', 'remodel', 'reroute', 'whole house', 'major']
+      },
+      'electrical': {
+        simple: ['outlet', 'switch', 'light', 'fixture', 'bulb', 'fuse'],
+        moderate: ['circuit', 'breaker', 'wire', 'install', 'ceiling fan'],
+        complex: ['panel', 'rewire', 'upgrade', 'service', 'whole house', '220']
+      },
+      'hvac': {
+        simple: ['filter', 'thermostat', 'maintenance', 'clean', 'check'],
+        moderate: ['repair', 'fix', 'part', 'component', 'tune', 'service'],
+        complex: ['install', 'replace', 'new system', 'ductwork', 'whole house']
+      },
+      'general_handyman': {
+        simple: ['hang', 'mount', 'fix', 'adjust', 'tighten', 'small'],
+        moderate: ['install', 'repair', 'replace', 'build', 'assemble'],
+        complex: ['remodel', 'construction', 'major', 'multiple', 'project']
+      }
+    };
+
+    // Words that signal how soon the customer needs someone
+    this.urgencyKeywords = {
+      'emergency': ['emergency', 'flood', 'burst', 'sparking', 'smoke', 'gas smell', 'no heat', 'sewage', 'on fire'],
+      'high': ['urgent', 'asap', 'today', 'tonight', 'right away', 'not working', 'no hot water'],
+      'low': ['whenever', 'no rush', 'next week', 'next month', 'sometime', 'not urgent']
+    };
+
     // Time-based multipliers
     this.timeMultipliers = {
       'weekday_hours': 1.0,      // Mon-Fri 8AM-6PM
@@ -62,19 +108,8 @@ class QuotingEngine {
 
   generateQuote(jobDetails, contractor, options = {}) {
     try {
-      const category = jobDetails.service_category || 'general_handyman';
+      const category = (jobDetails.service_category || 'general_handyman').toLowerCase();
       const urgencyLevel = jobDetails.urgency_level || 'medium';
-      
-      // Determine job complexity based on problem description
-      const complexity = this.assessJobComplexity(jobDetails.problem_description, category);
-      const complexityData = this.categoryComplexity[category]?.[complexity] || 
-                             this.categoryComplexity['general_handyman']['moderate'];
-
-      // Base calculations
-      const baseFee = contractor.base_service_fee || 75;
-      const hourlyRate = contractor.hourly_rate || 100;
-      const estimatedHours = complexityData.hours;
-      const complexityMultiplier = complexityData.complexity;
 
       // Apply multipliers
       const urgencyMultiplier = this.urgencyMultipliers[urgencyLevel] || 1.1;
@@ -89,6 +124,24 @@ class QuotingEngine {
       const timeMultiplier = options.scheduledTime ? 
         this.getTimeMultiplier(options.scheduledTime) : 1.0;
 
+      // The contractor's own price list wins over the generic tables
+      const catalogItems = options.catalogItems || (contractor.id ? db.getCatalogItems(contractor.id) : []);
+      const matchedItems = catalog.matchItems(catalogItems, jobDetails.problem_description);
+      if (matchedItems.length > 0) {
+        return this.generateCatalogQuote(matchedItems, contractor, { urgencyMultiplier, emergencyMultiplier, timeMultiplier });
+      }
+      
+      // Determine job complexity based on problem description
+      const complexity = this.assessJobComplexity(jobDetails.problem_description, category);
+      const complexityData = this.categoryComplexity[category]?.[complexity] || 
+                             this.categoryComplexity['general_handyman']['moderate'];
+
+      // Base calculations
+      const baseFee = contractor.base_service_fee || 75;
+      const hourlyRate = contractor.hourly_rate || 100;
+      const estimatedHours = complexityData.hours;
+      const complexityMultiplier = complexityData.complexity;
+
       // Calculate base cost
       const laborCost = hourlyRate * estimatedHours;
       const totalBeforeMultipliers = baseFee + laborCost;
@@ -114,6 +167,7 @@ class QuotingEngine {
         maxCost: finalMaxCost,
         averageCost: Math.round((finalMinCost + finalMaxCost) / 2),
         breakdown: {
+          source: 'generic',
           baseFee,
           estimatedHours,
           hourlyRate,
@@ -141,34 +195,54 @@ class QuotingEngine {
     }
   }
 
-  assessJobComplexity(problemDescription, category) {
-    const description = problemDescription.toLowerCase();
-    
-    // Category-specific complexity keywords
-    const complexityKeywords = {
-      'plumbing': {
-        simple: ['faucet', 'leak', 'drip', 'clog', 'running', 'flush', 'handle'],
-        moderate: ['install', 'replace', 'pipe', 'fitting', 'valve', 'fixture'],
-        complex: ['main', 'sewer', 'remodel', 'reroute', 'whole house', 'major']
-      },
-      'electrical': {
-        simple: ['outlet', 'switch', 'light', 'fixture', 'bulb', 'fuse'],
-        moderate: ['circuit', 'breaker', 'wire', 'install', 'ceiling fan'],
-        complex: ['panel', 'rewire', 'upgrade', 'service', 'whole house', '220']
-      },
-      'hvac': {
-        simple: ['filter', 'thermostat', 'maintenance', 'clean', 'check'],
-        moderate: ['repair', 'fix', 'part', 'component', 'tune', 'service'],
-        complex: ['install', 'replace', 'new system', 'ductwork', 'whole house']
-      },
-      'general_handyman': {
-        simple: ['hang', 'mount', 'fix', 'adjust', 'tighten', 'small'],
-        moderate: ['install', 'repair', 'replace', 'build', 'assemble'],
-        complex: ['remodel', 'construction', 'major', 'multiple', 'project']
+  // Price a job from matched price-list items. Flat items are all-in; hourly
+  // items add the base service fee once. Materials aren't marked up for
+  // urgency or time of day. Flat-only quotes are exact, hourly ones get 15%
+  // headroom on labor.
+  generateCatalogQuote(items, contractor, multipliers) {
+    const { urgencyMultiplier, emergencyMultiplier, timeMultiplier } = multipliers;
+    const hourlyRate = contractor.hourly_rate || 100;
+    const hasHourly = items.some(item => item.pricing_type === 'hourly');
+    const baseFee = hasHourly ? (contractor.base_service_fee || 75) : 0;
+
+    const lineItems = items.map(item => ({
+      id: item.id,
+      name: item.name,
+      pricing_type: item.pricing_type,
+      ...catalog.itemCost(item, contractor)
+    }));
+    const laborCost = lineItems.reduce((sum, item) => sum + item.labor, 0);
+    const materialCost = lineItems.reduce((sum, item) => sum + item.materials, 0);
+    const estimatedHours = items.reduce((sum, item) => sum + (item.hours || 0), 0);
+
+    const labor = (baseFee + laborCost) * urgencyMultiplier * emergencyMultiplier * timeMultiplier;
+    const minCost = Math.round(labor + materialCost);
+    const maxCost = hasHourly ? Math.round(labor * 1.15 + materialCost) : minCost;
+
+    return {
+      minCost,
+      maxCost,
+      averageCost: Math.round((minCost + maxCost) / 2),
+      breakdown: {
+        source: 'catalog',
+        lineItems,
+        baseFee,
+        estimatedHours,
+        hourlyRate,
+        laborCost,
+        materialCost,
+        urgencyMultiplier,
+        emergencyMultiplier,
+        timeMultiplier,
+        description: items.map(item => item.name).join(', ')
       }
     };
+  }
 
-    const categoryKeywords = complexityKeywords[category] || complexityKeywords['general_handyman'];
+  assessJobComplexity(problemDescription, category) {
+    const description = problemDescription.toLowerCase();
+    
+    const categoryKeywords = this.complexityKeywords[category] || this.complexityKeywords['general_handyman'];
     
     // Check for complex indicators first
     for (const keyword of categoryKeywords.complex || []) {
@@ -195,6 +269,37 @@ class QuotingEngine {
     return 'moderate';
   }
 
+  // Guess the service category from a free-text description using the
+  // complexity keywords. Words shared by several trades (install, repair...)
+  // count for each; general_handyman wins ties and no-match descriptions.
+  detectCategory(problemDescription) {
+    const description = (problemDescription || '').toLowerCase();
+    let best = { category: 'general_handyman', hits: 0 };
+
+    for (const [category, levels] of Object.entries(this.complexityKeywords)) {
+      if (category === 'general_handyman') continue;
+      const keywords = new Set([...levels.simple, ...levels.moderate, ...levels.complex]);
+      const hits = [...keywords].filter(keyword => description.includes(keyword)).length;
+      if (hits > best.hits) {
+        best = { category, hits };
+      }
+    }
+
+    return best.category;
+  }
+
+  detectUrgency(problemDescription) {
+    const description = (problemDescription || '').toLowerCase();
+
+    for (const level of ['emergency', 'high', 'low']) {
+      if (this.urgencyKeywords[level].some(keyword => description.includes(keyword))) {
+        return level;
+      }
+    }
+
+    return 'medium';
+  }
+
   getTimeMultiplier(scheduledDateTime) {
     const date = new Date(scheduledDateTime);
     const day = date.getDay(); // 0 = Sunday, 6 = Saturday
@@ -217,6 +322,22 @@ class QuotingEngine {
     }
   }
 
+  // Whether the contractor's trade or services cover a job category
+  servesCategory(contractor, category) {
+    const key = String(category || '').toLowerCase();
+    const keywords = [key.replace(/_/g, ' '), ...(this.categoryKeywords[key] || [])];
+    const offered = [contractor.trade_type, ...(contractor.services_offered || [])]
+      .filter(Boolean)
+      .map(s => String(s).toLowerCase());
+
+    return offered.some(text => keywords.some(keyword => text.includes(keyword)));
+  }
+
+  // Only the contractors who do this kind of work; run before findBestContractor
+  filterByCategory(contractors, category) {
+    return (contractors || []).filter(contractor => this.servesCategory(contractor, category));
+  }
+
   // Find best contractor for a job based on multiple factors
   findBestContractor(jobDetails, availableContractors) {
     if (!availableContractors || availableContractors.length === 0) {
@@ -259,8 +380,9 @@ class QuotingEngine {
       };
     });
 
-    // Sort by score (highest first)
-    scoredContractors.sort((a, b) => b.score - a.score);
+    // Sort by score (highest first), nearest contractor wins a tie
+    scoredContractors.sort((a, b) =>
+      b.score - a.score || (a.contractor.distance_miles || 0) - (b.contractor.distance_miles || 0));
     
     return scoredContractors[0]; // Return best match
   }
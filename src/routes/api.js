@@ -2,34 +2,32 @@ const express = require('express');
 const db = require('../db');
 const quoting = require('../quoting');
 const calendar = require('../calendar');
+const lifecycle = require('../lifecycle');
+const dispatch = require('../dispatch');
+const quotes = require('../quotes');
+const booking = require('../booking');
+const auth = require('../auth');
 
 const router = express.Router();
 
 // ---- Google Calendar OAuth routes ----
-router.get('/calendar/auth/:contractorId', (req, res) => {
-  try {
-    const { contractorId } = req.params;
-    const contractor = db.getContractorById(parseInt(contractorId));
-    if (!contractor) return res.status(404).json({ error: 'Contractor not found' });
-
-    if (!process.env.GOOGLE_CLIENT_ID) {
-      return res.status(500).json({ error: 'Google Calendar not configured' });
-    }
-
-    const url = calendar.getAuthUrl(contractorId);
-    res.redirect(url);
-  } catch (error) {
-    console.error('Calendar auth error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
+// The flow starts from the dashboard (POST /dashboard/calendar/google), which
+// signs the state this callback checks
 router.get('/calendar/callback', async (req, res) => {
   try {
     const { code, state } = req.query;
     if (!code || !state) return res.status(400).send('Missing code or state');
 
-    const contractorId = parseInt(state);
+    const contractorId = calendar.verifyOAuthState(state);
+    if (!contractorId) {
+      return res.status(400).send(`
+      <!DOCTYPE html><html><body style="font-family:Arial;text-align:center;padding:60px">
+        <h1>❌ Link Expired</h1>
+        <p>This calendar connection link is no longer valid. Please start again from your dashboard.</p>
+      </body></html>
+    `);
+    }
+
     const result = await calendar.handleCallback(code, contractorId);
     const contractor = db.getContractorById(contractorId);
 
@@ -51,24 +49,91 @@ router.get('/calendar/callback', async (req, res) => {
   }
 });
 
-router.get('/calendar/status/:contractorId', (req, res) => {
+// Read-only ICS feed of a contractor's jobs; the token in the URL is the only credential
+router.get('/calendar/feed/:token.ics', (req, res) => {
   try {
-    const tokens = db.getCalendarTokens(parseInt(req.params.contractorId));
-    res.json({
-      connected: !!tokens,
-      email: tokens?.google_email || null,
-      connectedAt: tokens?.created_at || null,
-    });
+    const feed = calendar.buildFeed(req.params.token);
+    if (!feed) return res.status(404).send('Calendar feed not found');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(feed);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).send('Calendar feed unavailable');
+  }
+});
+
+// ---- Everything below needs an API key (see src/auth.js) ----
+router.use(auth.audit, auth.authenticate);
+
+const ANY_ROLE = auth.ROLES;
+
+// ---- API key management ----
+router.get('/keys', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json({ keys: db.listApiKeys() });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The key is only shown in this response
+router.post('/keys', auth.requireRole('admin'), (req, res) => {
+  try {
+    const { name, role, contractorId } = req.body;
+    const result = auth.createApiKey({ name, role, contractorId, createdBy: auth.actorFor(req) });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, id: result.id, key: result.key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/keys/:keyId', auth.requireRole('admin'), (req, res) => {
+  try {
+    const key = db.getApiKeyById(parseInt(req.params.keyId));
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+
+    db.revokeApiKey(key.id);
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/audit', auth.requireRole('admin'), (req, res) => {
+  try {
+    const { keyId, limit } = req.query;
+    res.json({ entries: db.getApiAuditLog({ apiKeyId: keyId ? parseInt(keyId) : null, limit: Math.min(parseInt(limit) || 100, 1000) }) });
+  } catch (error) {
+    console.error('Error reading API audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---- Calendar ----
+router.get('/calendar/status/:contractorId', auth.requireRole(...ANY_ROLE), (req, res) => {
+  try {
+    if (!auth.canAccessContractor(req, req.params.contractorId)) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.json(calendar.getConnectionStatus(parseInt(req.params.contractorId)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // ---- Smart Scheduling ----
-router.get('/jobs/:jobId/suggest-times', async (req, res) => {
+router.get('/jobs/:jobId/suggest-times', auth.requireRole(...ANY_ROLE), async (req, res) => {
   try {
     const job = db.getJobById(parseInt(req.params.jobId));
-    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!job || !auth.canAccessContractor(req, job.contractor_id)) return res.status(404).json({ error: 'Job not found' });
     if (!job.contractor_id) return res.status(400).json({ error: 'No contractor assigned' });
 
     const slots = await calendar.getAvailableSlots(job.contractor_id, 2, job.customer_zip);
@@ -80,7 +145,7 @@ router.get('/jobs/:jobId/suggest-times', async (req, res) => {
 });
 
 // Get system statistics (for admin/monitoring)
-router.get('/stats', (req, res) => {
+router.get('/stats', auth.requireRole('admin', 'integration'), (req, res) => {
   try {
     const stats = {
       contractors: {
@@ -128,78 +193,98 @@ router.get('/stats', (req, res) => {
 });
 
 // Contractor responds to a job (A=approve, X=pass, Q $amt=custom quote)
-router.post('/jobs/:jobId/respond', async (req, res) => {
+router.post('/jobs/:jobId/respond', auth.requireRole('admin', 'contractor'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { action, amount, scheduled_date, scheduled_time } = req.body;
     const sms = require('../sms');
     
     const job = db.getJobById(jobId);
-    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!job || !auth.canAccessContractor(req, job.contractor_id)) return res.status(404).json({ error: 'Job not found' });
     
     const customer = db.queryGet('SELECT * FROM customers WHERE id = ?', [job.customer_id]);
     const contractor = db.getContractorById(job.contractor_id);
+    const actor = { actor: auth.actorFor(req), source: 'api' };
     
     if (action === 'A' || action === 'approve') {
-      db.updateJobStatus(jobId, 'approved');
+      lifecycle.transition(jobId, 'approved', actor);
+      dispatch.recordResponse(job.id, job.contractor_id);
       
       // If schedule provided, set it
       if (scheduled_date) {
-        db.queryRun('UPDATE jobs SET scheduled_date = ?, scheduled_time = ?, status = ? WHERE id = ?', 
-          [scheduled_date, scheduled_time || 'TBD', 'scheduled', jobId]);
+        lifecycle.transition(jobId, 'scheduled', { ...actor, note: `Scheduled for ${scheduled_date} ${scheduled_time || 'TBD'}` });
+        db.setJobSchedule(jobId, scheduled_date, scheduled_time || 'TBD');
       }
       
-      const scheduleInfo = scheduled_date ? `\n📅 Date: ${scheduled_date}\n⏰ Time: ${scheduled_time || 'TBD'}` : '\nThey will contact you shortly to schedule.';
+      // Reset customer conversation state so they can start new requests
+      try {
+        db.updateConversationState(customer.phone_number, 'IDLE', {});
+      } catch (e) { console.error('Failed to reset customer state:', e.message); }
+
+      // No date given: let the customer pick one of the contractor's open slots
+      let slotOffer = null;
+      if (!scheduled_date) {
+        try {
+          slotOffer = await booking.prepareSlotOffer(jobId);
+        } catch (e) { console.error('Failed to offer slots:', e.message); }
+      }
+
+      const scheduleInfo = scheduled_date ? `\n\n📅 Date: ${scheduled_date}\n⏰ Time: ${scheduled_time || 'TBD'}`
+        : slotOffer ? '' : '\n\nThey will contact you shortly to schedule.';
       
       // Notify customer via WhatsApp/SMS
-      const customerMsg = `✅ Great news! ${contractor.business_name} has accepted your job!\n${scheduleInfo}\n\nContractor: ${contractor.business_name}\nEstimate: $${job.estimated_cost_min}-$${job.estimated_cost_max}\n\nThey'll reach out to confirm details. Reply CANCEL anytime to cancel.`;
+      const customerMsg = `✅ Great news! ${contractor.business_name} has accepted your job!${scheduleInfo}\n\nContractor: ${contractor.business_name}\nEstimate: $${job.estimated_cost_min}-$${job.estimated_cost_max}\n\n` +
+        (slotOffer || `They'll reach out to confirm details. Reply CANCEL anytime to cancel.`);
       
       try {
-        await sms.sendSMS(customer.phone_number, customerMsg);
+        await sms.sendSMS(customer.phone_number, customerMsg, { jobId: job.id });
       } catch (e) { console.error('Failed to notify customer:', e.message); }
       
-      // Reset customer conversation state so they can start new requests
-      try {
-        db.updateConversationState(customer.phone_number, 'IDLE', {});
-      } catch (e) { console.error('Failed to reset customer state:', e.message); }
-      
       // Auto-create Google Calendar event if connected and scheduled
       let calendarEvent = null;
       if (scheduled_date) {
         try {
-          const updatedJob = db.getJobById(jobId);
-          calendarEvent = await calendar.createCalendarEvent(job.contractor_id, updatedJob, customer);
+          calendarEvent = await calendar.syncJobEvent(jobId);
         } catch (e) { console.error('Failed to create calendar event:', e.message); }
       }
       
-      res.json({ success: true, message: 'Job approved, customer notified', customerMsg, calendarEvent: calendarEvent?.htmlLink || null });
+      res.json({ success: true, message: 'Job approved, customer notified', customerMsg, slotsOffered: Boolean(slotOffer), calendarEvent: calendarEvent?.htmlLink || null });
     } else if (action === 'X' || action === 'pass') {
-      db.updateJobStatus(jobId, 'cancelled');
-      // Reset customer state so they can start fresh
-      try { db.updateConversationState(customer.phone_number, 'IDLE', {}); } catch (e) {}
+      // Same as texting X: the job goes to the next-best contractor
+      lifecycle.transition(jobId, 'contractor_passed', actor);
+      await dispatch.reassignPassedJob(job);
       res.json({ success: true, message: 'Job passed' });
     } else if (action === 'Q' || action === 'quote') {
-      db.queryRun('UPDATE jobs SET final_quote = ? WHERE id = ?', [amount, jobId]);
-      
-      const customerMsg = `💰 ${contractor.business_name} sent you a custom quote: $${amount}\n\nReply YES to accept or NO to decline.`;
-      try {
-        await sms.sendSMS(customer.phone_number, customerMsg);
-      } catch (e) { console.error('Failed to notify customer:', e.message); }
+      const quoteAmount = parseFloat(amount);
+      if (isNaN(quoteAmount) || quoteAmount <= 0) {
+        return res.status(400).json({ error: 'A positive amount is required for a custom quote' });
+      }
+
+      const customQuote = await quotes.sendCustomQuote(job, contractor, quoteAmount, { actor: actor.actor });
+      dispatch.recordResponse(job.id, job.contractor_id);
       
-      res.json({ success: true, message: 'Custom quote sent', customerMsg });
+      res.json({ success: true, message: 'Custom quote sent', quote: customQuote });
     } else {
       res.status(400).json({ error: 'Invalid action. Use: approve, pass, or quote' });
     }
   } catch (error) {
+    if (error instanceof lifecycle.JobTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error responding to job:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get recent jobs (for contractor notifications)
-router.get('/jobs/recent', (req, res) => {
+router.get('/jobs/recent', auth.requireRole(...ANY_ROLE), (req, res) => {
   try {
-    const jobs = db.queryAll("SELECT j.*, c.business_name as contractor_name FROM jobs j LEFT JOIN contractors c ON j.contractor_id = c.id ORDER BY j.created_at DESC LIMIT 10");
+    const scoped = req.auth.role === 'contractor';
+    const jobs = db.queryAll(
+      `SELECT j.*, c.business_name as contractor_name FROM jobs j LEFT JOIN contractors c ON j.contractor_id = c.id
+       ${scoped ? 'WHERE j.contractor_id = ?' : ''} ORDER BY j.created_at DESC LIMIT 10`,
+      scoped ? [req.auth.contractorId] : []
+    );
     res.json({ jobs });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -207,7 +292,7 @@ router.get('/jobs/recent', (req, res) => {
 });
 
 // Add contractor
-router.post('/contractors', (req, res) => {
+router.post('/contractors', auth.requireRole('admin'), (req, res) => {
   try {
     const result = db.createContractor(req.body);
     res.json({ success: true, message: 'Contractor added', id: result });
@@ -218,17 +303,25 @@ router.post('/contractors', (req, res) => {
 });
 
 // Search contractors
-router.get('/contractors/search', (req, res) => {
+router.get('/contractors/search', auth.requireRole('admin', 'integration'), (req, res) => {
   try {
     const { zip, trade, radius } = req.query;
-    
-    let query = 'SELECT * FROM contractors WHERE is_active = 1';
-    const params = [];
-    
+
+    // With a zip, match by distance (nearest first) instead of exact service_area_zip
     if (zip) {
-      query += ' AND service_area_zip = ?';
-      params.push(zip);
+      const searchRadius = parseFloat(radius);
+      let contractors = db.findAvailableContractors(zip, isNaN(searchRadius) ? {} : { radius: searchRadius });
+
+      if (trade) {
+        const tradeFilter = trade.toLowerCase();
+        contractors = contractors.filter(c => (c.trade_type || '').toLowerCase().includes(tradeFilter));
+      }
+
+      return res.json({ contractors: contractors.slice(0, 50) });
     }
+
+    let query = 'SELECT * FROM contractors WHERE is_active = 1';
+    const params = [];
     
     if (trade) {
       query += ' AND trade_type LIKE ?';
@@ -254,9 +347,11 @@ router.get('/contractors/search', (req, res) => {
 });
 
 // Get job history for analytics
-router.get('/jobs/analytics', (req, res) => {
+router.get('/jobs/analytics', auth.requireRole(...ANY_ROLE), (req, res) => {
   try {
-    const { startDate, endDate, contractorId } = req.query;
+    const { startDate, endDate } = req.query;
+    // Contractor keys only ever see their own jobs
+    const contractorId = req.auth.role === 'contractor' ? req.auth.contractorId : req.query.contractorId;
     
     let baseQuery = `
       SELECT j.*, c.name as customer_name, cont.business_name as contractor_name
@@ -310,14 +405,15 @@ router.get('/jobs/analytics', (req, res) => {
 });
 
 // Generate quote estimate for external use
-router.post('/quote/estimate', (req, res) => {
+router.post('/quote/estimate', auth.requireRole(...ANY_ROLE), (req, res) => {
   try {
     const { 
       serviceCategory, 
       problemDescription, 
       urgencyLevel, 
       zipCode,
-      contractorId 
+      contractorId,
+      requestedTime
     } = req.body;
 
     if (!serviceCategory || !problemDescription || !zipCode) {
@@ -338,8 +434,8 @@ router.post('/quote/estimate', (req, res) => {
     if (contractorId) {
       contractor = db.db.prepare('SELECT * FROM contractors WHERE id = ? AND is_active = 1').get(contractorId);
     } else {
-      // Find best available contractor
-      const availableContractors = db.findAvailableContractors(zipCode, serviceCategory);
+      // Find best available contractor who does this kind of work
+      const availableContractors = quoting.filterByCategory(db.findAvailableContractors(zipCode), serviceCategory);
       if (availableContractors.length > 0) {
         const bestMatch = quoting.findBestContractor(jobDetails, availableContractors);
         contractor = bestMatch?.contractor;
@@ -352,14 +448,15 @@ router.post('/quote/estimate', (req, res) => {
       });
     }
 
-    const quote = quoting.generateQuote(jobDetails, contractor);
+    const quote = quoting.generateQuote(jobDetails, contractor, { scheduledTime: requestedTime });
     
     res.json({
       quote: {
         minCost: quote.minCost,
         maxCost: quote.maxCost,
         averageCost: quote.averageCost,
-        description: quote.breakdown.description
+        description: quote.breakdown.description,
+        breakdown: quote.breakdown
       },
       contractor: {
         businessName: contractor.business_name,
@@ -375,7 +472,7 @@ router.post('/quote/estimate', (req, res) => {
 });
 
 // Get conversation history for a phone number
-router.get('/conversations/:phoneNumber', (req, res) => {
+router.get('/conversations/:phoneNumber', auth.requireRole('admin'), (req, res) => {
   try {
     const { phoneNumber } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -405,14 +502,14 @@ router.get('/conversations/:phoneNumber', (req, res) => {
 });
 
 // Update contractor availability
-router.post('/contractors/:contractorId/availability', (req, res) => {
+router.post('/contractors/:contractorId/availability', auth.requireRole('admin', 'contractor'), (req, res) => {
   try {
     const { contractorId } = req.params;
     const { availableHours, isActive } = req.body;
 
     // Verify contractor exists
     const contractor = db.db.prepare('SELECT * FROM contractors WHERE id = ?').get(contractorId);
-    if (!contractor) {
+    if (!contractor || !auth.canAccessContractor(req, contractorId)) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
 
@@ -433,7 +530,7 @@ router.post('/contractors/:contractorId/availability', (req, res) => {
 });
 
 // Get service categories and their pricing
-router.get('/services', (req, res) => {
+router.get('/services', auth.requireRole(...ANY_ROLE), (req, res) => {
   try {
     // Get categories from active contractors
     const categories = db.db.prepare(`
@@ -489,7 +586,7 @@ router.get('/services', (req, res) => {
 });
 
 // Bulk message sending (for admin notifications)
-router.post('/messages/broadcast', (req, res) => {
+router.post('/messages/broadcast', auth.requireRole('admin'), (req, res) => {
   try {
     const { targetType, message, filter } = req.body;
 
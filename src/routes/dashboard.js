@@ -1,19 +1,21 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const db = require('../db');
 const sms = require('../sms');
+const lifecycle = require('../lifecycle');
+const dispatch = require('../dispatch');
+const catalog = require('../catalog');
+const booking = require('../booking');
+const appointments = require('../appointments');
+const calendar = require('../calendar');
+const secrets = require('../secrets');
+const sessions = require('../sessions');
+const arrivals = require('../arrivals');
 const path = require('path');
 
 const router = express.Router();
 
-// Dashboard home - serves the HTML interface
+// Dashboard home - serves the HTML interface (?phone= prefills the login form, ?login= is a texted login link)
 router.get('/', (req, res) => {
-  const { phone, session } = req.query;
-  
-  if (!phone && !session) {
-    return res.status(400).send('Phone number or session required');
-  }
-
   // Serve the dashboard HTML
   res.sendFile(path.join(__dirname, '../../public/dashboard.html'));
 });
@@ -27,28 +29,14 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Phone number is required' });
     }
 
-    const formattedPhone = sms.formatPhoneNumber(phoneNumber);
-    
-    // Check if contractor exists
-    const contractor = db.getContractorByPhone(formattedPhone);
-    if (!contractor) {
-      return res.status(404).json({ error: 'Contractor not found. Text SETUP to get started.' });
+    const result = await sessions.startLogin(phoneNumber, { userAgent: req.get('user-agent'), ip: req.ip });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Generate session token and verification code
-    const sessionToken = uuidv4();
-    const verificationCode = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit code
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-
-    // Save session
-    db.createDashboardSession(contractor.id, sessionToken, verificationCode, expiresAt.toISOString());
-
-    // Send verification code via SMS
-    await sms.sendVerificationCode(formattedPhone, verificationCode);
-
     res.json({ 
       success: true, 
-      sessionToken,
+      sessionToken: result.sessionToken,
       message: 'Verification code sent to your phone'
     });
 
@@ -67,28 +55,49 @@ router.post('/verify', async (req, res) => {
       return res.status(400).json({ error: 'Session token and verification code are required' });
     }
 
-    const session = db.getDashboardSession(sessionToken);
-    
-    if (!session) {
-      return res.status(404).json({ error: 'Invalid session' });
+    const result = sessions.verifyCode(sessionToken, verificationCode);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    if (new Date() > new Date(session.expires_at)) {
-      return res.status(400).json({ error: 'Session expired' });
-    }
+    const contractor = db.getContractorById(result.contractorId);
+
+    res.json({ 
+      success: true,
+      contractor: {
+        id: contractor.id,
+        businessName: contractor.business_name,
+        tradeType: contractor.trade_type,
+        phoneNumber: contractor.phone_number
+      }
+    });
+
+  } catch (error) {
+    console.error('Error verifying login:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log in with the link texted in reply to DASHBOARD. The page posts the link's
+// token here rather than the link doing it, so SMS link previews can't use it up.
+router.post('/login/link', (req, res) => {
+  try {
+    const { token } = req.body;
 
-    if (session.verification_code !== verificationCode) {
-      return res.status(400).json({ error: 'Invalid verification code' });
+    if (!token) {
+      return res.status(400).json({ error: 'Login token is required' });
     }
 
-    // Mark session as verified
-    db.verifyDashboardSession(sessionToken);
+    const result = sessions.redeemLoginLink(token, { userAgent: req.get('user-agent'), ip: req.ip });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-    // Get contractor info
-    const contractor = db.db.prepare('SELECT * FROM contractors WHERE id = ?').get(session.contractor_id);
+    const contractor = db.getContractorById(result.contractorId);
 
-    res.json({ 
+    res.json({
       success: true,
+      sessionToken: result.sessionToken,
       contractor: {
         id: contractor.id,
         businessName: contractor.business_name,
@@ -98,7 +107,7 @@ router.post('/verify', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error verifying login:', error);
+    console.error('Error logging in with link:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -111,13 +120,14 @@ const verifySession = (req, res, next) => {
     return res.status(401).json({ error: 'No session token provided' });
   }
 
-  const session = db.getDashboardSession(sessionToken);
+  const session = sessions.authenticate(sessionToken);
   
-  if (!session || !session.is_verified || new Date() > new Date(session.expires_at)) {
+  if (!session) {
     return res.status(401).json({ error: 'Invalid or expired session' });
   }
 
   req.contractorId = session.contractor_id;
+  req.sessionId = session.id;
   req.sessionToken = sessionToken;
   next();
 };
@@ -152,7 +162,8 @@ router.get('/data', verifySession, async (req, res) => {
         return completionDate.getMonth() === thisMonth.getMonth() && 
                completionDate.getFullYear() === thisMonth.getFullYear();
       }).length,
-      averageRating: calculateAverageRating(jobs.completed)
+      averageRating: calculateAverageRating(jobs.completed),
+      punctuality: arrivals.punctuality(contractorId)
     };
 
     res.json({
@@ -181,7 +192,8 @@ router.get('/jobs/:jobId', verifySession, (req, res) => {
     const contractorId = req.contractorId;
     
     const job = db.db.prepare(`
-      SELECT j.*, c.name as customer_name, c.phone_number as customer_phone, c.address as customer_full_address
+      SELECT j.*, c.name as customer_name, c.phone_number as customer_phone, c.address as customer_full_address,
+        c.sms_undeliverable_at as customer_sms_undeliverable_at, c.sms_undeliverable_reason as customer_sms_undeliverable_reason
       FROM jobs j
       LEFT JOIN customers c ON j.customer_id = c.id
       WHERE j.id = ? AND j.contractor_id = ?
@@ -191,7 +203,10 @@ router.get('/jobs/:jobId', verifySession, (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    res.json({ job });
+    job.quote_breakdown = job.quote_breakdown ? JSON.parse(job.quote_breakdown) : null;
+    // This job's texts with the customer (not their other jobs')
+    const messages = job.customer_phone ? db.getJobMessages(job.id, job.customer_phone) : [];
+    res.json({ job, events: db.getJobEvents(jobId), quotes: db.getJobQuotes(jobId), messages });
 
   } catch (error) {
     console.error('Error getting job details:', error);
@@ -199,6 +214,24 @@ router.get('/jobs/:jobId', verifySession, (req, res) => {
   }
 });
 
+// Job status history, oldest first
+router.get('/jobs/:jobId/events', verifySession, (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = db.db.prepare('SELECT id FROM jobs WHERE id = ? AND contractor_id = ?').get(jobId, req.contractorId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ events: db.getJobEvents(jobId) });
+
+  } catch (error) {
+    console.error('Error getting job events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update job status
 router.post('/jobs/:jobId/status', verifySession, async (req, res) => {
   try {
@@ -213,13 +246,21 @@ router.post('/jobs/:jobId/status', verifySession, async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    const validStatuses = ['quoted', 'approved', 'scheduled', 'in_progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!lifecycle.STATUSES.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    // Update job status
-    db.updateJobStatus(jobId, status);
+    // Completion also queues the customer follow-up, so it goes through the scheduler
+    if (status === 'completed') {
+      const scheduler = require('../scheduler');
+      const contractor = db.getContractorById(contractorId);
+      const result = await scheduler.markJobCompleted(jobId, contractor.phone_number, 'dashboard');
+      if (!result.success) {
+        return res.status(409).json({ error: result.error });
+      }
+    } else {
+      lifecycle.transition(jobId, status, { actor: `contractor:${contractorId}`, source: 'dashboard', note: notes || null });
+    }
 
     // Add notes if provided
     if (notes) {
@@ -232,6 +273,9 @@ router.post('/jobs/:jobId/status', verifySession, async (req, res) => {
     res.json({ success: true, message: `Job status updated to ${status}` });
 
   } catch (error) {
+    if (error instanceof lifecycle.JobTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error updating job status:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -316,6 +360,69 @@ router.post('/profile', verifySession, async (req, res) => {
   }
 });
 
+// Price catalog
+router.get('/catalog', verifySession, (req, res) => {
+  try {
+    res.json({ items: db.getCatalogItems(req.contractorId) });
+  } catch (error) {
+    console.error('Error getting price catalog:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/catalog', verifySession, (req, res) => {
+  try {
+    const { value, error } = catalog.normalizeItem(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const itemId = db.createCatalogItem(req.contractorId, value);
+    res.json({ success: true, item: db.getCatalogItem(req.contractorId, itemId) });
+
+  } catch (error) {
+    console.error('Error adding price catalog item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.put('/catalog/:itemId', verifySession, (req, res) => {
+  try {
+    const { itemId } = req.params;
+    if (!db.getCatalogItem(req.contractorId, itemId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const { value, error } = catalog.normalizeItem(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.updateCatalogItem(req.contractorId, itemId, value);
+    res.json({ success: true, item: db.getCatalogItem(req.contractorId, itemId) });
+
+  } catch (error) {
+    console.error('Error updating price catalog item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/catalog/:itemId', verifySession, (req, res) => {
+  try {
+    const { itemId } = req.params;
+    if (!db.getCatalogItem(req.contractorId, itemId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    db.deleteCatalogItem(req.contractorId, itemId);
+    res.json({ success: true, message: 'Item removed' });
+
+  } catch (error) {
+    console.error('Error deleting price catalog item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get contractor availability
 router.get('/availability', verifySession, (req, res) => {
   try {
@@ -337,6 +444,75 @@ router.get('/availability', verifySession, (req, res) => {
   }
 });
 
+// Calendar connection
+router.get('/calendar', verifySession, (req, res) => {
+  try {
+    res.json(calendar.getConnectionStatus(req.contractorId));
+  } catch (error) {
+    console.error('Error getting calendar status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start Google OAuth for the signed-in contractor; the page redirects to the returned URL
+router.post('/calendar/google', verifySession, (req, res) => {
+  try {
+    if (!process.env.GOOGLE_CLIENT_ID) {
+      return res.status(500).json({ error: 'Google Calendar not configured' });
+    }
+    if (!secrets.isEncryptionConfigured()) {
+      return res.status(500).json({ error: 'Calendar connections are disabled until TOKEN_ENCRYPTION_KEY is configured' });
+    }
+
+    res.json({ success: true, url: calendar.getAuthUrl(req.contractorId, req.sessionToken) });
+
+  } catch (error) {
+    console.error('Error starting Google Calendar connection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/calendar/caldav', verifySession, async (req, res) => {
+  try {
+    const { url, username, password } = req.body;
+    const result = await calendar.connectCalDav(req.contractorId, { url, username, password });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: `Connected to ${result.name || 'your CalDAV calendar'}`, calendar: calendar.getConnectionStatus(req.contractorId) });
+
+  } catch (error) {
+    console.error('Error connecting CalDAV calendar:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/calendar/ics', verifySession, (req, res) => {
+  try {
+    const feedUrl = calendar.connectIcsFeed(req.contractorId);
+    res.json({ success: true, message: 'Subscribe to your feed URL in your calendar app', feedUrl, calendar: calendar.getConnectionStatus(req.contractorId) });
+
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/calendar', verifySession, async (req, res) => {
+  try {
+    if (!await calendar.disconnectCalendar(req.contractorId)) {
+      return res.status(404).json({ error: 'No calendar connected' });
+    }
+
+    res.json({ success: true, message: 'Calendar disconnected', calendar: calendar.getConnectionStatus(req.contractorId) });
+
+  } catch (error) {
+    console.error('Error disconnecting calendar:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Send custom message to customer
 router.post('/jobs/:jobId/message', verifySession, async (req, res) => {
   try {
@@ -365,10 +541,12 @@ router.post('/jobs/:jobId/message', verifySession, async (req, res) => {
     
     const fullMessage = `Message from ${contractor.business_name}:\n\n${message}`;
     
-    const result = await sms.sendSMS(job.customer_phone, fullMessage);
+    const result = await sms.sendSMS(job.customer_phone, fullMessage, { jobId: job.id });
 
     if (result.success) {
       res.json({ success: true, message: 'Message sent to customer' });
+    } else if (result.retrying) {
+      res.json({ success: true, message: 'Message not sent yet; it will be retried in a few minutes' });
     } else {
       res.status(400).json({ error: result.error });
     }
@@ -379,10 +557,34 @@ router.post('/jobs/:jobId/message', verifySession, async (req, res) => {
   }
 });
 
+// Signed-in devices
+router.get('/sessions', verifySession, (req, res) => {
+  try {
+    res.json({ sessions: sessions.listSessions(req.contractorId, req.sessionToken) });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/sessions/:sessionId', verifySession, (req, res) => {
+  try {
+    if (!sessions.revokeSession(req.contractorId, req.params.sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session signed out', sessions: sessions.listSessions(req.contractorId, req.sessionToken) });
+
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Logout - invalidate session
 router.post('/logout', verifySession, (req, res) => {
   try {
-    db.deleteDashboardSession(req.sessionToken);
+    sessions.logout(req.sessionToken);
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     console.error('Error logging out:', error);
@@ -400,22 +602,24 @@ async function handleJobStatusChange(jobId, status, contractorId) {
 
   switch (status) {
     case 'approved':
-      await sms.sendJobApprovalNotification(customer.phone_number, contractor, job);
+      dispatch.recordResponse(job.id, contractorId);
+      await sms.sendJobApprovalNotification(customer.phone_number, contractor, job, await booking.prepareSlotOffer(job.id));
       break;
       
     case 'in_progress':
-      await sms.sendOnTheWayNotification(customer.phone_number, contractor.business_name);
+      await sms.sendOnTheWayNotification(customer.phone_number, contractor.business_name, null, job.id);
       break;
       
-    case 'completed':
-      const scheduler = require('../scheduler');
-      await scheduler.markJobCompleted(jobId, contractor.phone_number);
+    case 'contractor_passed':
+      await dispatch.reassignPassedJob(job);
       break;
       
     case 'cancelled':
+      await appointments.releaseBooking(job);
       await sms.sendSMS(customer.phone_number, 
         `Your ${job.service_category} job has been cancelled by ${contractor.business_name}. ` +
-        `Please text me if you'd like to find another contractor.`
+        `Please text me if you'd like to find another contractor.`,
+        { jobId: job.id }
       );
       break;
   }
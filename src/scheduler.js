@@ -1,52 +1,162 @@
 const cron = require('node-cron');
 const db = require('./db');
 const sms = require('./sms');
+const lifecycle = require('./lifecycle');
+const arrivals = require('./arrivals');
+
+// Failed task sends are retried after 5, 10, 20... minutes
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+const REMINDER_TASK_TYPES = ['day_before_reminder', 'day_of_reminder'];
+// Each reminder is a task per recipient, so retrying one failed send doesn't text the other party again
+const REMINDER_RECIPIENTS = ['contractor', 'customer'];
+// How often to pull changes from contractors' Google Calendars (0 disables)
+const CALENDAR_SYNC_MINUTES = process.env.CALENDAR_SYNC_MINUTES === undefined ? 10 : Number(process.env.CALENDAR_SYNC_MINUTES);
 
 class JobScheduler {
   constructor() {
-    this.jobs = new Map(); // Store active cron jobs
+    this.cronTasks = []; // Recurring cron tasks (one-off work lives in scheduled_tasks)
+    this.processingTasks = false;
+    this.taskHandlers = {
+      day_before_reminder: payload => this.sendDayBeforeReminder(payload.jobId, payload.recipient),
+      day_of_reminder: payload => this.sendDayOfReminder(payload.jobId, payload.recipient),
+      completion_followup: payload => this.sendCompletionFollowup(payload.jobId),
+      quote_reminder: payload => require('./quotes').sendQuoteReminder(payload.quoteId),
+      quote_expiry: payload => require('./quotes').expireQuote(payload.quoteId),
+      dispatch_reminder: payload => require('./dispatch').sendDispatchReminder(payload.dispatchId),
+      dispatch_timeout: payload => require('./dispatch').expireDispatch(payload.dispatchId),
+      sms_retry: payload => require('./delivery').resend(payload.messageId),
+    };
     this.startScheduledTasks();
   }
 
   startScheduledTasks() {
-    // Daily reminder check at 9 AM
-    cron.schedule('0 9 * * *', () => {
-      this.sendDayBeforeReminders();
-    });
-
-    // Follow-up check at 6 PM daily
-    cron.schedule('0 18 * * *', () => {
-      this.sendJobFollowups();
-    });
+    // Poll for due reminders and follow-ups every minute
+    this.cronTasks.push(cron.schedule('* * * * *', () => {
+      this.processDueTasks();
+    }));
+
+    // Daily at 9 AM, make sure every scheduled job has its reminders queued
+    // (covers jobs scheduled outside scheduleJob, e.g. via the API)
+    this.cronTasks.push(cron.schedule('0 9 * * *', () => {
+      this.syncJobReminders();
+    }));
+
+    // Apply events contractors moved or deleted in Google Calendar
+    if (CALENDAR_SYNC_MINUTES > 0) {
+      this.cronTasks.push(cron.schedule(`*/${Math.min(CALENDAR_SYNC_MINUTES, 59)} * * * *`, () => {
+        this.syncCalendars();
+      }));
+    }
 
     // Cleanup old sessions at midnight
-    cron.schedule('0 0 * * *', () => {
+    this.cronTasks.push(cron.schedule('0 0 * * *', () => {
       this.cleanupExpiredSessions();
-    });
+    }));
 
     console.log('Scheduler tasks started');
   }
 
+  // Called once on boot: requeue anything interrupted by the last shutdown,
+  // rebuild reminders for already-scheduled jobs and send whatever is overdue
+  async restoreScheduledTasks() {
+    try {
+      db.requeueInterruptedTasks();
+      const count = this.syncJobReminders();
+      console.log(`Restored reminders for ${count} scheduled job(s)`);
+      await this.processDueTasks();
+    } catch (error) {
+      console.error('Error restoring scheduled tasks:', error);
+    }
+  }
+
+  syncJobReminders() {
+    const jobs = db.stmts.getJobsByStatus.all('scheduled').filter(job => job.scheduled_date);
+    for (const job of jobs) {
+      this.scheduleReminders(job);
+    }
+    return jobs.length;
+  }
+
+  // Run every due task once; failures are retried with backoff up to max_attempts
+  async processDueTasks() {
+    if (this.processingTasks) return;
+    this.processingTasks = true;
+
+    try {
+      const tasks = db.getDueScheduledTasks(new Date().toISOString());
+      for (const task of tasks) {
+        await this.runTask(task);
+      }
+    } catch (error) {
+      console.error('Error processing scheduled tasks:', error);
+    } finally {
+      this.processingTasks = false;
+    }
+  }
+
+  async runTask(task) {
+    db.markScheduledTaskRunning(task.id);
+
+    try {
+      const handler = this.taskHandlers[task.task_type];
+      if (!handler) throw new Error(`Unknown task type: ${task.task_type}`);
+
+      await handler(task.payload);
+      db.markScheduledTaskDone(task.id);
+    } catch (error) {
+      const attempts = task.attempts + 1;
+      const retryAt = attempts < task.max_attempts
+        ? new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)).toISOString()
+        : null;
+
+      console.error(`Scheduled task ${task.task_key} failed (attempt ${attempts}/${task.max_attempts}):`, error.message);
+      db.markScheduledTaskFailed(task.id, error.message, retryAt);
+    }
+  }
+
+  // Queue a one-off task for a job at the given time
+  queueTask(taskType, taskKey, jobId, runAt, payload = {}) {
+    db.upsertScheduledTask({
+      task_key: taskKey,
+      task_type: taskType,
+      job_id: jobId,
+      payload: { jobId, ...payload },
+      run_at: runAt.toISOString()
+    });
+  }
+
   // Schedule a job between contractor and customer
-  scheduleJob(jobId, contractorId, scheduledDate, scheduledTime, notes = null) {
+  // options: { actor, source } for the job history (defaults to the contractor via the dashboard)
+  scheduleJob(jobId, contractorId, scheduledDate, scheduledTime, notes = null, options = {}) {
     try {
       // Update job in database
-      db.stmts.scheduleJob.run(scheduledDate, scheduledTime, 'scheduled', jobId);
+      lifecycle.transition(jobId, 'scheduled', {
+        actor: options.actor || `contractor:${contractorId}`,
+        source: options.source || 'dashboard',
+        note: `Scheduled for ${scheduledDate} ${scheduledTime || ''}`.trim()
+      });
+      db.setJobSchedule(jobId, scheduledDate, scheduledTime);
       
       // Get job details for notifications
-      const job = db.getJobById(jobId);
-      const contractor = db.stmts.getContractorByPhone.get(
-        db.stmts.getJobById.get(jobId)?.contractor_id
-      );
-      const customer = db.stmts.getCustomerById?.get(job?.customer_id);
+      const { job, contractor, customer } = db.getJobParties(jobId);
+
+      if (job) {
+        // Reminders are durable and resolve both parties when they fire
+        this.scheduleReminders(job);
+        this.syncCalendarEvent(jobId);
+      }
 
       if (job && contractor && customer) {
+        // A customer still waiting on the contractor can now reschedule or cancel
+        const conversation = db.getOrCreateConversation(customer.phone_number);
+        if (conversation.state === 'IDLE' ||
+            (conversation.state === 'AWAITING_CONTRACTOR_RESPONSE' && conversation.context.job_id === job.id)) {
+          db.updateConversationState(customer.phone_number, 'JOB_SCHEDULED', { job_id: job.id });
+        }
+
         // Send confirmation to both parties
         this.sendScheduleConfirmation(job, contractor, customer);
         
-        // Schedule reminders
-        this.scheduleReminders(job, contractor, customer);
-        
         return {
           success: true,
           jobId,
@@ -79,6 +189,7 @@ class JobScheduler {
 
     // Message to contractor
     const contractorMessage = `📅 Job Confirmed!\n\n` +
+      `Job: ${job.ref_code}\n` +
       `Date: ${dateStr}\n` +
       `Time: ${timeStr}\n` +
       `Customer: ${customer.phone_number}\n\n` +
@@ -86,13 +197,13 @@ class JobScheduler {
       `Location: ${job.customer_address}\n` +
       `Quote: $${job.final_quote || job.estimated_cost_min}-${job.estimated_cost_max}`;
 
-    await sms.sendSMS(customer.phone_number, customerMessage);
-    await sms.sendSMS(contractor.phone_number, contractorMessage);
+    await sms.sendSMS(customer.phone_number, customerMessage, { jobId: job.id });
+    await sms.sendSMS(contractor.phone_number, contractorMessage, { jobId: job.id });
   }
 
-  // Schedule automatic reminders
-  scheduleReminders(job, contractor, customer) {
-    const scheduledDate = new Date(job.scheduled_date);
+  // Queue automatic reminders
+  scheduleReminders(job) {
+    const scheduledDate = new Date(`${job.scheduled_date}T00:00:00`);
     const now = new Date();
     
     // Day-before reminder
@@ -101,176 +212,69 @@ class JobScheduler {
     dayBefore.setHours(18, 0, 0, 0); // 6 PM day before
 
     if (dayBefore > now) {
-      const reminderKey = `reminder_${job.id}_day_before`;
-      const cronExpression = this.dateToCronExpression(dayBefore);
-      
-      const cronJob = cron.schedule(cronExpression, async () => {
-        await this.sendDayBeforeReminder(job.id);
-        this.jobs.delete(reminderKey);
-      }, { scheduled: false });
-      
-      cronJob.start();
-      this.jobs.set(reminderKey, cronJob);
+      for (const recipient of REMINDER_RECIPIENTS) {
+        this.queueTask('day_before_reminder', `reminder_${job.id}_day_before_${recipient}`, job.id, dayBefore, { recipient });
+      }
     }
 
     // Day-of reminder (2 hours before)
     const dayOf = new Date(scheduledDate);
-    if (job.scheduled_time) {
-      const [hour, minute] = job.scheduled_time.split(':').map(Number);
-      dayOf.setHours(hour - 2, minute, 0, 0);
+    const [hour, minute] = (job.scheduled_time || '').split(':').map(Number);
+    if (!isNaN(hour)) {
+      dayOf.setHours(hour - 2, minute || 0, 0, 0);
     } else {
       dayOf.setHours(8, 0, 0, 0); // Default to 8 AM if no specific time
     }
 
     if (dayOf > now) {
-      const reminderKey = `reminder_${job.id}_day_of`;
-      const cronExpression = this.dateToCronExpression(dayOf);
-      
-      const cronJob = cron.schedule(cronExpression, async () => {
-        await this.sendDayOfReminder(job.id);
-        this.jobs.delete(reminderKey);
-      }, { scheduled: false });
-      
-      cronJob.start();
-      this.jobs.set(reminderKey, cronJob);
-    }
-  }
-
-  // Send day-before reminders for all jobs
-  async sendDayBeforeReminders() {
-    try {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      const tomorrowStr = tomorrow.toISOString().split('T')[0];
-
-      const jobs = db.stmts.getJobsByStatus.all('scheduled');
-      
-      for (const job of jobs) {
-        if (job.scheduled_date === tomorrowStr) {
-          await this.sendDayBeforeReminder(job.id);
-        }
+      for (const recipient of REMINDER_RECIPIENTS) {
+        this.queueTask('day_of_reminder', `reminder_${job.id}_day_of_${recipient}`, job.id, dayOf, { recipient });
       }
-    } catch (error) {
-      console.error('Error sending day-before reminders:', error);
     }
   }
 
-  async sendDayBeforeReminder(jobId) {
-    try {
-      const job = db.getJobById(jobId);
-      if (!job || job.status !== 'scheduled') return;
-
-      // Get contractor and customer info
-      const contractor = db.getContractorByPhone(
-        // This needs a helper query - simplified for now
-        '+1234567890' // Placeholder
-      );
-      
-      const customer = db.getCustomerById?.(job.customer_id);
+  // Task handlers throw on a failed send so the worker retries them.
+  // recipient: 'contractor' or 'customer'
+  async sendDayBeforeReminder(jobId, recipient) {
+    const { job, contractor, customer } = db.getJobParties(jobId);
+    if (!job || job.status !== 'scheduled' || !contractor || !customer) return;
 
-      if (contractor && customer) {
-        await sms.sendDayBeforeReminder(contractor.phone_number, true, job, job.scheduled_date);
-        await sms.sendDayBeforeReminder(customer.phone_number, false, {
-          ...job,
-          contractor_business_name: contractor.business_name
-        }, job.scheduled_date);
-      }
-    } catch (error) {
-      console.error('Error sending day-before reminder:', error);
-    }
+    const isContractor = recipient === 'contractor';
+    const phone = isContractor ? contractor.phone_number : customer.phone_number;
+    this.assertSent(await sms.sendDayBeforeReminder(phone, isContractor, job, job.scheduled_date));
   }
 
-  async sendDayOfReminder(jobId) {
-    try {
-      const job = db.getJobById(jobId);
-      if (!job || job.status !== 'scheduled') return;
+  async sendDayOfReminder(jobId, recipient) {
+    const { job, contractor, customer } = db.getJobParties(jobId);
+    if (!job || job.status !== 'scheduled' || !contractor || !customer) return;
 
-      // Send "don't forget" reminder to contractor
-      const contractor = db.getContractorByPhone('+1234567890'); // Placeholder
-      
-      if (contractor) {
-        const message = `🔔 Job reminder: You have a scheduled appointment today!\n\n` +
-          `Time: ${job.scheduled_time || 'TBD'}\n` +
-          `Customer: ${job.customer_id}\n` + // Would need customer phone lookup
-          `Location: ${job.customer_address}\n\n` +
-          `Text "ON THE WAY" when you're heading to the job.`;
-
-        await sms.sendSMS(contractor.phone_number, message);
-      }
-    } catch (error) {
-      console.error('Error sending day-of reminder:', error);
-    }
+    const isContractor = recipient === 'contractor';
+    const phone = isContractor ? contractor.phone_number : customer.phone_number;
+    this.assertSent(await sms.sendDayOfReminder(phone, isContractor, job));
   }
 
-  // Handle "ON THE WAY" notifications from contractors
-  async handleOnTheWayNotification(contractorPhone, message, eta = null) {
-    try {
-      const contractor = db.getContractorByPhone(contractorPhone);
-      if (!contractor) return false;
-
-      // Find today's scheduled job for this contractor
-      const today = new Date().toISOString().split('T')[0];
-      const jobs = db.getJobsByContractor(contractor.id);
-      const todaysJob = jobs.find(job => 
-        job.scheduled_date === today && 
-        job.status === 'scheduled'
-      );
-
-      if (todaysJob) {
-        // Update job status
-        db.updateJobStatus(todaysJob.id, 'in_progress');
-
-        // Notify customer
-        await sms.sendOnTheWayNotification(
-          todaysJob.customer_phone,
-          contractor.business_name,
-          eta
-        );
-
-        return true;
-      }
+  async sendCompletionFollowup(jobId) {
+    const { job, contractor, customer } = db.getJobParties(jobId);
+    if (!job || job.status !== 'completed' || job.customer_rating) return;
 
-      return false;
-    } catch (error) {
-      console.error('Error handling on-the-way notification:', error);
-      return false;
+    if (contractor && customer) {
+      this.assertSent(await sms.sendJobCompletionFollowup(
+        customer.phone_number,
+        contractor.business_name,
+        job
+      ));
     }
   }
 
-  // Send job completion follow-ups
-  async sendJobFollowups() {
-    try {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const yesterdayStr = yesterday.toISOString().split('T')[0];
-
-      // Find jobs completed yesterday
-      const allJobs = db.stmts.getJobsByStatus.all('completed');
-      const yesterdayJobs = allJobs.filter(job => {
-        return job.completion_date && 
-               job.completion_date.startsWith(yesterdayStr) &&
-               !job.customer_rating; // Haven't been rated yet
-      });
-
-      for (const job of yesterdayJobs) {
-        const contractor = db.getContractorByPhone('+1234567890'); // Placeholder
-        const customer = db.getCustomerById?.(job.customer_id);
-
-        if (contractor && customer) {
-          await sms.sendJobCompletionFollowup(
-            customer.phone_number,
-            contractor.business_name,
-            job
-          );
-        }
-      }
-    } catch (error) {
-      console.error('Error sending job follow-ups:', error);
+  // A failed send the SMS retry queue has taken over counts as sent here
+  assertSent(result) {
+    if (!result || !(result.success || result.retrying)) {
+      throw new Error(`SMS send failed: ${result?.error || 'unknown error'}`);
     }
   }
 
   // Mark job as completed
-  async markJobCompleted(jobId, contractorPhone) {
+  async markJobCompleted(jobId, contractorPhone, source = 'sms') {
     try {
       const job = db.getJobById(jobId);
       const contractor = db.getContractorByPhone(contractorPhone);
@@ -280,38 +284,28 @@ class JobScheduler {
       }
 
       // Update job status
-      db.stmts.updateJobStatus.run('completed', jobId);
+      lifecycle.transition(jobId, 'completed', { actor: `contractor:${contractor.id}`, source });
       
+      // Without a HERE text, the last ETA given to the customer stands in for the arrival
+      if (!job.arrived_at && job.eta_at) {
+        arrivals.recordArrival(job, new Date(job.eta_at));
+      }
+
       // Set completion date
       const now = new Date().toISOString();
       db.db.prepare('UPDATE jobs SET completion_date = ? WHERE id = ?')
         .run(now, jobId);
+      await this.syncCalendarEvent(jobId);
 
       // Send invoice request to contractor
-      await sms.sendInvoiceRequest(contractorPhone, job);
+      await sms.sendInvoiceRequest(contractorPhone, db.getJobWithParties(jobId));
 
-      // Schedule follow-up for tomorrow
+      // Schedule follow-up for tomorrow evening
       const tomorrow = new Date();
       tomorrow.setDate(tomorrow.getDate() + 1);
       tomorrow.setHours(18, 0, 0, 0);
 
-      const followupKey = `followup_${jobId}`;
-      const cronExpression = this.dateToCronExpression(tomorrow);
-      
-      const cronJob = cron.schedule(cronExpression, async () => {
-        const customer = db.getCustomerById?.(job.customer_id);
-        if (customer) {
-          await sms.sendJobCompletionFollowup(
-            customer.phone_number,
-            contractor.business_name,
-            job
-          );
-        }
-        this.jobs.delete(followupKey);
-      }, { scheduled: false });
-      
-      cronJob.start();
-      this.jobs.set(followupKey, cronJob);
+      this.queueTask('completion_followup', `followup_${jobId}`, jobId, tomorrow);
 
       return { success: true, jobId };
     } catch (error) {
@@ -379,7 +373,8 @@ class JobScheduler {
   }
 
   // Reschedule a job
-  async rescheduleJob(jobId, newDate, newTime, reason = null) {
+  // options: { actor, source } for the job history
+  async rescheduleJob(jobId, newDate, newTime, reason = null, options = {}) {
     try {
       const job = db.getJobById(jobId);
       if (!job) {
@@ -387,11 +382,15 @@ class JobScheduler {
       }
 
       // Update schedule
-      db.stmts.scheduleJob.run(newDate, newTime, 'scheduled', jobId);
+      lifecycle.transition(jobId, 'scheduled', {
+        actor: options.actor || 'system',
+        source: options.source || 'system',
+        note: `Rescheduled to ${newDate} ${newTime || ''}${reason ? ` (${reason})` : ''}`.trim()
+      });
+      db.setJobSchedule(jobId, newDate, newTime);
 
       // Get contractor and customer for notifications
-      const contractor = db.getContractorByPhone('+1234567890'); // Placeholder
-      const customer = db.getCustomerById?.(job.customer_id);
+      const { contractor, customer } = db.getJobParties(jobId);
 
       if (contractor && customer) {
         // Notify both parties
@@ -402,12 +401,17 @@ class JobScheduler {
           message += `\nReason: ${reason}`;
         }
 
-        await sms.sendSMS(customer.phone_number, message);
-        await sms.sendSMS(contractor.phone_number, message);
+        await sms.sendSMS(customer.phone_number, message, { jobId });
+        await sms.sendSMS(contractor.phone_number, `${message}\nJob: ${job.ref_code}`, { jobId });
+      }
+
+      // Move reminders to the new date
+      this.cancelJobReminders(jobId);
+      this.scheduleReminders(db.getJobById(jobId));
 
-        // Cancel old reminders and schedule new ones
-        this.cancelJobReminders(jobId);
-        this.scheduleReminders(job, contractor, customer);
+      // Changes that came from the calendar are already there
+      if (options.syncCalendar !== false) {
+        await this.syncCalendarEvent(jobId);
       }
 
       return { success: true, jobId, newDate, newTime };
@@ -417,25 +421,36 @@ class JobScheduler {
     }
   }
 
-  // Cancel job reminders
-  cancelJobReminders(jobId) {
-    const reminderKeys = [`reminder_${jobId}_day_before`, `reminder_${jobId}_day_of`];
-    
-    for (const key of reminderKeys) {
-      if (this.jobs.has(key)) {
-        this.jobs.get(key).destroy();
-        this.jobs.delete(key);
+  // Create, move or remove the job's Google Calendar event to match the job
+  async syncCalendarEvent(jobId) {
+    try {
+      await require('./calendar').syncJobEvent(jobId);
+    } catch (error) {
+      console.error(`Error syncing calendar event for job ${jobId}:`, error.message);
+    }
+  }
+
+  async syncCalendars() {
+    try {
+      const changed = await require('./calendar').syncAllCalendars();
+      if (changed > 0) {
+        console.log(`Calendar sync updated ${changed} job(s)`);
       }
+    } catch (error) {
+      console.error('Error syncing calendars:', error);
     }
   }
 
+  // Cancel job reminders
+  cancelJobReminders(jobId) {
+    db.cancelScheduledTasks(jobId, REMINDER_TASK_TYPES);
+  }
+
   // Cleanup expired sessions and old data
   async cleanupExpiredSessions() {
     try {
-      const now = new Date().toISOString();
-      
       // Clean up expired dashboard sessions
-      db.db.prepare('DELETE FROM dashboard_sessions WHERE expires_at < ?').run(now);
+      db.deleteExpiredDashboardSessions();
       
       // Clean up old conversation contexts (older than 7 days with IDLE state)
       const weekAgo = new Date();
@@ -448,28 +463,24 @@ class JobScheduler {
         AND updated_at < ?
       `).run(weekAgo.toISOString());
 
+      // Drop finished reminder/follow-up tasks after a month
+      db.purgeFinishedScheduledTasks(30);
+
+      // API audit log retention
+      db.purgeApiAuditLog(Number(process.env.API_AUDIT_RETENTION_DAYS) || 90);
+
       console.log('Cleanup completed');
     } catch (error) {
       console.error('Error during cleanup:', error);
     }
   }
 
-  // Utility function to convert Date to cron expression
-  dateToCronExpression(date) {
-    const minute = date.getMinutes();
-    const hour = date.getHours();
-    const dayOfMonth = date.getDate();
-    const month = date.getMonth() + 1;
-    
-    return `${minute} ${hour} ${dayOfMonth} ${month} *`;
-  }
-
   // Stop all scheduled tasks
   stop() {
-    for (const [key, job] of this.jobs.entries()) {
-      job.destroy();
+    for (const task of this.cronTasks) {
+      task.stop();
     }
-    this.jobs.clear();
+    this.cronTasks = [];
     console.log('Scheduler stopped');
   }
 }
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// Encryption at rest for stored credentials (calendar tokens and passwords)
+// and short-lived signed tokens (OAuth state).
+//
+// TOKEN_ENCRYPTION_KEY is 32 bytes as 64 hex characters or base64; generate one with
+//   node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+// Values are stored as enc:v1:<iv>:<tag>:<ciphertext> (AES-256-GCM). Values
+// without the prefix were saved before encryption and are read as they are.
+//
+// Signed tokens use JWT_SECRET, which must be at least 32 bytes. In
+// production the server won't start with a short secret or the .env.example
+// placeholder. Elsewhere a missing secret is replaced, with a warning, by a
+// random per-process one (tokens then stop working after a restart).
+
+const PREFIX = 'enc:v1:';
+const PLACEHOLDER_SECRET = 'your_jwt_secret_here_change_this_in_production';
+const MIN_SECRET_BYTES = 32;
+
+function loadSigningSecret() {
+  const secret = process.env.JWT_SECRET || '';
+  const problem = secret === PLACEHOLDER_SECRET ? 'still the .env.example placeholder'
+    : Buffer.byteLength(secret) < MIN_SECRET_BYTES ? (secret ? `shorter than ${MIN_SECRET_BYTES} bytes` : 'not set')
+    : null;
+
+  if (problem && process.env.NODE_ENV === 'production') {
+    throw new Error(`JWT_SECRET is ${problem}; set it to a random value of at least ${MIN_SECRET_BYTES} bytes`);
+  }
+  if (!secret) {
+    console.warn('JWT_SECRET is not set; using a random secret, so signed links stop working after a restart');
+    return crypto.randomBytes(32).toString('hex');
+  }
+  if (problem) {
+    console.warn(`JWT_SECRET is ${problem}; the server will refuse to start with it in production`);
+  }
+  return secret;
+}
+
+const signingSecret = loadSigningSecret();
+
+let cachedKey = null;
+
+function encryptionKey() {
+  if (cachedKey) return cachedKey;
+
+  const raw = process.env.TOKEN_ENCRYPTION_KEY || '';
+  if (!raw) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set; calendar credentials cannot be stored');
+  }
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  cachedKey = key;
+  return key;
+}
+
+function isEncryptionConfigured() {
+  try {
+    encryptionKey();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function encrypt(value) {
+  if (value === null || value === undefined || isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// One-way fingerprint of a secret token, for comparing without storing it
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', signingSecret).update(data).digest('base64url');
+}
+
+// URL-safe token carrying payload until ttlSeconds from now
+function sign(payload, ttlSeconds) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlSeconds * 1000 })).toString('base64url');
+  return `${body}.${hmac(body)}`;
+}
+
+// The payload of a token from sign(), or null if it was tampered with or has expired
+function verifySigned(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(hmac(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!payload || !(payload.exp > Date.now())) return null;
+  return payload;
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  hashToken,
+  sign,
+  verifySigned,
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const db = require('./db');
+const sms = require('./sms');
+const secrets = require('./secrets');
+
+// Dashboard login. A contractor asks for a code by phone number, gets a
+// session token back and a 6-digit code by SMS; entering the code logs the
+// session in. Only hashes of the token and code are stored. Codes expire
+// after CODE_TTL_MINUTES and allow MAX_CODE_ATTEMPTS guesses; each phone can
+// request MAX_CODES_PER_WINDOW codes per CODE_WINDOW_MINUTES. A logged-in
+// session lasts DASHBOARD_SESSION_IDLE_DAYS past its last use (default 7),
+// but never longer than DASHBOARD_SESSION_MAX_DAYS after login (default 30).
+//
+// Texting DASHBOARD instead gets a login link: signed, bound to the phone that
+// asked, valid for LOGIN_LINK_TTL_MINUTES and only once. Opening it logs in
+// without a code, since texting in already proved the contractor has the phone.
+
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_CODES_PER_WINDOW = 3;
+const CODE_WINDOW_MINUTES = 15;
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000; // how often a session's sliding expiry is written back
+const LOGIN_LINK_TTL_MINUTES = 10;
+
+function idleMs() {
+  return (Number(process.env.DASHBOARD_SESSION_IDLE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+}
+
+function maxMs() {
+  return (Number(process.env.DASHBOARD_SESSION_MAX_DAYS) || 30) * 24 * 60 * 60 * 1000;
+}
+
+// The code is hashed with its session token so a code alone can't be looked up
+function codeHash(sessionToken, code) {
+  return secrets.hashToken(`${sessionToken}:${code}`);
+}
+
+function sameHash(a, b) {
+  return Boolean(a && b) && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Text a login code to a contractor's phone.
+// meta: { userAgent, ip }. Returns { success, sessionToken } or { success: false, status, error }.
+async function startLogin(phoneNumber, meta = {}) {
+  const formattedPhone = sms.formatPhoneNumber(phoneNumber);
+  const contractor = db.getContractorByPhone(formattedPhone);
+  if (!contractor) {
+    return { success: false, status: 404, error: 'Contractor not found. Text SETUP to get started.' };
+  }
+
+  const windowStart = new Date(Date.now() - CODE_WINDOW_MINUTES * 60 * 1000).toISOString();
+  if (db.countDashboardCodesSince(contractor.id, windowStart) >= MAX_CODES_PER_WINDOW) {
+    return { success: false, status: 429, error: `Too many codes requested. Please wait ${CODE_WINDOW_MINUTES} minutes and try again.` };
+  }
+
+  const sessionToken = crypto.randomBytes(32).toString('base64url');
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const codeExpiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000).toISOString();
+
+  db.createDashboardSession({
+    contractor_id: contractor.id,
+    token_hash: secrets.hashToken(sessionToken),
+    code_hash: codeHash(sessionToken, code),
+    code_expires_at: codeExpiresAt,
+    expires_at: codeExpiresAt,
+    user_agent: meta.userAgent,
+    ip: meta.ip
+  });
+
+  await sms.sendVerificationCode(formattedPhone, code);
+  return { success: true, sessionToken };
+}
+
+// Check a login code. Returns { success, contractorId } or { success: false, status, error }.
+function verifyCode(sessionToken, code) {
+  const session = sessionToken ? db.getDashboardSession(secrets.hashToken(sessionToken)) : null;
+  if (!session || session.revoked_at) {
+    return { success: false, status: 404, error: 'Invalid session' };
+  }
+  if (session.is_verified) {
+    return { success: true, contractorId: session.contractor_id };
+  }
+  if (new Date(session.code_expires_at) <= new Date()) {
+    return { success: false, status: 400, error: 'Code expired. Please request a new one.' };
+  }
+  if (session.code_attempts >= MAX_CODE_ATTEMPTS) {
+    return { success: false, status: 429, error: 'Too many attempts. Please request a new code.' };
+  }
+
+  db.recordDashboardCodeAttempt(session.id);
+  if (!sameHash(session.code_hash, codeHash(sessionToken, String(code || '').trim()))) {
+    const remaining = MAX_CODE_ATTEMPTS - session.code_attempts - 1;
+    if (remaining <= 0) {
+      db.revokeDashboardSession(session.id);
+      return { success: false, status: 429, error: 'Too many attempts. Please request a new code.' };
+    }
+    return { success: false, status: 400, error: `Invalid verification code (${remaining} ${remaining === 1 ? 'try' : 'tries'} left)` };
+  }
+
+  const now = Date.now();
+  db.verifyDashboardSession(session.id, new Date(now + idleMs()).toISOString(), new Date(now + maxMs()).toISOString());
+  return { success: true, contractorId: session.contractor_id };
+}
+
+// A logged-in session from the start, for a contractor who proved themselves another way
+function createVerifiedSession(contractorId, meta = {}) {
+  const sessionToken = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  db.createDashboardSession({
+    contractor_id: contractorId,
+    token_hash: secrets.hashToken(sessionToken),
+    is_verified: true,
+    verified_at: new Date(now).toISOString(),
+    expires_at: new Date(now + idleMs()).toISOString(),
+    max_expires_at: new Date(now + maxMs()).toISOString(),
+    user_agent: meta.userAgent,
+    ip: meta.ip
+  });
+  return sessionToken;
+}
+
+// Dashboard URL that logs this contractor in once, for the DASHBOARD reply
+function createLoginLink(contractor) {
+  const token = secrets.sign({
+    purpose: 'dashboard_login',
+    contractorId: contractor.id,
+    phone: secrets.hashToken(contractor.phone_number),
+    nonce: crypto.randomBytes(12).toString('hex'),
+  }, LOGIN_LINK_TTL_MINUTES * 60);
+  return `${process.env.BASE_URL || 'http://localhost:3000'}/dashboard?login=${encodeURIComponent(token)}`;
+}
+
+// Exchange a login link's token for a session.
+// Returns { success, sessionToken, contractorId } or { success: false, status, error }.
+function redeemLoginLink(token, meta = {}) {
+  const payload = secrets.verifySigned(token);
+  const invalid = { success: false, status: 400, error: 'This login link has expired or was already used. Text DASHBOARD for a new one.' };
+  if (!payload || payload.purpose !== 'dashboard_login' || !payload.nonce) return invalid;
+
+  // The link only works for the number it was sent to
+  const contractor = db.getContractorById(payload.contractorId);
+  if (!contractor || secrets.hashToken(contractor.phone_number) !== payload.phone) return invalid;
+
+  if (!db.useDashboardLoginLink(payload.nonce, contractor.id, new Date(payload.exp).toISOString())) return invalid;
+
+  return { success: true, sessionToken: createVerifiedSession(contractor.id, meta), contractorId: contractor.id };
+}
+
+// The logged-in session for a token, or null. Using a session pushes its
+// expiry out again (written at most every few minutes).
+function authenticate(sessionToken) {
+  if (!sessionToken) return null;
+
+  const session = db.getDashboardSession(secrets.hashToken(sessionToken));
+  const now = Date.now();
+  if (!session || !session.is_verified || session.revoked_at || new Date(session.expires_at) <= new Date(now)) {
+    return null;
+  }
+
+  if (!session.last_seen_at || now - new Date(session.last_seen_at).getTime() >= TOUCH_INTERVAL_MS) {
+    const maxExpiry = session.max_expires_at ? new Date(session.max_expires_at).getTime() : Infinity;
+    db.touchDashboardSession(session.id, new Date(Math.min(now + idleMs(), maxExpiry)).toISOString());
+  }
+  return session;
+}
+
+// A contractor's logged-in sessions, marking the one making the request
+function listSessions(contractorId, currentToken) {
+  const currentHash = secrets.hashToken(currentToken);
+  return db.getActiveDashboardSessions(contractorId).map(session => ({
+    id: session.id,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_seen_at,
+    expiresAt: session.expires_at,
+    userAgent: session.user_agent,
+    ip: session.ip,
+    current: session.token_hash === currentHash
+  }));
+}
+
+// Log out one of the contractor's sessions; false if it isn't theirs or already ended
+function revokeSession(contractorId, sessionId) {
+  const session = db.getActiveDashboardSessions(contractorId).find(s => s.id === Number(sessionId));
+  if (!session) return false;
+
+  db.revokeDashboardSession(session.id);
+  return true;
+}
+
+function logout(sessionToken) {
+  const session = sessionToken ? db.getDashboardSession(secrets.hashToken(sessionToken)) : null;
+  if (session) db.revokeDashboardSession(session.id);
+}
+
+module.exports = {
+  LOGIN_LINK_TTL_MINUTES,
+  startLogin,
+  verifyCode,
+  createLoginLink,
+  redeemLoginLink,
+  authenticate,
+  listSessions,
+  revokeSession,
+  logout,
+};
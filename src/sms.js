@@ -1,5 +1,9 @@
 const twilio = require('twilio');
 const db = require('./db');
+const delivery = require('./delivery');
+
+// A job's reference code (jobs.ref_code) as contractors type it, e.g. J4F2
+const JOB_CODE_PATTERN = /^J[2-9A-HJKMNP-Z]{3,4}$/;
 
 class SMSService {
   constructor() {
@@ -11,57 +15,79 @@ class SMSService {
     }
   }
 
-  async sendSMS(toNumber, message) {
-    try {
-      if (!this.client || !this.fromNumber) {
-        console.log(`SMS not configured. Would send to ${toNumber}: ${message}`);
-        return { success: false, error: 'Twilio not configured' };
-      }
+  // Send a text and record it in messages. When Twilio refuses it, the failed
+  // message is saved too and, for temporary errors, retried later by the
+  // scheduler: retrying is then true and the caller shouldn't send it again.
+  // options: { jobId } - the job the text is about, for the job's message thread
+  async sendSMS(toNumber, message, options = {}) {
+    if (!this.client || !this.fromNumber) {
+      console.log(`SMS not configured. Would send to ${toNumber}: ${message}`);
+      return { success: false, error: 'Twilio not configured' };
+    }
 
-      // Use WhatsApp sandbox if configured, otherwise regular SMS
-      const useWhatsApp = process.env.TWILIO_WHATSAPP_FROM;
-      let from, to;
-      
-      if (toNumber.startsWith('whatsapp:')) {
-        // Already a WhatsApp number — use as-is
-        to = toNumber;
-        from = `whatsapp:${useWhatsApp || this.fromNumber}`;
-      } else if (useWhatsApp) {
-        to = `whatsapp:${toNumber}`;
-        from = `whatsapp:${useWhatsApp}`;
-      } else {
-        to = toNumber;
-        from = this.fromNumber;
-      }
-      
-      const result = await this.client.messages.create({
-        body: message,
-        from: from,
-        to: to
-      });
+    try {
+      const result = await this.deliver(toNumber, message);
 
       // Save outbound message to database
-      db.saveMessage(this.fromNumber, toNumber, message, 'outbound', result.sid);
+      db.saveMessage(this.fromNumber, toNumber, message, 'outbound', result.sid, { jobId: options.jobId, status: result.status || 'queued' });
       
       console.log(`SMS sent to ${toNumber}: ${result.sid}`);
       return { success: true, messageSid: result.sid };
 
     } catch (error) {
       console.error('Error sending SMS:', error);
-      return { success: false, error: error.message };
+      try {
+        const messageId = db.saveMessage(this.fromNumber, toNumber, message, 'outbound', null, {
+          jobId: options.jobId, status: 'failed', errorCode: error.code, errorMessage: error.message
+        });
+        const retrying = delivery.recordSendError(messageId, error);
+        return { success: false, error: error.message, retrying };
+      } catch (saveError) {
+        console.error('Error recording failed SMS:', saveError);
+        return { success: false, error: error.message };
+      }
+    }
+  }
+
+  // The Twilio API call alone; throws on failure
+  async deliver(toNumber, message) {
+    // Use WhatsApp sandbox if configured, otherwise regular SMS
+    const useWhatsApp = process.env.TWILIO_WHATSAPP_FROM;
+    let from, to;
+    
+    if (toNumber.startsWith('whatsapp:')) {
+      // Already a WhatsApp number — use as-is
+      to = toNumber;
+      from = `whatsapp:${useWhatsApp || this.fromNumber}`;
+    } else if (useWhatsApp) {
+      to = `whatsapp:${toNumber}`;
+      from = `whatsapp:${useWhatsApp}`;
+    } else {
+      to = toNumber;
+      from = this.fromNumber;
+    }
+
+    const options = { body: message, from: from, to: to };
+    const statusCallback = delivery.statusCallbackUrl();
+    if (statusCallback) {
+      options.statusCallback = statusCallback;
     }
+    return await this.client.messages.create(options);
   }
 
-  async sendContractorNotification(contractorPhone, jobDetails) {
-    const message = `🔔 NEW JOB REQUEST\n\n` +
+  // heading replaces the NEW JOB REQUEST line, e.g. for a repeat text
+  async sendContractorNotification(contractorPhone, jobDetails, heading = '🔔 NEW JOB REQUEST') {
+    const code = jobDetails.ref_code;
+    const message = `${heading}\n\n` +
+      `Job: ${code}\n` +
       `Problem: ${jobDetails.problem_description}\n` +
       `Location: ${jobDetails.customer_address}\n` +
       `Urgency: ${jobDetails.urgency_level}\n` +
       `Est. Cost: $${jobDetails.estimated_cost_min}-$${jobDetails.estimated_cost_max}\n` +
       `Customer: ${jobDetails.customer_phone}\n\n` +
-      `Reply: A (approve), C (call customer), Q [amount] (custom quote), X (pass)`;
+      `Reply: A ${code} (approve), C ${code} (call customer), Q ${code} [amount] (custom quote), X ${code} (pass)`;
 
-    return await this.sendSMS(contractorPhone, message);
+    return await this.sendSMS(contractorPhone, message, { jobId: jobDetails.id });
   }
 
   async sendCustomerConfirmation(customerPhone, contractorName, jobDetails) {
@@ -69,19 +95,21 @@ class SMSService {
       `${contractorName} will contact you soon about your ${jobDetails.service_category} issue.\n\n` +
       `If you don't hear from them within 2 hours, please let me know by replying to this message.`;
 
-    return await this.sendSMS(customerPhone, message);
+    return await this.sendSMS(customerPhone, message, { jobId: jobDetails.id });
   }
 
-  async sendJobApprovalNotification(customerPhone, contractorDetails, jobDetails) {
+  // slotOffer (from booking.prepareSlotOffer) lets the customer pick a time
+  // instead of waiting for the contractor to call
+  async sendJobApprovalNotification(customerPhone, contractorDetails, jobDetails, slotOffer = null) {
     const message = `🎉 Great news! ${contractorDetails.business_name} has accepted your job.\n\n` +
-      `They'll contact you soon to schedule the work.\n\n` +
-      `📞 ${contractorDetails.phone_number}\n` +
-      `💼 ${contractorDetails.business_name}`;
+      (slotOffer || `They'll contact you soon to schedule the work.\n\n` +
+        `📞 ${contractorDetails.phone_number}\n` +
+        `💼 ${contractorDetails.business_name}`);
 
-    return await this.sendSMS(customerPhone, message);
+    return await this.sendSMS(customerPhone, message, { jobId: jobDetails.id });
   }
 
-  async sendJobRejectionNotification(customerPhone, reason = null) {
+  async sendJobRejectionNotification(customerPhone, reason = null, jobId = null) {
     let message = `Sorry, the contractor isn't available for your job right now.`;
     
     if (reason) {
@@ -90,16 +118,17 @@ class SMSService {
     
     message += `\n\nI'm looking for another contractor for you. I'll update you soon!`;
 
-    return await this.sendSMS(customerPhone, message);
+    return await this.sendSMS(customerPhone, message, { jobId });
   }
 
-  async sendCustomQuoteToCustomer(customerPhone, contractorName, customQuote, jobDetails) {
+  async sendCustomQuoteToCustomer(customerPhone, contractorName, customQuote, jobDetails, expiresText = null) {
     const message = `💰 Updated Quote from ${contractorName}\n\n` +
       `For your ${jobDetails.service_category} issue:\n` +
-      `New quote: $${customQuote}\n\n` +
-      `Reply YES to accept this quote, or NO to decline.`;
+      `New quote: $${customQuote}\n` +
+      (expiresText ? `Good until ${expiresText}\n` : '') +
+      `\nReply YES to accept this quote, or NO to decline.`;
 
-    return await this.sendSMS(customerPhone, message);
+    return await this.sendSMS(customerPhone, message, { jobId: jobDetails.id });
   }
 
   async sendDayBeforeReminder(phoneNumber, isContractor, jobDetails, scheduledDate) {
@@ -109,6 +138,7 @@ class SMSService {
     let message;
     if (isContractor) {
       message = `🔧 Reminder: You have a job tomorrow (${tomorrow.toLocaleDateString()})\n\n` +
+        `Job: ${jobDetails.ref_code}\n` +
         `Time: ${timeStr}\n` +
         `Customer: ${jobDetails.customer_phone}\n` +
         `Job: ${jobDetails.problem_description}\n` +
@@ -120,10 +150,32 @@ class SMSService {
         `Service: ${jobDetails.service_category}`;
     }
 
-    return await this.sendSMS(phoneNumber, message);
+    return await this.sendSMS(phoneNumber, message, { jobId: jobDetails.id });
   }
 
-  async sendOnTheWayNotification(customerPhone, contractorName, eta = null) {
+  async sendDayOfReminder(phoneNumber, isContractor, jobDetails) {
+    const timeStr = jobDetails.scheduled_time || 'TBD';
+
+    let message;
+    if (isContractor) {
+      message = `🔔 Job reminder: You have a scheduled appointment today!\n\n` +
+        `Job: ${jobDetails.ref_code}\n` +
+        `Time: ${timeStr}\n` +
+        `Customer: ${jobDetails.customer_phone}\n` +
+        `Location: ${jobDetails.customer_address}\n\n` +
+        `Text OTW [minutes] when you're heading to the job (e.g. OTW 25), LATE [minutes] if you're held up, and HERE when you arrive.`;
+    } else {
+      message = `📅 Reminder: Your service appointment is today\n\n` +
+        `Time: ${timeStr}\n` +
+        `Contractor: ${jobDetails.contractor_business_name}\n` +
+        `Service: ${jobDetails.service_category}\n\n` +
+        `We'll text you when they're on the way.`;
+    }
+
+    return await this.sendSMS(phoneNumber, message, { jobId: jobDetails.id });
+  }
+
+  async sendOnTheWayNotification(customerPhone, contractorName, eta = null, jobId = null) {
     let message = `🚛 ${contractorName} is on their way to your location!`;
     
     if (eta) {
@@ -132,7 +184,19 @@ class SMSService {
     
     message += `\n\nThey'll text or call when they arrive.`;
 
-    return await this.sendSMS(customerPhone, message);
+    return await this.sendSMS(customerPhone, message, { jobId });
+  }
+
+  async sendRunningLateNotification(customerPhone, contractorName, minutes = null, eta = null, jobId = null) {
+    let message = `⏰ ${contractorName} is running ${minutes ? `about ${minutes} minutes ` : ''}late.`;
+
+    if (eta) {
+      message += ` New ETA: ${eta}`;
+    }
+
+    message += `\n\nSorry for the wait - they'll be there as soon as they can.`;
+
+    return await this.sendSMS(customerPhone, message, { jobId });
   }
 
   async sendJobCompletionFollowup(customerPhone, contractorName, jobDetails) {
@@ -141,19 +205,19 @@ class SMSService {
       `5 = Excellent\n4 = Good\n3 = Okay\n2 = Poor\n1 = Very Poor\n\n` +
       `Just reply with your rating and any comments.`;
 
-    return await this.sendSMS(customerPhone, message);
+    return await this.sendSMS(customerPhone, message, { jobId: jobDetails.id });
   }
 
   async sendInvoiceRequest(contractorPhone, jobDetails) {
-    const message = `💼 Job completed for ${jobDetails.customer_phone}\n\n` +
+    const message = `💼 Job ${jobDetails.ref_code} completed for ${jobDetails.customer_phone}\n\n` +
       `Send invoice? Reply with:\n` +
-      `INVOICE [amount] [description]\n\n` +
-      `Example: INVOICE 150 Plumbing repair - fixed leaky pipe`;
+      `INVOICE ${jobDetails.ref_code} [amount] [description]\n\n` +
+      `Example: INVOICE ${jobDetails.ref_code} 150 Plumbing repair - fixed leaky pipe`;
 
-    return await this.sendSMS(contractorPhone, message);
+    return await this.sendSMS(contractorPhone, message, { jobId: jobDetails.id });
   }
 
-  async sendInvoiceToCustomer(customerPhone, contractorDetails, amount, description) {
+  async sendInvoiceToCustomer(customerPhone, contractorDetails, amount, description, jobId = null) {
     const message = `🧾 INVOICE from ${contractorDetails.business_name}\n\n` +
       `Service: ${description}\n` +
       `Amount: $${amount}\n\n` +
@@ -161,7 +225,7 @@ class SMSService {
       `📞 ${contractorDetails.phone_number}\n\n` +
       `Payment methods will vary by contractor.`;
 
-    return await this.sendSMS(customerPhone, message);
+    return await this.sendSMS(customerPhone, message, { jobId });
   }
 
   async sendDashboardLogin(contractorPhone, loginUrl) {
@@ -221,33 +285,38 @@ class SMSService {
   }
 
   // Message parsing helpers
+  // Contractor job commands, each optionally naming the job by its code:
+  // "A J4F2", "Q J4F2 350", "DONE J4F2", "INVOICE J4F2 150 Fixed leak"
   parseContractorResponse(message) {
-    const upperMessage = message.toUpperCase().trim();
-    
-    if (upperMessage === 'A') {
-      return { action: 'approve' };
-    } else if (upperMessage === 'C') {
-      return { action: 'call_customer' };
-    } else if (upperMessage === 'X') {
-      return { action: 'pass' };
-    } else if (upperMessage.startsWith('Q ')) {
-      const amount = parseFloat(upperMessage.substring(2).replace(/[$,]/g, ''));
+    const [command, ...args] = message.toUpperCase().trim().split(/\s+/);
+    const jobCode = args.length && JOB_CODE_PATTERN.test(args[0]) ? args.shift() : null;
+    const simpleActions = { A: 'approve', C: 'call_customer', X: 'pass', R: 'decline_counter', DONE: 'complete' };
+
+    if (simpleActions[command] && args.length === 0) {
+      return { action: simpleActions[command], jobCode };
+    } else if (command === 'Q' && args.length > 0) {
+      const amount = parseFloat(args[0].replace(/[$,]/g, ''));
       if (!isNaN(amount) && amount > 0) {
-        return { action: 'custom_quote', amount };
+        return { action: 'custom_quote', amount, jobCode };
       }
-    } else if (upperMessage.startsWith('INVOICE ')) {
-      const parts = upperMessage.substring(8).split(' ');
-      const amount = parseFloat(parts[0].replace(/[$,]/g, ''));
-      const description = parts.slice(1).join(' ');
+    } else if (command === 'INVOICE' && args.length > 0) {
+      const amount = parseFloat(args[0].replace(/[$,]/g, ''));
+      const description = args.slice(1).join(' ');
       
       if (!isNaN(amount) && amount > 0 && description) {
-        return { action: 'invoice', amount, description };
+        return { action: 'invoice', amount, description, jobCode };
       }
     }
     
     return { action: 'unknown', originalMessage: message };
   }
 
+  // The job code anywhere in a message ("JOB DONE J4F2"), or null
+  findJobCode(message) {
+    const code = message.toUpperCase().split(/[^A-Z0-9]+/).find(word => JOB_CODE_PATTERN.test(word));
+    return code || null;
+  }
+
   parseCustomerRating(message) {
     const rating = parseInt(message.trim().charAt(0));
     if (rating >= 1 && rating <= 5) {
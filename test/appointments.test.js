@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const appointments = require('../src/appointments');
+const commands = require('../src/commands');
+const ai = require('../src/ai');
+
+let texts;
+
+before(async () => {
+  await helpers.setup();
+  texts = helpers.stubSms();
+});
+
+after(() => helpers.teardown());
+
+beforeEach(() => texts.clear());
+
+// A scheduled job with a pending request from its customer to move it two days later
+function requestMove(contractor) {
+  const customer = helpers.createCustomer();
+  const job = helpers.createJob(customer, contractor, { status: 'scheduled' });
+  db.setJobSchedule(job.id, helpers.daysFromNow(3), '09:00');
+  db.createRescheduleRequest({
+    job_id: job.id,
+    contractor_id: contractor.id,
+    from_date: helpers.daysFromNow(3),
+    from_time: '09:00',
+    to_date: helpers.daysFromNow(5),
+    to_time: '13:00',
+    requested_by: `customer:${customer.phone_number}`
+  });
+  return db.getJobById(job.id);
+}
+
+test('with one request waiting, a bare CONFIRM moves that job', async () => {
+  const contractor = helpers.createContractor();
+  const job = requestMove(contractor);
+
+  const reply = await appointments.answerReschedule(contractor, true);
+
+  assert.match(reply, new RegExp(`Job ${job.ref_code} moved`));
+  assert.strictEqual(db.getJobById(job.id).scheduled_date, helpers.daysFromNow(5));
+});
+
+test('with two requests waiting, a bare CONFIRM asks which job', async () => {
+  const contractor = helpers.createContractor();
+  const first = requestMove(contractor);
+  const second = requestMove(contractor);
+
+  const reply = await appointments.answerReschedule(contractor, true);
+
+  assert.match(reply, /Which job\? You have 2 reschedule requests/);
+  assert.ok(reply.includes(first.ref_code) && reply.includes(second.ref_code));
+  assert.strictEqual(db.getJobById(first.id).scheduled_date, helpers.daysFromNow(3));
+  assert.strictEqual(db.getJobById(second.id).scheduled_date, helpers.daysFromNow(3));
+});
+
+test('CONFIRM and DECLINE with a code answer that job only', async () => {
+  const contractor = helpers.createContractor();
+  const first = requestMove(contractor);
+  const second = requestMove(contractor);
+
+  const confirmed = await appointments.answerReschedule(contractor, true, second.ref_code);
+  assert.match(confirmed, new RegExp(`Job ${second.ref_code} moved`));
+  assert.strictEqual(db.getJobById(second.id).scheduled_date, helpers.daysFromNow(5));
+  assert.strictEqual(db.getJobById(first.id).scheduled_date, helpers.daysFromNow(3));
+
+  const declined = await appointments.answerReschedule(contractor, false, first.ref_code);
+  assert.match(declined, /The customer keeps/);
+  assert.strictEqual(db.getJobById(first.id).scheduled_date, helpers.daysFromNow(3));
+  assert.strictEqual(db.getPendingReschedulesForContractor(contractor.id).length, 0);
+});
+
+test('a code with no waiting request is rejected', async () => {
+  const contractor = helpers.createContractor();
+  requestMove(contractor);
+
+  const reply = await appointments.answerReschedule(contractor, true, 'JZZZZ');
+  assert.match(reply, /No reschedule request waiting for job JZZZZ/);
+});
+
+// A job the customer accepted and the contractor then booked directly ("A J4F2 thursday 9am")
+async function contractorBooks() {
+  const customer = helpers.createCustomer();
+  const contractor = helpers.createContractor();
+  const job = helpers.createJob(customer, contractor, { status: 'quoted' });
+  db.getOrCreateConversation(customer.phone_number);
+  db.updateConversationState(customer.phone_number, 'AWAITING_CONTRACTOR_RESPONSE', { job_id: job.id, contractor_id: contractor.id });
+
+  await commands.execute(contractor.phone_number,
+    { action: 'approve', jobCode: job.ref_code, date: helpers.daysFromNow(4), time: '09:00' }, contractor);
+  assert.strictEqual(db.getJobById(job.id).status, 'scheduled');
+  return { customer, job };
+}
+
+test('CANCEL after the contractor booked the job cancels the booking', async () => {
+  const { customer, job } = await contractorBooks();
+  assert.strictEqual(db.getOrCreateConversation(customer.phone_number).state, 'JOB_SCHEDULED');
+
+  assert.match(await ai.processMessage(customer.phone_number, 'CANCEL'), /Reply YES to cancel/);
+  await ai.processMessage(customer.phone_number, 'YES');
+  assert.strictEqual(db.getJobById(job.id).status, 'cancelled');
+});
+
+test('a customer still waiting on the contractor can cancel a job that got booked', async () => {
+  const { customer, job } = await contractorBooks();
+  db.updateConversationState(customer.phone_number, 'AWAITING_CONTRACTOR_RESPONSE', { job_id: job.id });
+
+  assert.match(await ai.processMessage(customer.phone_number, 'CANCEL'), /Reply YES to cancel/);
+  await ai.processMessage(customer.phone_number, 'YES');
+  assert.strictEqual(db.getJobById(job.id).status, 'cancelled');
+});
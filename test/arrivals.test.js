@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const arrivals = require('../src/arrivals');
+
+let outbox;
+
+before(async () => {
+  await helpers.setup();
+  outbox = helpers.stubSms();
+});
+after(() => helpers.teardown());
+
+test('running late is noted in the job history without a status change', async () => {
+  const customer = helpers.createCustomer();
+  const contractor = helpers.createContractor();
+  const job = db.getJobWithParties(helpers.createJob(customer, contractor, { status: 'in_progress' }).id);
+  const before = db.getJobEvents(job.id).length;
+
+  await arrivals.reportDelay(job, contractor, 20, new Date(Date.now() + 20 * 60 * 1000));
+
+  const events = db.getJobEvents(job.id);
+  assert.strictEqual(events.length, before + 1);
+  const late = events[events.length - 1];
+  assert.strictEqual(late.type, 'running_late');
+  assert.strictEqual(late.from_status, null);
+  assert.strictEqual(late.to_status, null);
+  assert.match(late.note, /Running 20 min late/);
+  assert.strictEqual(db.getJobById(job.id).status, 'in_progress');
+  assert.strictEqual(outbox.to(customer.phone_number).length, 1);
+});
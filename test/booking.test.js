@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const calendar = require('../src/calendar');
+const commands = require('../src/commands');
+
+let outbox;
+
+before(async () => {
+  await helpers.setup();
+  outbox = helpers.stubSms();
+});
+after(() => helpers.teardown());
+
+// The contractor texts A for a job waiting on their answer
+async function approve(freeSlots) {
+  const customer = helpers.createCustomer();
+  const contractor = helpers.createContractor();
+  const job = helpers.createJob(customer, contractor, { status: 'quoted' });
+  calendar.getAvailableSlots = async () => freeSlots;
+
+  outbox.clear();
+  await commands.execute(contractor.phone_number, { action: 'approve', jobCode: job.ref_code }, contractor);
+  return outbox.to(customer.phone_number).map(message => message.body);
+}
+
+test('with open slots the approval text offers them and says nothing about waiting for a call', async () => {
+  const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const texts = await approve([{ start, date: helpers.daysFromNow(1), time: '09:00', display: 'Tomorrow 9:00 AM' }]);
+
+  assert.strictEqual(texts.length, 1);
+  assert.match(texts[0], /has accepted your job/);
+  assert.match(texts[0], /Pick a time/);
+  assert.doesNotMatch(texts[0], /contact you/);
+});
+
+test('without open slots the customer is told the contractor will call to schedule', async () => {
+  const texts = await approve([]);
+
+  assert.strictEqual(texts.length, 1);
+  assert.match(texts[0], /contact you soon to schedule/);
+});
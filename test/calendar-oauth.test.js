@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const secrets = require('../src/secrets');
+
+before(() => helpers.setup());
+after(() => helpers.teardown());
+
+// A state like getAuthUrl() issues, for a signed-in dashboard session
+function issueState(contractor) {
+  const token = crypto.randomBytes(16).toString('hex');
+  db.createDashboardSession({
+    contractor_id: contractor.id,
+    token_hash: secrets.hashToken(token),
+    is_verified: true,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  });
+  return secrets.sign({
+    contractorId: contractor.id,
+    session: secrets.hashToken(token),
+    nonce: crypto.randomBytes(12).toString('hex')
+  }, 600);
+}
+
+// calendar.js as a freshly started server would load it
+function freshCalendar() {
+  delete require.cache[require.resolve('../src/calendar')];
+  return require('../src/calendar');
+}
+
+test('an OAuth state is accepted once, even across a restart', () => {
+  const contractor = helpers.createContractor();
+  const state = issueState(contractor);
+
+  assert.strictEqual(freshCalendar().verifyOAuthState(state), contractor.id);
+  assert.strictEqual(freshCalendar().verifyOAuthState(state), null);
+  assert.strictEqual(freshCalendar().verifyOAuthState(issueState(contractor)), contractor.id);
+});
@@ -0,0 +1,58 @@
+// The server runs in UTC while calendars are in New York time
+process.env.TZ = 'UTC';
+process.env.CALENDAR_TIMEZONE = 'America/New_York';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const calendar = require('../src/calendar');
+
+let outbox;
+
+before(async () => {
+  await helpers.setup();
+  outbox = helpers.stubSms();
+});
+after(() => helpers.teardown());
+
+// A scheduled job with a Google event, and that event as Google lists it
+// back: its wall-clock time with the zone's UTC offset
+function syncedJob(date, offset) {
+  const customer = helpers.createCustomer();
+  const contractor = helpers.createContractor();
+  const job = helpers.createJob(customer, contractor, { status: 'scheduled' });
+  db.setJobSchedule(job.id, date, '09:00');
+  db.setJobCalendarEvent(job.id, `event-${job.id}`);
+
+  const body = calendar.buildEvent(db.getJobById(job.id), customer);
+  const event = { id: `event-${job.id}`, status: 'confirmed', start: { dateTime: `${body.start.dateTime}${offset}` } };
+  return { job, contractor, body, event };
+}
+
+test('events are written at the booked wall-clock time in the calendar time zone', () => {
+  const { body } = syncedJob('2027-01-15', '-05:00');
+  assert.strictEqual(body.start.dateTime, '2027-01-15T09:00:00');
+  assert.strictEqual(body.start.timeZone, 'America/New_York');
+});
+
+test('an event read back unchanged does not reschedule its job', async () => {
+  for (const [date, offset] of [['2027-01-15', '-05:00'], ['2027-07-15', '-04:00']]) {
+    const { job, contractor, event } = syncedJob(date, offset);
+    outbox.clear();
+
+    assert.strictEqual(await calendar.applyEventChange(contractor.id, event), false);
+    const current = db.getJobById(job.id);
+    assert.deepStrictEqual([current.scheduled_date, current.scheduled_time], [date, '09:00']);
+    assert.strictEqual(outbox.sent.length, 0);
+  }
+});
+
+test('an event moved in the calendar moves its job to the calendar-zone time', async () => {
+  const { job, contractor, event } = syncedJob('2027-01-15', '-05:00');
+  event.start.dateTime = '2027-01-15T11:30:00-05:00';
+
+  assert.strictEqual(await calendar.applyEventChange(contractor.id, event), true);
+  const current = db.getJobById(job.id);
+  assert.deepStrictEqual([current.scheduled_date, current.scheduled_time], ['2027-01-15', '11:30']);
+});
@@ -0,0 +1,18 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const db = require('../src/db');
+
+before(() => helpers.setup());
+after(() => helpers.teardown());
+
+// 90210 to 91101 (Pasadena) is about 16 miles
+test('a search radius never reaches past a contractor\'s own service radius', () => {
+  helpers.createContractor({ service_area_zip: '90210', service_radius: 10 });
+  const wide = helpers.createContractor({ service_area_zip: '90210', service_radius: 30 });
+
+  const ids = options => db.findAvailableContractors('91101', options).map(c => c.id);
+  assert.deepStrictEqual(ids({}), [wide.id]);
+  assert.deepStrictEqual(ids({ radius: 50 }), [wide.id]);
+  assert.deepStrictEqual(ids({ radius: 5 }), []);
+});
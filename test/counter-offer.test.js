@@ -0,0 +1,20 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const ai = require('../src/ai');
+
+after(() => helpers.teardown());
+
+test('a price with a $ or an offer phrase is a counter-offer', () => {
+  assert.strictEqual(ai.parseCounterOffer('can you do 300?'), 300);
+  assert.strictEqual(ai.parseCounterOffer('How about 250'), 250);
+  assert.strictEqual(ai.parseCounterOffer('would you do it for $1,200'), 1200);
+  assert.strictEqual(ai.parseCounterOffer('$275 and we have a deal'), 275);
+  assert.strictEqual(ai.parseCounterOffer('do it for 180.50?'), 180.5);
+});
+
+test('other numbers are not offers', () => {
+  assert.strictEqual(ai.parseCounterOffer("I'm home after 5"), null);
+  assert.strictEqual(ai.parseCounterOffer('Unit 12, gate code 4471'), null);
+  assert.strictEqual(ai.parseCounterOffer('call me at 555-0100'), null);
+});
@@ -0,0 +1,128 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const sms = require('../src/sms');
+const delivery = require('../src/delivery');
+
+// Twilio's client replaced by a recorder; `failWith` makes the next create() throw
+const twilio = { created: [], failWith: null };
+let server;
+let baseUrl;
+
+before(async () => {
+  await helpers.setup();
+  process.env.BASE_URL = 'https://jobflow.test';
+  process.env.SKIP_TWILIO_VALIDATION = 'true';
+  sms.client = {
+    messages: {
+      create: async options => {
+        if (twilio.failWith) {
+          const error = Object.assign(new Error(twilio.failWith.message), twilio.failWith);
+          twilio.failWith = null;
+          throw error;
+        }
+        twilio.created.push(options);
+        return { sid: `SM${twilio.created.length}`, status: 'queued' };
+      }
+    }
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/webhook', require('../src/routes/webhook'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  helpers.teardown();
+});
+
+beforeEach(() => {
+  twilio.created.length = 0;
+  twilio.failWith = null;
+});
+
+function post(path, fields) {
+  return fetch(`${baseUrl}/webhook${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(fields).toString()
+  });
+}
+
+test('replies to inbound texts go through the API with a status callback', async () => {
+  const res = await post('/sms', { From: '+15557770001', To: '+15550000000', Body: 'Hi, my sink is leaking', MessageSid: 'SMin1' });
+
+  assert.strictEqual(res.status, 200);
+  assert.doesNotMatch(await res.text(), /<Message>/);
+  assert.strictEqual(twilio.created.length, 1);
+  assert.strictEqual(twilio.created[0].to, '+15557770001');
+  assert.strictEqual(twilio.created[0].statusCallback, 'https://jobflow.test/webhook/sms-status');
+
+  const reply = db.getMessageBySid('SM1');
+  assert.strictEqual(reply.direction, 'outbound');
+  assert.strictEqual(reply.status, 'queued');
+});
+
+test('status callbacks are stored and a late earlier status does not undo delivery', async () => {
+  await sms.sendSMS('+15557770002', 'Your quote is ready');
+  const sid = `SM${twilio.created.length}`;
+
+  await post('/sms-status', { MessageSid: sid, MessageStatus: 'sent' });
+  await post('/sms-status', { MessageSid: sid, MessageStatus: 'delivered' });
+  await post('/sms-status', { MessageSid: sid, MessageStatus: 'sent' });
+
+  const message = db.getMessageBySid(sid);
+  assert.strictEqual(message.status, 'delivered');
+  assert.ok(message.delivered_at);
+});
+
+test('a temporary failure is queued for a retry and resent on the same row', async () => {
+  twilio.failWith = { message: 'Service unavailable', status: 503 };
+  const result = await sms.sendSMS('+15557770003', 'Reminder: appointment tomorrow');
+  assert.deepStrictEqual([result.success, result.retrying], [false, true]);
+
+  const message = db.queryGet('SELECT * FROM messages WHERE to_number = ?', ['+15557770003']);
+  assert.strictEqual(message.status, 'failed');
+  assert.ok(db.queryGet('SELECT * FROM scheduled_tasks WHERE task_key = ?', [`sms_retry_${message.id}_1`]));
+
+  await delivery.resend(message.id);
+  const resent = db.getMessageById(message.id);
+  assert.strictEqual(resent.status, 'queued');
+  assert.strictEqual(resent.attempts, 2);
+});
+
+test('a permanent error flags the customer until the number texts in again', async () => {
+  const customer = helpers.createCustomer();
+  twilio.failWith = { message: 'Not a valid phone number', code: 21211, status: 400 };
+
+  const result = await sms.sendSMS(customer.phone_number, 'Your quote is ready');
+  assert.deepStrictEqual([result.success, result.retrying], [false, false]);
+  assert.match(db.getCustomerById(customer.id).sms_undeliverable_reason, /Invalid phone number/);
+
+  await post('/sms', { From: customer.phone_number, To: '+15550000000', Body: 'hello?', MessageSid: 'SMin2' });
+  assert.strictEqual(db.getCustomerById(customer.id).sms_undeliverable_at, null);
+});
+
+test("a job's thread has only that job's texts, not the customer's other jobs", async () => {
+  const customer = helpers.createCustomer();
+  const jobA = helpers.createJob(customer, helpers.createContractor(), { status: 'scheduled' });
+  const jobB = helpers.createJob(customer, helpers.createContractor({ business_name: 'Other Plumbing' }), { status: 'quoted' });
+
+  await sms.sendSMS(customer.phone_number, 'About job A', { jobId: jobA.id });
+  await sms.sendSMS(customer.phone_number, 'About job B', { jobId: jobB.id });
+  // Two active jobs: an inbound text could be about either, so it isn't filed under one
+  await post('/sms', { From: customer.phone_number, To: '+15550000000', Body: 'Thanks!', MessageSid: 'SMin3' });
+
+  assert.deepStrictEqual(db.getJobMessages(jobA.id, customer.phone_number).map(m => m.body), ['About job A']);
+  assert.deepStrictEqual(db.getJobMessages(jobB.id, customer.phone_number).map(m => m.body), ['About job B']);
+
+  // With job B cancelled, texts from the customer belong to job A
+  db.updateJobStatus(jobB.id, 'cancelled');
+  await post('/sms', { From: customer.phone_number, To: '+15550000000', Body: 'See you Tuesday', MessageSid: 'SMin4' });
+  assert.ok(db.getJobMessages(jobA.id, customer.phone_number).some(m => m.body === 'See you Tuesday'));
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const quotes = require('../src/quotes');
+const dispatch = require('../src/dispatch');
+const ai = require('../src/ai');
+const commands = require('../src/commands');
+
+let outbox;
+
+before(async () => {
+  await helpers.setup();
+  outbox = helpers.stubSms();
+});
+after(() => helpers.teardown());
+
+test('a passed job skips every contractor it was already offered to or quoted by', async () => {
+  const customer = helpers.createCustomer();
+  const passed = helpers.createContractor({ business_name: 'Passed Plumbing' });
+  const offered = helpers.createContractor({ business_name: 'Offered Plumbing' });
+  const quoted = helpers.createContractor({ business_name: 'Quoted Plumbing' });
+  const fresh = helpers.createContractor({ business_name: 'Fresh Plumbing' });
+
+  const job = helpers.createJob(customer, passed, { status: 'contractor_passed' });
+  // Offered earlier and answered, then the customer turned down a quote from another
+  db.createJobDispatch(job.id, offered.id);
+  db.closeJobDispatches(job.id, offered.id, 'responded');
+  quotes.createQuote(job.id, { kind: 'estimate', contractorId: quoted.id, amountMin: 100, amountMax: 150, actor: 'system' });
+
+  outbox.clear();
+  await dispatch.reassignPassedJob(job);
+
+  const estimate = db.getLatestQuote(job.id);
+  assert.strictEqual(estimate.contractor_id, fresh.id);
+  for (const skipped of [offered, quoted]) {
+    assert.strictEqual(outbox.to(skipped.phone_number).length, 0);
+  }
+});
+
+test('a reassigned job is re-quoted and only goes to the new contractor once the customer accepts', async () => {
+  const customer = helpers.createCustomer({ zip_code: '60601' });
+  const passed = helpers.createContractor({ service_area_zip: '60601', hourly_rate: 60 });
+  const next = helpers.createContractor({ service_area_zip: '60601', business_name: 'Pricier Plumbing', hourly_rate: 150 });
+  const job = helpers.createJob(customer, passed, { status: 'contractor_passed', customer_zip: '60601' });
+  const first = quotes.createQuote(job.id, { kind: 'estimate', contractorId: passed.id, amountMin: 100, amountMax: 200, actor: 'system' });
+  db.updateQuoteStatus(first.id, 'accepted');
+
+  outbox.clear();
+  await dispatch.reassignPassedJob(job);
+
+  // Nothing is dispatched or re-priced until the customer says yes
+  const estimate = db.getLatestQuote(job.id);
+  assert.strictEqual(estimate.version, 2);
+  assert.strictEqual(estimate.status, 'pending');
+  assert.strictEqual(outbox.to(next.phone_number).length, 0);
+  let current = db.getJobById(job.id);
+  assert.strictEqual(current.contractor_id, passed.id);
+  assert.strictEqual(current.estimated_cost_max, 200);
+  assert.ok(outbox.to(customer.phone_number).some(message =>
+    message.body.includes(quotes.formatAmount(estimate)) && message.body.includes('Reply YES')));
+
+  const conversation = db.getOrCreateConversation(customer.phone_number);
+  assert.strictEqual(conversation.state, 'AWAITING_QUOTE_APPROVAL');
+  await ai.handleQuoteApproval(customer.phone_number, 'YES', conversation.context);
+
+  current = db.getJobById(job.id);
+  assert.strictEqual(current.contractor_id, next.id);
+  assert.strictEqual(current.status, 'quoted');
+  assert.strictEqual(current.estimated_cost_min, estimate.amount_min);
+  assert.strictEqual(current.estimated_cost_max, estimate.amount_max);
+  assert.strictEqual(outbox.to(next.phone_number).length, 1);
+});
+
+test('with nobody left the job is marked no_contractors_available and the customer is told', async () => {
+  const customer = helpers.createCustomer({ zip_code: '10001' });
+  const only = helpers.createContractor({ service_area_zip: '10001' });
+  const job = helpers.createJob(customer, only, { status: 'contractor_passed', customer_zip: '10001' });
+
+  outbox.clear();
+  await dispatch.reassignPassedJob(job);
+
+  assert.strictEqual(db.getJobById(job.id).status, 'no_contractors_available');
+  const texts = outbox.to(customer.phone_number).map(message => message.body);
+  assert.ok(texts.some(body => /no other contractors are available/.test(body)), texts.join('\n'));
+});
+
+test('a contractor whose custom quote was declined can no longer approve or re-quote the job', async () => {
+  const customer = helpers.createCustomer({ zip_code: '94103' });
+  const declined = helpers.createContractor({ service_area_zip: '94103' });
+  const next = helpers.createContractor({ service_area_zip: '94103' });
+  const job = helpers.createJob(customer, declined, { status: 'quoted', customer_zip: '94103' });
+  await quotes.sendCustomQuote(job, declined, 300);
+
+  const conversation = db.getOrCreateConversation(customer.phone_number);
+  await ai.handleCustomQuoteResponse(customer.phone_number, 'NO', conversation.context);
+  assert.strictEqual(db.getLatestQuote(job.id).contractor_id, next.id);
+
+  outbox.clear();
+  await commands.execute(declined.phone_number, { action: 'approve', jobCode: job.ref_code }, declined);
+  await commands.execute(declined.phone_number, { action: 'custom_quote', jobCode: job.ref_code, amount: 250 }, declined);
+
+  assert.strictEqual(db.getJobById(job.id).status, 'contractor_passed');
+  assert.strictEqual(db.getLatestQuote(job.id).contractor_id, next.id);
+  const replies = outbox.to(declined.phone_number).map(message => message.body);
+  assert.strictEqual(replies.length, 2);
+  for (const reply of replies) assert.match(reply, /isn't waiting for your answer/);
+});
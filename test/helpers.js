@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs in its own process with a throwaway database, no real
+// Twilio or LLM calls and no calendar sync. Require this before anything in src/.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobflow-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+process.env.NODE_ENV = 'test';
+process.env.CALENDAR_SYNC_MINUTES = '0';
+process.env.LLM_PROVIDER = 'rules';
+process.env.JWT_SECRET = 'test-secret-that-is-at-least-32-bytes-long';
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test';
+process.env.TWILIO_PHONE_NUMBER = '+15550000000';
+delete process.env.BASE_URL;
+
+const db = require('../src/db');
+const sms = require('../src/sms');
+
+async function setup() {
+  const log = console.log;
+  console.log = () => {}; // migration and zip code chatter
+  try {
+    await db.initDb();
+  } finally {
+    console.log = log;
+  }
+}
+
+function teardown() {
+  require('../src/scheduler').stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+// Replace sms.sendSMS with a recorder. Every helper like sendDayBeforeReminder
+// goes through sendSMS, so this catches all texts.
+function stubSms() {
+  const sent = [];
+  const failures = new Set();
+  sms.sendSMS = async (to, body) => {
+    if (failures.has(to)) {
+      failures.delete(to);
+      return { success: false, error: 'Stubbed send failure' };
+    }
+    sent.push({ to, body });
+    return { success: true, messageSid: `SMtest${sent.length}` };
+  };
+  return {
+    sent,
+    to: phone => sent.filter(message => message.to === phone),
+    failNext: phone => failures.add(phone),
+    clear: () => { sent.length = 0; }
+  };
+}
+
+let phoneCounter = 0;
+function nextPhone() {
+  phoneCounter++;
+  return `+1555${String(phoneCounter).padStart(7, '0')}`;
+}
+
+function createContractor(data = {}) {
+  const id = db.createContractor({
+    phone_number: nextPhone(),
+    business_name: 'Test Plumbing',
+    trade_type: 'plumbing',
+    service_area_zip: '90210',
+    services_offered: ['plumbing'],
+    base_service_fee: 75,
+    hourly_rate: 90,
+    ...data
+  });
+  return db.getContractorById(id);
+}
+
+function createCustomer(data = {}) {
+  const id = db.createCustomer({ phone_number: nextPhone(), name: 'Test Customer', zip_code: '90210', ...data });
+  return db.getCustomerById(id);
+}
+
+// A job for the customer, optionally assigned to a contractor and set to a status
+function createJob(customer, contractor = null, data = {}) {
+  const { status, ...fields } = data;
+  const id = db.createJob({
+    customer_id: customer.id,
+    job_uuid: `test-${Date.now()}-${Math.random()}`,
+    problem_description: 'Leaking kitchen sink',
+    service_category: 'plumbing',
+    urgency_level: 'medium',
+    customer_address: '1 Test St',
+    customer_zip: '90210',
+    estimated_cost_min: 100,
+    estimated_cost_max: 200,
+    quote_breakdown: null,
+    ...fields
+  });
+  if (contractor) db.assignJobToContractor(id, contractor.id);
+  if (status) db.updateJobStatus(id, status);
+  return db.getJobById(id);
+}
+
+// A date n days from today as YYYY-MM-DD
+function daysFromNow(n) {
+  const date = new Date();
+  date.setDate(date.getDate() + n);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+module.exports = {
+  setup,
+  teardown,
+  stubSms,
+  createContractor,
+  createCustomer,
+  createJob,
+  daysFromNow,
+};
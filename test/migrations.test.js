@@ -0,0 +1,52 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const helpers = require('./helpers');
+const migrations = require('../src/migrations');
+
+const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobflow-migrations-'));
+after(() => {
+  fs.rmSync(legacyDir, { recursive: true, force: true });
+  helpers.teardown();
+});
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('jobs saved with statuses and urgencies the old schema allowed survive the rebuild', async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  fs.copyFileSync(path.join(__dirname, '../db/migrations/001_initial_schema.sql'), path.join(legacyDir, '001_initial_schema.sql'));
+  quietly(() => migrations.runMigrations(db, legacyDir));
+
+  const insert = db.prepare('INSERT INTO jobs (job_uuid, status, urgency_level) VALUES (?, ?, ?)');
+  for (const [uuid, status, urgency] of [
+    ['a', 'scheduled', 'high'],
+    ['b', 'Canceled', 'standard'],
+    ['c', 'on hold', 'medium'],
+    ['d', 'in-progress', 'high']
+  ]) {
+    insert.run([uuid, status, urgency]);
+  }
+  insert.free();
+
+  quietly(() => migrations.runMigrations(db));
+
+  const rows = db.exec('SELECT job_uuid, status, urgency_level, notes FROM jobs ORDER BY job_uuid')[0].values;
+  assert.deepStrictEqual(rows, [
+    ['a', 'scheduled', 'high', null],
+    ['b', 'cancelled', 'medium', 'Urgency before migration: standard. Status before migration: Canceled.'],
+    ['c', 'pending', 'medium', 'Status before migration: on hold.'],
+    ['d', 'in_progress', 'high', 'Status before migration: in-progress.']
+  ]);
+});
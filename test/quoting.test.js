@@ -0,0 +1,33 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const quoting = require('../src/quoting');
+
+after(() => helpers.teardown());
+
+const plumber = {
+  id: 1, trade_type: 'plumber', services_offered: ['leaky faucet', 'clogged drain'],
+  base_service_fee: 50, hourly_rate: 60, is_active: 1, distance_miles: 1
+};
+const electrician = {
+  id: 2, trade_type: 'electrician', services_offered: ['outlet repair', 'panel upgrade'],
+  base_service_fee: 90, hourly_rate: 110, is_active: 1, distance_miles: 8
+};
+
+test('only contractors whose trade or services cover the category are candidates', () => {
+  assert.deepStrictEqual(quoting.filterByCategory([plumber, electrician], 'electrical').map(c => c.id), [2]);
+  assert.deepStrictEqual(quoting.filterByCategory([plumber, electrician], 'plumbing').map(c => c.id), [1]);
+  assert.deepStrictEqual(quoting.filterByCategory([plumber, electrician], 'roofing'), []);
+});
+
+test('an electrical job goes to the electrician even when the plumber is cheaper and closer', () => {
+  const job = { service_category: 'electrical', problem_description: 'Outlet is sparking', urgency_level: 'high' };
+  const best = quoting.findBestContractor(job, quoting.filterByCategory([plumber, electrician], job.service_category));
+  assert.strictEqual(best.contractor.id, 2);
+});
+
+test('services alone can qualify a contractor', () => {
+  const handyman = { trade_type: 'handyman', services_offered: ['drywall', 'pipe repair'] };
+  assert.strictEqual(quoting.servesCategory(handyman, 'plumbing'), true);
+  assert.strictEqual(quoting.servesCategory(handyman, 'HVAC'), false);
+});
@@ -0,0 +1,123 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+const db = require('../src/db');
+const scheduler = require('../src/scheduler');
+
+let texts;
+
+before(async () => {
+  await helpers.setup();
+  texts = helpers.stubSms();
+});
+
+after(() => helpers.teardown());
+
+beforeEach(() => texts.clear());
+
+// scheduleJob sends its confirmations without waiting on them
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+async function scheduledJob() {
+  const contractor = helpers.createContractor();
+  const customer = helpers.createCustomer();
+  const job = helpers.createJob(customer, contractor, { status: 'approved' });
+  const result = scheduler.scheduleJob(job.id, contractor.id, helpers.daysFromNow(3), '14:00');
+  assert.strictEqual(result.success, true);
+  await flush();
+  texts.clear(); // the confirmations
+  return { job: db.getJobById(job.id), contractor, customer };
+}
+
+function task(key) {
+  return db.queryGet('SELECT * FROM scheduled_tasks WHERE task_key = ?', [key]);
+}
+
+async function runTask(key) {
+  const row = task(key);
+  assert.ok(row, `task ${key} is queued`);
+  row.payload = JSON.parse(row.payload);
+  await scheduler.runTask(row);
+  return task(key);
+}
+
+test('scheduling texts both parties a confirmation', async () => {
+  const contractor = helpers.createContractor();
+  const customer = helpers.createCustomer();
+  const job = helpers.createJob(customer, contractor, { status: 'approved' });
+
+  scheduler.scheduleJob(job.id, contractor.id, helpers.daysFromNow(3), '14:00');
+  await flush();
+
+  assert.match(texts.to(customer.phone_number)[0].body, /Job Scheduled/);
+  assert.match(texts.to(contractor.phone_number)[0].body, /Job Confirmed/);
+});
+
+test('day-before reminder goes to the contractor and the customer', async () => {
+  const { job, contractor, customer } = await scheduledJob();
+
+  await runTask(`reminder_${job.id}_day_before_contractor`);
+  await runTask(`reminder_${job.id}_day_before_customer`);
+
+  assert.strictEqual(texts.to(contractor.phone_number).length, 1);
+  assert.match(texts.to(contractor.phone_number)[0].body, /You have a job tomorrow/);
+  assert.strictEqual(texts.to(customer.phone_number).length, 1);
+  assert.match(texts.to(customer.phone_number)[0].body, /Your service appointment is tomorrow/);
+});
+
+test('day-of reminder goes to the contractor and the customer', async () => {
+  const { job, contractor, customer } = await scheduledJob();
+
+  await runTask(`reminder_${job.id}_day_of_contractor`);
+  await runTask(`reminder_${job.id}_day_of_customer`);
+
+  assert.strictEqual(texts.to(contractor.phone_number).length, 1);
+  assert.match(texts.to(contractor.phone_number)[0].body, /scheduled appointment today/);
+  assert.strictEqual(texts.to(customer.phone_number).length, 1);
+  assert.match(texts.to(customer.phone_number)[0].body, /Your service appointment is today/);
+});
+
+test('retrying a failed customer reminder does not text the contractor again', async () => {
+  const { job, contractor, customer } = await scheduledJob();
+
+  await runTask(`reminder_${job.id}_day_before_contractor`);
+  texts.failNext(customer.phone_number);
+  const failed = await runTask(`reminder_${job.id}_day_before_customer`);
+  assert.strictEqual(failed.status, 'pending');
+  assert.strictEqual(failed.attempts, 1);
+
+  await runTask(`reminder_${job.id}_day_before_customer`);
+
+  assert.strictEqual(texts.to(contractor.phone_number).length, 1);
+  assert.strictEqual(texts.to(customer.phone_number).length, 1);
+});
+
+test('rescheduling texts both parties and moves their reminders', async () => {
+  const { job, contractor, customer } = await scheduledJob();
+  const newDate = helpers.daysFromNow(5);
+
+  const result = await scheduler.rescheduleJob(job.id, newDate, '10:00', 'Parts delayed');
+
+  assert.strictEqual(result.success, true);
+  assert.match(texts.to(customer.phone_number)[0].body, /Job Rescheduled/);
+  assert.match(texts.to(contractor.phone_number)[0].body, new RegExp(`Job Rescheduled[\\s\\S]*${job.ref_code}`));
+  for (const recipient of ['contractor', 'customer']) {
+    const reminder = task(`reminder_${job.id}_day_before_${recipient}`);
+    assert.strictEqual(reminder.status, 'pending');
+    const dayBefore = new Date(`${newDate}T18:00:00`);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+    assert.strictEqual(reminder.run_at, dayBefore.toISOString());
+  }
+});
+
+test('completing a job asks the contractor for an invoice and follows up with the customer', async () => {
+  const { job, contractor, customer } = await scheduledJob();
+
+  const result = await scheduler.markJobCompleted(job.id, contractor.phone_number);
+  assert.strictEqual(result.success, true);
+  assert.match(texts.to(contractor.phone_number)[0].body, /Send invoice\?/);
+
+  await runTask(`followup_${job.id}`);
+  assert.strictEqual(texts.to(customer.phone_number).length, 1);
+  assert.match(texts.to(customer.phone_number)[0].body, /How did your service/);
+});
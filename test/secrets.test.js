@@ -0,0 +1,38 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+after(() => helpers.teardown());
+
+// Load secrets.js fresh with the given NODE_ENV and JWT_SECRET
+function loadSecrets(env, secret) {
+  const saved = { NODE_ENV: process.env.NODE_ENV, JWT_SECRET: process.env.JWT_SECRET };
+  const warn = console.warn;
+  const warnings = [];
+  process.env.NODE_ENV = env;
+  if (secret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = secret;
+  console.warn = message => warnings.push(message);
+  delete require.cache[require.resolve('../src/secrets')];
+  try {
+    return { secrets: require('../src/secrets'), warnings };
+  } finally {
+    Object.assign(process.env, saved);
+    console.warn = warn;
+    delete require.cache[require.resolve('../src/secrets')];
+  }
+}
+
+test('production refuses the .env.example placeholder and short secrets', () => {
+  assert.throws(() => loadSecrets('production', 'your_jwt_secret_here_change_this_in_production'), /placeholder/);
+  assert.throws(() => loadSecrets('production', 'too-short'), /shorter than 32 bytes/);
+  assert.throws(() => loadSecrets('production', undefined), /not set/);
+  assert.doesNotThrow(() => loadSecrets('production', 'a'.repeat(32)));
+});
+
+test('development warns about a missing secret and still signs tokens', () => {
+  const { secrets, warnings } = loadSecrets('development', undefined);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /JWT_SECRET is not set/);
+  assert.strictEqual(secrets.verifySigned(secrets.sign({ id: 7 }, 60)).id, 7);
+});